@@ -0,0 +1,115 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+// Before-SHA of a push that created a branch
+const ZERO_SHA = /^0+$/;
+
+// Statuses reported by the GitHub API and by `git diff --name-status`,
+// reduced to added, modified, removed and renamed.
+const API_STATUSES = { added: 'added', copied: 'added', removed: 'removed', renamed: 'renamed', modified: 'modified', changed: 'modified', unchanged: 'modified' };
+const GIT_STATUSES = { A: 'added', C: 'added', D: 'removed', R: 'renamed', M: 'modified', T: 'modified' };
+
+// The compare API lists at most this many files
+const COMPARE_FILE_LIMIT = 300;
+
+// Base and head commits of the push or pull request that triggered the
+// workflow, read from the event payload. Returns null when the event has no
+// commit range, e.g. workflow_dispatch or the first push of a new branch.
+function getCommitRange(context = github.context) {
+  const payload = (context && context.payload) || {};
+  if (payload.pull_request && payload.pull_request.base && payload.pull_request.head) {
+    return { base: payload.pull_request.base.sha, head: payload.pull_request.head.sha };
+  }
+  if (payload.before && payload.after && !ZERO_SHA.test(payload.before)) {
+    return { base: payload.before, head: payload.after };
+  }
+  return null;
+}
+
+function runGit(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// Parse `git diff --name-status -z` output into { path, status, previousPath }.
+// Renames and copies carry the old and the new path.
+function parseNameStatus(output) {
+  const fields = output.split('\0');
+  const files = [];
+  for (let i = 0; i < fields.length - 1;) {
+    const code = fields[i++];
+    const status = GIT_STATUSES[code[0]] || 'modified';
+    if (code[0] === 'R' || code[0] === 'C') {
+      files.push({ path: fields[i + 1], status, previousPath: fields[i] });
+      i += 2;
+    } else {
+      files.push({ path: fields[i], status, previousPath: null });
+      i += 1;
+    }
+  }
+  return files;
+}
+
+async function listChangedFilesFromApi(octokit, context, range) {
+  const pullRequest = context.payload.pull_request;
+  if (pullRequest) {
+    return octokit.paginate(octokit.rest.pulls.listFiles, {
+      ...context.repo, pull_number: pullRequest.number, per_page: 100,
+    });
+  }
+  const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+    ...context.repo, basehead: `${range.base}...${range.head}`,
+  });
+  const files = data.files || [];
+  if (files.length >= COMPARE_FILE_LIMIT) {
+    core.warning(`The push changed ${COMPARE_FILE_LIMIT} or more files; GitHub only lists the first ${COMPARE_FILE_LIMIT}, so some changed changesets may not run`);
+  }
+  return files;
+}
+
+// List the files changed by the push or pull request that triggered the
+// workflow. Uses the GitHub API when the event has a commit range and a
+// token is available; otherwise falls back to `git diff` in `cwd`, against
+// the event's base commit or, outside GitHub Actions, against HEAD~1 so the
+// last commit and uncommitted changes count.
+// Returns { source, files } where files are { path, status, previousPath }
+// with absolute paths and status one of added, modified, removed, renamed.
+async function getChangedFiles({ token, cwd = process.cwd(), context = github.context, getOctokit = github.getOctokit, git = runGit } = {}) {
+  const range = getCommitRange(context);
+
+  if (range && token) {
+    const root = process.env.GITHUB_WORKSPACE || cwd;
+    const files = await listChangedFilesFromApi(getOctokit(token), context, range);
+    return {
+      source: `GitHub API (${range.base.slice(0, 7)}...${range.head.slice(0, 7)})`,
+      files: files.map(f => ({
+        path: path.resolve(root, f.filename),
+        status: API_STATUSES[f.status] || 'modified',
+        previousPath: f.previous_filename ? path.resolve(root, f.previous_filename) : null,
+      })),
+    };
+  }
+
+  const diffArgs = range ? [`${range.base}...${range.head}`] : ['HEAD~1'];
+  let root;
+  let output;
+  try {
+    root = git(['rev-parse', '--show-toplevel'], cwd).trim();
+    output = git(['diff', '--name-status', '-z', '-M', ...diffArgs], cwd);
+  } catch (error) {
+    const detail = (error.stderr && String(error.stderr).trim()) || error.message;
+    throw new Error(`Could not list changed files with git diff ${diffArgs.join(' ')}: ${detail}. ` +
+      'Check out enough history (e.g. fetch-depth: 0) or provide github_token');
+  }
+  return {
+    source: `git diff ${diffArgs.join(' ')}`,
+    files: parseNameStatus(output).map(f => ({
+      path: path.resolve(root, f.path),
+      status: f.status,
+      previousPath: f.previousPath ? path.resolve(root, f.previousPath) : null,
+    })),
+  };
+}
+
+module.exports = { getChangedFiles, getCommitRange, parseNameStatus };
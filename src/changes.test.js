@@ -0,0 +1,126 @@
+const path = require('path');
+
+const mockCore = { warning: jest.fn() };
+jest.mock('@actions/core', () => mockCore);
+
+const { getChangedFiles, getCommitRange, parseNameStatus } = require('./changes');
+
+const repo = { owner: 'inprod', repo: 'changesets' };
+const pushContext = { repo, payload: { before: 'aaaaaaa111', after: 'bbbbbbb222' } };
+const pullRequestContext = { repo, payload: { pull_request: { number: 7, base: { sha: 'ccccccc333' }, head: { sha: 'ddddddd444' } } } };
+
+function fakeGit(outputs) {
+  const calls = [];
+  const git = (args) => {
+    calls.push(args);
+    const output = outputs[args[0]];
+    if (output instanceof Error) throw output;
+    return output;
+  };
+  return { git, calls };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.GITHUB_WORKSPACE;
+});
+
+describe('getCommitRange', () => {
+  test('reads base and head of a pull request', () => {
+    expect(getCommitRange(pullRequestContext)).toEqual({ base: 'ccccccc333', head: 'ddddddd444' });
+  });
+
+  test('reads before and after of a push', () => {
+    expect(getCommitRange(pushContext)).toEqual({ base: 'aaaaaaa111', head: 'bbbbbbb222' });
+  });
+
+  test('has no range for a new branch or other events', () => {
+    expect(getCommitRange({ payload: { before: '0000000000000000000000000000000000000000', after: 'bbb' } })).toBeNull();
+    expect(getCommitRange({ payload: {} })).toBeNull();
+  });
+});
+
+describe('parseNameStatus', () => {
+  test('parses additions, modifications, deletions and renames', () => {
+    const output = ['A', 'new.yaml', 'M', 'dir/changed.yaml', 'D', 'gone.yaml', 'R087', 'old name.yaml', 'new name.yaml', ''].join('\0');
+    expect(parseNameStatus(output)).toEqual([
+      { path: 'new.yaml', status: 'added', previousPath: null },
+      { path: 'dir/changed.yaml', status: 'modified', previousPath: null },
+      { path: 'gone.yaml', status: 'removed', previousPath: null },
+      { path: 'new name.yaml', status: 'renamed', previousPath: 'old name.yaml' },
+    ]);
+  });
+
+  test('returns nothing for an empty diff', () => {
+    expect(parseNameStatus('')).toEqual([]);
+  });
+});
+
+describe('getChangedFiles', () => {
+  test('lists pull request files through the API', async () => {
+    process.env.GITHUB_WORKSPACE = '/work';
+    const octokit = {
+      paginate: jest.fn().mockResolvedValue([
+        { filename: 'changesets/a.yaml', status: 'modified' },
+        { filename: 'changesets/b.yaml', status: 'renamed', previous_filename: 'changesets/old-b.yaml' },
+      ]),
+      rest: { pulls: { listFiles: 'listFiles' } },
+    };
+    const getOctokit = jest.fn().mockReturnValue(octokit);
+
+    const changes = await getChangedFiles({ token: 'gh-token', context: pullRequestContext, getOctokit });
+
+    expect(getOctokit).toHaveBeenCalledWith('gh-token');
+    expect(octokit.paginate).toHaveBeenCalledWith('listFiles', { ...repo, pull_number: 7, per_page: 100 });
+    expect(changes).toEqual({
+      source: 'GitHub API (ccccccc...ddddddd)',
+      files: [
+        { path: path.resolve('/work/changesets/a.yaml'), status: 'modified', previousPath: null },
+        { path: path.resolve('/work/changesets/b.yaml'), status: 'renamed', previousPath: path.resolve('/work/changesets/old-b.yaml') },
+      ],
+    });
+  });
+
+  test('compares push commits through the API and warns when the list is truncated', async () => {
+    const files = Array.from({ length: 300 }, (_, i) => ({ filename: `f${i}.yaml`, status: 'added' }));
+    const compareCommitsWithBasehead = jest.fn().mockResolvedValue({ data: { files } });
+    const getOctokit = () => ({ rest: { repos: { compareCommitsWithBasehead } } });
+
+    const changes = await getChangedFiles({ token: 'gh-token', cwd: '/work', context: pushContext, getOctokit });
+
+    expect(compareCommitsWithBasehead).toHaveBeenCalledWith({ ...repo, basehead: 'aaaaaaa111...bbbbbbb222' });
+    expect(changes.files).toHaveLength(300);
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('GitHub only lists the first 300'));
+  });
+
+  test('falls back to git diff of the event range without a token', async () => {
+    const { git, calls } = fakeGit({ 'rev-parse': '/repo\n', diff: 'D\0changesets/gone.yaml\0' });
+
+    const changes = await getChangedFiles({ context: pushContext, git });
+
+    expect(calls).toEqual([['rev-parse', '--show-toplevel'], ['diff', '--name-status', '-z', '-M', 'aaaaaaa111...bbbbbbb222']]);
+    expect(changes).toEqual({
+      source: 'git diff aaaaaaa111...bbbbbbb222',
+      files: [{ path: path.resolve('/repo/changesets/gone.yaml'), status: 'removed', previousPath: null }],
+    });
+  });
+
+  test('diffs against HEAD~1 outside GitHub Actions', async () => {
+    const { git, calls } = fakeGit({ 'rev-parse': '/repo\n', diff: '' });
+
+    const changes = await getChangedFiles({ token: 'gh-token', context: { payload: {} }, git });
+
+    expect(calls[1]).toEqual(['diff', '--name-status', '-z', '-M', 'HEAD~1']);
+    expect(changes).toEqual({ source: 'git diff HEAD~1', files: [] });
+  });
+
+  test('explains git failures', async () => {
+    const error = Object.assign(new Error('Command failed'), { stderr: "fatal: bad revision 'aaaaaaa111...bbbbbbb222'" });
+    const { git } = fakeGit({ 'rev-parse': '/repo\n', diff: error });
+
+    await expect(getChangedFiles({ context: pushContext, git })).rejects.toThrow(
+      "Could not list changed files with git diff aaaaaaa111...bbbbbbb222: fatal: bad revision 'aaaaaaa111...bbbbbbb222'. " +
+      'Check out enough history (e.g. fetch-depth: 0) or provide github_token'
+    );
+  });
+});
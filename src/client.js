@@ -0,0 +1,278 @@
+const core = require('@actions/core');
+
+const DEFAULT_REQUEST_TIMEOUT_SECONDS = 60;
+
+const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  retryStatusCodes: [429, 502, 503],
+  baseDelaySeconds: 1,
+};
+
+const ENDPOINTS = {
+  validate: {
+    yaml: '/api/v1/change-set/change-set/validate_yaml/',
+    json: '/api/v1/change-set/change-set/validate_json/',
+  },
+  execute: {
+    yaml: '/api/v1/change-set/change-set/execute_yaml/',
+    json: '/api/v1/change-set/change-set/execute_json/',
+  },
+  taskStatus: taskId => `/api/v1/task-status/${encodeURIComponent(taskId)}/`,
+  revokeTask: taskId => `/api/v1/task-status/${encodeURIComponent(taskId)}/revoke/`,
+};
+
+// Gateway responses sent after the request was forwarded to InProd, which
+// may have processed it. Submissions are never retried on these, even when
+// listed in retryStatusCodes, so a changeset cannot run twice.
+const FORWARDED_STATUS_CODES = new Set([500, 502, 504]);
+
+// Connection errors raised before any request bytes reach the server.
+// These are safe to retry even for non-idempotent submissions.
+const CONNECT_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+// Raised for every failed InProd API call. `status` and `body` are set when
+// the server responded; both are undefined for network errors.
+class InProdApiError extends Error {
+  constructor(message, { status, body, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'InProdApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Raised when a single API call runs past its request timeout (or the
+// caller's deadline) and is aborted.
+class InProdTimeoutError extends InProdApiError {
+  constructor(message, { timeoutSeconds, cause } = {}) {
+    super(message, { cause });
+    this.name = 'InProdTimeoutError';
+    this.timeoutSeconds = timeoutSeconds;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function buildUrl(baseUrl, endpoint, environment) {
+  const envParam = environment ? `?environment=${encodeURIComponent(environment)}` : '';
+  return `${baseUrl}${endpoint}${envParam}`;
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+// Returns the delay in milliseconds, or null when absent or unparseable.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+function isConnectError(error) {
+  const code = error.code || (error.cause && error.cause.code);
+  return CONNECT_ERROR_CODES.has(code);
+}
+
+// Thin client for the InProd REST API. Owns authentication, URL building,
+// timeouts, retries and response parsing so every caller goes through one
+// code path. `transport` has the fetch() signature and can be replaced in
+// tests; it must honour `init.signal` for timeouts to take effect.
+class InProdClient {
+  constructor({ baseUrl, apiKey, retry = {}, requestTimeoutSeconds = DEFAULT_REQUEST_TIMEOUT_SECONDS, transport } = {}) {
+    this.baseUrl = (baseUrl || '').replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.retry = { ...DEFAULT_RETRY, ...retry };
+    this.requestTimeoutSeconds = requestTimeoutSeconds;
+    this.transport = transport || ((url, init) => fetch(url, init));
+  }
+
+  // Submit a changeset for validation. Returns { taskId, attributes }.
+  async validateChangeset(body, { format = 'yaml', environment } = {}) {
+    return this.submitChangeset('Validation', ENDPOINTS.validate[format], body, { format, environment });
+  }
+
+  // Submit a changeset for execution. Returns { taskId, attributes }.
+  async executeChangeset(body, { format = 'yaml', environment } = {}) {
+    return this.submitChangeset('Execution', ENDPOINTS.execute[format], body, { format, environment });
+  }
+
+  // Fetch the current state of a background task. Returns the parsed body,
+  // e.g. { status: 'SUCCESS', result: {...} }. When `deadline` (epoch ms) is
+  // given, neither the request nor its retries run past it.
+  async getTaskStatus(taskId, { deadline } = {}) {
+    const url = `${this.baseUrl}${ENDPOINTS.taskStatus(taskId)}`;
+    return this.request('Task status', url, { method: 'GET' }, { idempotent: true, deadline });
+  }
+
+  // Ask InProd to cancel a background task. Revoking is safe to repeat, so
+  // the call is retried like a status check. Returns the parsed body.
+  async revokeTask(taskId, { deadline } = {}) {
+    const url = `${this.baseUrl}${ENDPOINTS.revokeTask(taskId)}`;
+    return this.request('Revoke', url, { method: 'POST' }, { idempotent: true, deadline });
+  }
+
+  async submitChangeset(operation, endpoint, body, { format, environment }) {
+    const url = buildUrl(this.baseUrl, endpoint, environment);
+    const contentType = format === 'json' ? 'application/json' : 'application/yaml';
+    const data = await this.request(operation, url, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body,
+    });
+
+    const attributes = data && data.data && data.data.attributes;
+    if (!attributes || typeof attributes !== 'object') {
+      throw new InProdApiError(
+        `Failed to extract task_id from ${operation.toLowerCase()} response. Response: ${JSON.stringify(data)}`
+      );
+    }
+
+    const taskId = attributes.task_id;
+    if (!taskId || String(taskId).trim() === '') {
+      throw new InProdApiError(`${operation} API returned an empty task_id`);
+    }
+
+    return { taskId: String(taskId), attributes };
+  }
+
+  // Send an authenticated request and return the parsed JSON body.
+  // Throws InProdTimeoutError when the call is aborted, and InProdApiError
+  // for other network errors, non-2xx responses and bodies that are not JSON.
+  async request(operation, url, init, { idempotent = false, deadline } = {}) {
+    const requestInit = {
+      ...init,
+      headers: {
+        'Authorization': `Api-Key ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        ...init.headers,
+      },
+    };
+
+    core.debug(`Sending ${operation.toLowerCase()} request: ${init.method} ${url}`);
+    let response;
+    try {
+      response = await this.fetchWithRetry(operation, url, requestInit, { idempotent, deadline });
+    } catch (error) {
+      core.debug(`Full error details: ${error.stack}`);
+      if (error instanceof InProdTimeoutError) throw error;
+      throw new InProdApiError(`Failed to connect to InProd API at ${url}: ${error.message}`, { cause: error });
+    }
+    core.debug(`API response status: ${response.status}`);
+
+    if (!response.ok) {
+      throw new InProdApiError(
+        `${operation} request failed with status ${response.status}: ${response.body || response.statusText}`,
+        { status: response.status, body: response.body }
+      );
+    }
+
+    // Some endpoints (e.g. revoke) may answer 204 No Content
+    if (!response.body) return {};
+
+    let data;
+    try {
+      data = JSON.parse(response.body);
+    } catch (e) {
+      throw new InProdApiError(`${operation} response was not valid JSON: ${e.message}`, { status: response.status });
+    }
+    core.debug(`${operation} response: ${JSON.stringify(data)}`);
+    return data;
+  }
+
+  // Make a single call, aborting it after timeoutMs. The body is read inside
+  // the timeout so a connection that stalls mid-response is also aborted.
+  // Returns { ok, status, statusText, headers, body }.
+  async send(operation, url, init, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await this.transport(url, { ...init, signal: controller.signal });
+      const body = await response.text();
+      return { ok: response.ok, status: response.status, statusText: response.statusText, headers: response.headers, body };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        const timeoutSeconds = Math.round(timeoutMs / 100) / 10;
+        throw new InProdTimeoutError(
+          `${operation} request to ${url} timed out after ${timeoutSeconds}s`,
+          { timeoutSeconds, cause: error }
+        );
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Apply the timeout and retry policy to a single call. Idempotent calls are
+  // retried on any network error or timeout and on retryStatusCodes;
+  // submissions are only retried on connection errors and on the listed
+  // codes InProd returns without processing the request (429, 503), never
+  // on FORWARDED_STATUS_CODES. 429 and 503 responses honour Retry-After:
+  // calls with a deadline wait for it up to the deadline, and calls without
+  // one (submissions) give up when it is longer than the request timeout.
+  // Returns the last response (which may be non-ok) or throws the last
+  // error once attempts are exhausted or the deadline has passed.
+  async fetchWithRetry(operation, url, init, { idempotent = false, deadline } = {}) {
+    const { maxAttempts, retryStatusCodes, baseDelaySeconds } = this.retry;
+    const timeLeft = () => (deadline === undefined ? Infinity : deadline - Date.now());
+
+    for (let attempt = 1; ; attempt++) {
+      const timeoutMs = Math.max(0, Math.min(this.requestTimeoutSeconds * 1000, timeLeft()));
+      let response;
+      let delay = baseDelaySeconds * 1000 * 2 ** (attempt - 1);
+      try {
+        response = await this.send(operation, url, init, timeoutMs);
+      } catch (error) {
+        const retryable = idempotent || isConnectError(error);
+        if (attempt >= maxAttempts || !retryable || delay >= timeLeft()) {
+          throw error;
+        }
+        const reason = error instanceof InProdTimeoutError
+          ? error.message
+          : `Network error calling ${init.method} ${url}: ${error.message}`;
+        core.warning(`${reason}. Retrying in ${delay / 1000}s (attempt ${attempt + 1}/${maxAttempts})...`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (response.ok || attempt >= maxAttempts || !retryStatusCodes.includes(response.status)) {
+        return response;
+      }
+      if (!idempotent && FORWARDED_STATUS_CODES.has(response.status)) {
+        return response;
+      }
+
+      let retryAfter = null;
+      if (response.status === 429 || response.status === 503) {
+        retryAfter = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+        // Submissions have no deadline, so a long Retry-After would hold
+        // the job until the runner's time limit. Give up instead
+        if (retryAfter !== null && deadline === undefined && retryAfter > this.requestTimeoutSeconds * 1000) {
+          core.warning(
+            `${init.method} ${url} returned status ${response.status} with Retry-After of ${retryAfter / 1000}s, ` +
+            `longer than request_timeout_seconds (${this.requestTimeoutSeconds}s). Not retrying`
+          );
+          return response;
+        }
+        if (retryAfter !== null) delay = Math.min(retryAfter, timeLeft());
+      }
+      // The server asked to wait; the retry then runs at the deadline at the
+      // latest. Otherwise a backoff that reaches the deadline is not worth it
+      if (retryAfter === null && delay >= timeLeft()) {
+        return response;
+      }
+      core.warning(
+        `${init.method} ${url} returned status ${response.status}. ` +
+        `Retrying in ${delay / 1000}s (attempt ${attempt + 1}/${maxAttempts})...`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { InProdClient, InProdApiError, InProdTimeoutError, DEFAULT_RETRY, DEFAULT_REQUEST_TIMEOUT_SECONDS, ENDPOINTS, buildUrl, parseRetryAfter, sleep };
@@ -0,0 +1,417 @@
+// Mock @actions/core
+const mockCore = {
+  info: jest.fn(),
+  error: jest.fn(),
+  warning: jest.fn(),
+  debug: jest.fn(),
+};
+jest.mock('@actions/core', () => mockCore);
+
+const { InProdClient, InProdApiError, InProdTimeoutError, buildUrl, parseRetryAfter } = require('./client');
+
+// Helpers
+function fakeResponse(status, body, headers = {}) {
+  const ok = status >= 200 && status < 300;
+  return {
+    ok,
+    status,
+    statusText: ok ? 'OK' : 'Error',
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: jest.fn().mockImplementation(async () => {
+      if (typeof body === 'string') throw new SyntaxError('Unexpected token');
+      return body;
+    }),
+    text: jest.fn().mockResolvedValue(typeof body === 'string' ? body : JSON.stringify(body)),
+  };
+}
+
+// A transport that replays a queue of responses, errors or (url, init) handlers
+// and records calls
+function fakeTransport(...replies) {
+  return jest.fn(async (url, init) => {
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    if (typeof reply === 'function') return reply(url, init);
+    return reply;
+  });
+}
+
+// A reply that never resolves until the request is aborted, like a hung connection
+function hang(url, init) {
+  return new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+  });
+}
+
+function taskResponse(taskId = 'task-1') {
+  return { data: { attributes: { title: 'Processing...', run_id: 42, task_id: taskId } } };
+}
+
+function connectError(code) {
+  const error = new TypeError('fetch failed');
+  error.cause = { code };
+  return error;
+}
+
+function createClient(transport, retry = {}, requestTimeoutSeconds = 60) {
+  return new InProdClient({ baseUrl: 'https://test.inprod.io/', apiKey: 'secret', retry, requestTimeoutSeconds, transport });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// ─── buildUrl ───────────────────────────────────────────────────────────────
+
+describe('buildUrl', () => {
+  test('appends encoded environment as query parameter', () => {
+    expect(buildUrl('https://test.inprod.io', '/api/v1/x/', 'My Env')).toBe('https://test.inprod.io/api/v1/x/?environment=My%20Env');
+  });
+});
+
+// ─── InProdClient — requests ────────────────────────────────────────────────
+
+describe('InProdClient — requests', () => {
+  test('validateChangeset posts yaml with auth header and returns the task id', async () => {
+    const transport = fakeTransport(fakeResponse(200, taskResponse('v-1')));
+    const client = createClient(transport);
+
+    const outcome = await client.validateChangeset('name: Test', { format: 'yaml', environment: 'UAT' });
+
+    expect(outcome).toEqual({ taskId: 'v-1', attributes: taskResponse('v-1').data.attributes });
+    expect(transport).toHaveBeenCalledWith(
+      'https://test.inprod.io/api/v1/change-set/change-set/validate_yaml/?environment=UAT',
+      {
+        method: 'POST',
+        headers: { 'Authorization': 'Api-Key secret', 'Content-Type': 'application/yaml' },
+        body: 'name: Test',
+        signal: expect.any(AbortSignal),
+      }
+    );
+  });
+
+  test('executeChangeset uses the json endpoint and content type for json', async () => {
+    const transport = fakeTransport(fakeResponse(200, taskResponse('e-1')));
+    const client = createClient(transport);
+
+    const { taskId } = await client.executeChangeset('{}', { format: 'json' });
+
+    expect(taskId).toBe('e-1');
+    expect(transport).toHaveBeenCalledWith(
+      'https://test.inprod.io/api/v1/change-set/change-set/execute_json/',
+      expect.objectContaining({
+        headers: { 'Authorization': 'Api-Key secret', 'Content-Type': 'application/json' },
+      })
+    );
+  });
+
+  test('getTaskStatus returns the parsed task status', async () => {
+    const transport = fakeTransport(fakeResponse(200, { status: 'SUCCESS', result: { run_id: 1 } }));
+    const client = createClient(transport);
+
+    const status = await client.getTaskStatus('task-9');
+
+    expect(status).toEqual({ status: 'SUCCESS', result: { run_id: 1 } });
+    expect(transport).toHaveBeenCalledWith(
+      'https://test.inprod.io/api/v1/task-status/task-9/',
+      expect.objectContaining({ method: 'GET' })
+    );
+  });
+
+  test('revokeTask posts to the revoke endpoint and accepts an empty body', async () => {
+    const transport = fakeTransport(fakeResponse(204, ''));
+    const client = createClient(transport);
+
+    await expect(client.revokeTask('task-9')).resolves.toEqual({});
+    expect(transport).toHaveBeenCalledWith(
+      'https://test.inprod.io/api/v1/task-status/task-9/revoke/',
+      expect.objectContaining({ method: 'POST' })
+    );
+  });
+
+  test('throws InProdApiError with status and body on non-ok responses', async () => {
+    const client = createClient(fakeTransport(fakeResponse(401, 'Invalid API key')));
+
+    const error = await client.executeChangeset('x').catch(e => e);
+
+    expect(error).toBeInstanceOf(InProdApiError);
+    expect(error.message).toBe('Execution request failed with status 401: Invalid API key');
+    expect(error.status).toBe(401);
+    expect(error.body).toBe('Invalid API key');
+  });
+
+  test('uses the same message format for every operation', async () => {
+    const client = createClient(fakeTransport(
+      fakeResponse(403, 'Forbidden'),
+      fakeResponse(404, 'Not found'),
+    ));
+
+    await expect(client.validateChangeset('x')).rejects.toThrow('Validation request failed with status 403: Forbidden');
+    await expect(client.getTaskStatus('t')).rejects.toThrow('Task status request failed with status 404: Not found');
+  });
+
+  test('wraps network errors for every operation', async () => {
+    const client = createClient(fakeTransport(new Error('socket hang up')), { maxAttempts: 1 });
+
+    await expect(client.getTaskStatus('t')).rejects.toThrow(
+      'Failed to connect to InProd API at https://test.inprod.io/api/v1/task-status/t/: socket hang up'
+    );
+  });
+
+  test('throws when the response body is not JSON', async () => {
+    const client = createClient(fakeTransport(fakeResponse(200, '<html>')));
+
+    await expect(client.getTaskStatus('t')).rejects.toThrow('Task status response was not valid JSON');
+  });
+
+  test('throws when the submit response has no attributes', async () => {
+    const client = createClient(fakeTransport(fakeResponse(200, { unexpected: true })));
+
+    await expect(client.validateChangeset('x')).rejects.toThrow(
+      'Failed to extract task_id from validation response. Response: {"unexpected":true}'
+    );
+  });
+
+  test('throws when the submit response has an empty task_id', async () => {
+    const client = createClient(fakeTransport(fakeResponse(200, { data: { attributes: { task_id: ' ' } } })));
+
+    await expect(client.executeChangeset('x')).rejects.toThrow('Execution API returned an empty task_id');
+  });
+});
+
+// ─── InProdClient — retry policy ────────────────────────────────────────────
+
+describe('InProdClient — retry policy', () => {
+  test('retries a submission on a retryable status code with exponential delay', async () => {
+    const transport = fakeTransport(
+      fakeResponse(503, 'Unavailable'),
+      fakeResponse(503, 'Unavailable'),
+      fakeResponse(200, taskResponse()),
+    );
+    const client = createClient(transport);
+
+    const promise = client.executeChangeset('x');
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(transport).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(2000);
+    await promise;
+
+    expect(transport).toHaveBeenCalledTimes(3);
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('returned status 503. Retrying in 1s (attempt 2/3)'));
+  });
+
+  test('retries 502 only on idempotent calls, since the request may have been processed', async () => {
+    const submission = fakeTransport(fakeResponse(502, 'Bad Gateway'), fakeResponse(200, taskResponse()));
+    await expect(createClient(submission).executeChangeset('x')).rejects.toThrow('Execution request failed with status 502: Bad Gateway');
+    expect(submission).toHaveBeenCalledTimes(1);
+
+    const statusCheck = fakeTransport(fakeResponse(502, 'Bad Gateway'), fakeResponse(200, { status: 'STARTED' }));
+    const promise = createClient(statusCheck).getTaskStatus('t');
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(promise).resolves.toEqual({ status: 'STARTED' });
+  });
+
+  test('honours Retry-After seconds on 429', async () => {
+    const transport = fakeTransport(
+      fakeResponse(429, 'Too Many Requests', { 'retry-after': '7' }),
+      fakeResponse(200, taskResponse()),
+    );
+    const client = createClient(transport);
+
+    const promise = client.executeChangeset('x');
+    await jest.advanceTimersByTimeAsync(6999);
+    expect(transport).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    await promise;
+
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails without waiting when Retry-After is longer than the request timeout', async () => {
+    const transport = fakeTransport(fakeResponse(429, 'Too Many Requests', { 'retry-after': '86400' }));
+    const client = createClient(transport);
+
+    await expect(client.executeChangeset('x')).rejects.toThrow('Execution request failed with status 429: Too Many Requests');
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining(
+      'returned status 429 with Retry-After of 86400s, longer than request_timeout_seconds (60s). Not retrying'
+    ));
+  });
+
+  test('waits for a long Retry-After on a status check, up to its deadline', async () => {
+    const transport = fakeTransport(
+      fakeResponse(429, 'Too Many Requests', { 'retry-after': '90' }),
+      fakeResponse(200, { status: 'STARTED' }),
+    );
+    const client = createClient(transport);
+
+    const promise = client.getTaskStatus('t', { deadline: Date.now() + 600 * 1000 });
+    await jest.advanceTimersByTimeAsync(89999);
+    expect(transport).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(promise).resolves.toEqual({ status: 'STARTED' });
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('returned status 429. Retrying in 90s (attempt 2/3)'));
+  });
+
+  test('cuts a Retry-After short at the status check deadline', async () => {
+    const transport = fakeTransport(
+      fakeResponse(429, 'Too Many Requests', { 'retry-after': '90' }),
+      fakeResponse(200, { status: 'SUCCESS' }),
+    );
+    const client = createClient(transport);
+
+    const promise = client.getTaskStatus('t', { deadline: Date.now() + 30 * 1000 });
+    await jest.advanceTimersByTimeAsync(30000);
+
+    await expect(promise).resolves.toEqual({ status: 'SUCCESS' });
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails with the last response once attempts are exhausted', async () => {
+    const transport = fakeTransport(fakeResponse(503, 'Unavailable'), fakeResponse(503, 'Unavailable'));
+    const client = createClient(transport, { maxAttempts: 2 });
+
+    const promise = client.executeChangeset('x');
+    const assertion = expect(promise).rejects.toThrow('Execution request failed with status 503: Unavailable');
+    await jest.advanceTimersByTimeAsync(1000);
+    await assertion;
+
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry status codes outside retryStatusCodes', async () => {
+    const transport = fakeTransport(fakeResponse(500, 'Internal Server Error'));
+    const client = createClient(transport);
+
+    await expect(client.executeChangeset('x')).rejects.toThrow('status 500');
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses custom retryStatusCodes', async () => {
+    const transport = fakeTransport(fakeResponse(409, 'Conflict'), fakeResponse(200, taskResponse()));
+    const client = createClient(transport, { retryStatusCodes: [409] });
+
+    const promise = client.executeChangeset('x');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(promise).resolves.toEqual(expect.objectContaining({ taskId: 'task-1' }));
+  });
+
+  test('does not retry a submission on a network error after the request may have been sent', async () => {
+    const transport = fakeTransport(connectError('ECONNRESET'));
+    const client = createClient(transport);
+
+    await expect(client.executeChangeset('x')).rejects.toThrow('fetch failed');
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a submission when the connection could not be established', async () => {
+    const transport = fakeTransport(connectError('ECONNREFUSED'), fakeResponse(200, taskResponse()));
+    const client = createClient(transport);
+
+    const promise = client.validateChangeset('x');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(promise).resolves.toEqual(expect.objectContaining({ taskId: 'task-1' }));
+  });
+
+  test('retries idempotent calls on any network error', async () => {
+    const transport = fakeTransport(new Error('socket hang up'), fakeResponse(200, { status: 'PENDING' }));
+    const client = createClient(transport);
+
+    const promise = client.getTaskStatus('t');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(promise).resolves.toEqual({ status: 'PENDING' });
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Network error calling GET'));
+  });
+});
+
+// ─── InProdClient — request timeout ─────────────────────────────────────────
+
+describe('InProdClient — request timeout', () => {
+  test('aborts a hung request and throws InProdTimeoutError', async () => {
+    const transport = fakeTransport(hang);
+    const client = createClient(transport, {}, 10);
+
+    const promise = client.executeChangeset('x');
+    const assertion = expect(promise).rejects.toThrow(
+      'Execution request to https://test.inprod.io/api/v1/change-set/change-set/execute_yaml/ timed out after 10s'
+    );
+    await jest.advanceTimersByTimeAsync(10000);
+    await assertion;
+
+    const error = await promise.catch(e => e);
+    expect(error).toBeInstanceOf(InProdTimeoutError);
+    expect(error).toBeInstanceOf(InProdApiError);
+    expect(error.timeoutSeconds).toBe(10);
+  });
+
+  test('does not retry a submission that timed out', async () => {
+    const transport = fakeTransport(hang, fakeResponse(200, taskResponse()));
+    const client = createClient(transport, {}, 5);
+
+    const promise = client.validateChangeset('x');
+    const assertion = expect(promise).rejects.toBeInstanceOf(InProdTimeoutError);
+    await jest.advanceTimersByTimeAsync(5000);
+    await assertion;
+
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a timed-out status check', async () => {
+    const transport = fakeTransport(hang, fakeResponse(200, { status: 'STARTED' }));
+    const client = createClient(transport, {}, 5);
+
+    const promise = client.getTaskStatus('t');
+    await jest.advanceTimersByTimeAsync(5000 + 1000);
+
+    await expect(promise).resolves.toEqual({ status: 'STARTED' });
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('timed out after 5s. Retrying in 1s'));
+  });
+
+  test('clamps the request timeout to the caller deadline and does not retry past it', async () => {
+    const transport = fakeTransport(hang, fakeResponse(200, { status: 'STARTED' }));
+    const client = createClient(transport, {}, 60);
+
+    const promise = client.getTaskStatus('t', { deadline: Date.now() + 3000 });
+    const assertion = expect(promise).rejects.toThrow('timed out after 3s');
+    await jest.advanceTimersByTimeAsync(3000);
+    await assertion;
+
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test('clears the timeout once the response has been read', async () => {
+    const client = createClient(fakeTransport(fakeResponse(200, taskResponse())), {}, 10);
+
+    await client.executeChangeset('x');
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+// ─── parseRetryAfter ────────────────────────────────────────────────────────
+
+describe('parseRetryAfter', () => {
+  test('parses delay in seconds', () => {
+    expect(parseRetryAfter('5')).toBe(5000);
+  });
+
+  test('parses HTTP dates relative to now', () => {
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    expect(parseRetryAfter(inTenSeconds)).toBeGreaterThan(8000);
+    expect(parseRetryAfter(inTenSeconds)).toBeLessThanOrEqual(10000);
+  });
+
+  test('returns null for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
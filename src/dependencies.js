@@ -0,0 +1,119 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const jsYaml = require('js-yaml');
+const { parseDocument } = require('yaml');
+const { parseChangesetRef, readChangeset } = require('./documents');
+const { removeTopLevelKey } = require('./yamledit');
+
+// Top-level key holding metadata for this action. It is removed from the
+// changeset before it is sent to InProd.
+const METADATA_KEY = 'x-github-action';
+
+// Read the metadata block of a changeset file or document. Returns
+// { dependsOn } with paths as written in the file. Changesets that cannot be
+// parsed have no metadata; their syntax errors are reported by validation.
+function readChangesetMetadata(filePath) {
+  let doc;
+  try {
+    doc = jsYaml.load(readChangeset(filePath).content);
+  } catch (e) {
+    return { dependsOn: [] };
+  }
+  const metadata = doc && typeof doc === 'object' ? doc[METADATA_KEY] : null;
+  if (!metadata) return { dependsOn: [] };
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error(`Invalid ${METADATA_KEY} block in ${filePath}. Expected a mapping`);
+  }
+
+  const dependsOn = metadata.depends_on ?? [];
+  const list = Array.isArray(dependsOn) ? dependsOn : [dependsOn];
+  if (list.some(d => typeof d !== 'string' || d.trim() === '')) {
+    throw new Error(`Invalid depends_on in ${filePath}. Expected a list of changeset file paths`);
+  }
+  return { dependsOn: list.map(d => d.trim()) };
+}
+
+// Remove the metadata block from changeset content before submission.
+// Content without the block is returned unchanged.
+function stripChangesetMetadata(content, format) {
+  if (!content.includes(METADATA_KEY)) return content;
+
+  if (format === 'json') {
+    let doc;
+    try {
+      doc = JSON.parse(content);
+    } catch (e) {
+      return content;
+    }
+    if (!doc || typeof doc !== 'object' || !(METADATA_KEY in doc)) return content;
+    delete doc[METADATA_KEY];
+    return JSON.stringify(doc, null, 2);
+  }
+
+  // Cut the block out of the text so the rest stays byte-identical. The
+  // yaml package keeps comments and most formatting when that is not possible
+  const stripped = removeTopLevelKey(content, METADATA_KEY);
+  if (stripped !== null) return stripped;
+  const doc = parseDocument(content);
+  if (doc.errors.length > 0 || !doc.has(METADATA_KEY)) return content;
+  doc.delete(METADATA_KEY);
+  return doc.toString();
+}
+
+// Build the dependency graph of the files being processed and order them
+// so that every file comes after the files it depends on. The original
+// order is kept wherever dependencies allow. depends_on paths are relative
+// to the declaring file; depending on a multi-document file means depending
+// on all of its documents, and file.yaml#2 names a single one. Dependencies
+// that exist but are not part of this run are assumed to be deployed
+// already.
+// Returns { order, dependencies } where dependencies maps each file to the
+// files it waits for. Throws on missing files and dependency cycles.
+function resolveDependencies(filePaths) {
+  const byResolved = new Map();
+  for (const filePath of filePaths) {
+    byResolved.set(path.resolve(filePath), [filePath]);
+    const file = path.resolve(parseChangesetRef(filePath).filePath);
+    if (file !== path.resolve(filePath)) {
+      byResolved.set(file, [...(byResolved.get(file) || []), filePath]);
+    }
+  }
+  const dependencies = new Map();
+
+  for (const filePath of filePaths) {
+    const deps = [];
+    for (const dependency of readChangesetMetadata(filePath).dependsOn) {
+      const resolved = path.resolve(path.dirname(filePath), dependency);
+      if (byResolved.has(resolved)) {
+        deps.push(...byResolved.get(resolved));
+      } else if (fs.existsSync(parseChangesetRef(resolved).filePath)) {
+        core.warning(`${path.basename(filePath)} depends on ${dependency}, which is not part of this run. Assuming it is already deployed`);
+      } else {
+        throw new Error(`${filePath} depends on ${dependency}, which does not exist`);
+      }
+    }
+    dependencies.set(filePath, deps);
+  }
+
+  const order = [];
+  const state = new Map(); // undefined: unvisited, 'visiting', 'done'
+  const visit = (filePath, trail) => {
+    if (state.get(filePath) === 'done') return;
+    if (state.get(filePath) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(filePath)), filePath].map(f => path.basename(f));
+      throw new Error(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+    }
+    state.set(filePath, 'visiting');
+    for (const dependency of dependencies.get(filePath)) {
+      visit(dependency, [...trail, filePath]);
+    }
+    state.set(filePath, 'done');
+    order.push(filePath);
+  };
+  filePaths.forEach(f => visit(f, []));
+
+  return { order, dependencies };
+}
+
+module.exports = { METADATA_KEY, readChangesetMetadata, stripChangesetMetadata, resolveDependencies };
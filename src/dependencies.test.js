@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock @actions/core
+const mockCore = {
+  warning: jest.fn(),
+};
+jest.mock('@actions/core', () => mockCore);
+
+const { readChangesetMetadata, stripChangesetMetadata, resolveDependencies } = require('./dependencies');
+
+let dir;
+
+// Write a changeset that depends on the given files and return its path
+function changeset(name, dependsOn = null) {
+  const metadata = dependsOn ? `x-github-action:\n  depends_on: ${JSON.stringify(dependsOn)}\n` : '';
+  const filePath = path.join(dir, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `name: ${name}\n${metadata}action: []\n`);
+  return filePath;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inprod-deps-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('readChangesetMetadata', () => {
+  test('reads depends_on as a list or a single path', () => {
+    expect(readChangesetMetadata(changeset('a.yaml', ['b.yaml', ' c.yaml ']))).toEqual({ dependsOn: ['b.yaml', 'c.yaml'] });
+    const single = path.join(dir, 'single.yaml');
+    fs.writeFileSync(single, 'x-github-action:\n  depends_on: b.yaml\n');
+    expect(readChangesetMetadata(single)).toEqual({ dependsOn: ['b.yaml'] });
+  });
+
+  test('returns no dependencies without a metadata block or for unparseable files', () => {
+    expect(readChangesetMetadata(changeset('a.yaml'))).toEqual({ dependsOn: [] });
+    const broken = path.join(dir, 'broken.yaml');
+    fs.writeFileSync(broken, 'name: [unclosed');
+    expect(readChangesetMetadata(broken)).toEqual({ dependsOn: [] });
+  });
+
+  test('reads the metadata block of JSON changesets', () => {
+    const filePath = path.join(dir, 'a.json');
+    fs.writeFileSync(filePath, JSON.stringify({ name: 'a', 'x-github-action': { depends_on: ['b.json'] } }));
+    expect(readChangesetMetadata(filePath)).toEqual({ dependsOn: ['b.json'] });
+  });
+
+  test('rejects malformed metadata', () => {
+    const filePath = path.join(dir, 'bad.yaml');
+    fs.writeFileSync(filePath, 'x-github-action: [b.yaml]\n');
+    expect(() => readChangesetMetadata(filePath)).toThrow(`Invalid x-github-action block in ${filePath}. Expected a mapping`);
+    fs.writeFileSync(filePath, 'x-github-action:\n  depends_on: [1]\n');
+    expect(() => readChangesetMetadata(filePath)).toThrow(`Invalid depends_on in ${filePath}. Expected a list of changeset file paths`);
+  });
+});
+
+describe('stripChangesetMetadata', () => {
+  test('removes the block from YAML and keeps the rest as written', () => {
+    const content = '# Queues\nname: a # release 4\nx-github-action:\n  depends_on: [b.yaml]\naction: []\n';
+    expect(stripChangesetMetadata(content, 'yaml')).toBe('# Queues\nname: a # release 4\naction: []\n');
+  });
+
+  test('removes the block from JSON', () => {
+    const content = JSON.stringify({ name: 'a', 'x-github-action': { depends_on: ['b.json'] }, action: [] });
+    expect(JSON.parse(stripChangesetMetadata(content, 'json'))).toEqual({ name: 'a', action: [] });
+  });
+
+  test('returns content without a block unchanged', () => {
+    const content = 'name: a\naction: []   # spacing kept\n';
+    expect(stripChangesetMetadata(content, 'yaml')).toBe(content);
+    expect(stripChangesetMetadata('{"name": "x-github-action"}', 'json')).toBe('{"name": "x-github-action"}');
+  });
+});
+
+describe('resolveDependencies', () => {
+  test('keeps the original order when nothing depends on anything', () => {
+    const files = ['a.yaml', 'b.yaml', 'c.yaml'].map(name => changeset(name));
+    expect(resolveDependencies(files).order).toEqual(files);
+  });
+
+  test('moves dependencies ahead of the files that need them', () => {
+    const a = changeset('a.yaml', ['c.yaml']);
+    const b = changeset('b.yaml');
+    const c = changeset('c.yaml', ['sub/d.yaml']);
+    const d = changeset('sub/d.yaml');
+
+    const { order, dependencies } = resolveDependencies([a, b, c, d]);
+
+    expect(order).toEqual([d, c, a, b]);
+    expect(dependencies.get(a)).toEqual([c]);
+    expect(dependencies.get(b)).toEqual([]);
+  });
+
+  test('resolves depends_on relative to the declaring file', () => {
+    const a = changeset('team/a.yaml', ['../shared/b.yaml']);
+    const b = changeset('shared/b.yaml');
+    expect(resolveDependencies([a, b]).order).toEqual([b, a]);
+  });
+
+  test('detects cycles', () => {
+    const a = changeset('a.yaml', ['b.yaml']);
+    const b = changeset('b.yaml', ['c.yaml']);
+    const c = changeset('c.yaml', ['a.yaml']);
+    expect(() => resolveDependencies([a, b, c])).toThrow('Dependency cycle detected: a.yaml -> b.yaml -> c.yaml -> a.yaml');
+    expect(() => resolveDependencies([changeset('self.yaml', ['self.yaml'])])).toThrow('Dependency cycle detected: self.yaml -> self.yaml');
+  });
+
+  test('fails on a dependency that does not exist', () => {
+    const a = changeset('a.yaml', ['missing.yaml']);
+    expect(() => resolveDependencies([a])).toThrow(`${a} depends on missing.yaml, which does not exist`);
+  });
+
+  test('warns about dependencies outside this run and treats them as deployed', () => {
+    const a = changeset('a.yaml', ['b.yaml']);
+    changeset('b.yaml');
+
+    const { order, dependencies } = resolveDependencies([a]);
+
+    expect(order).toEqual([a]);
+    expect(dependencies.get(a)).toEqual([]);
+    expect(mockCore.warning).toHaveBeenCalledWith('a.yaml depends on b.yaml, which is not part of this run. Assuming it is already deployed');
+  });
+
+  test('depends on every document of a multi-document file, or on one by label', () => {
+    const multi = path.join(dir, 'multi.yaml');
+    fs.writeFileSync(multi, 'name: m1\n---\nname: m2\nx-github-action:\n  depends_on: [b.yaml]\n');
+    const a = changeset('a.yaml', ['multi.yaml']);
+    const b = changeset('b.yaml');
+    const c = changeset('c.yaml', ['multi.yaml#1']);
+
+    const { order, dependencies } = resolveDependencies([a, `${multi}#1`, `${multi}#2`, b, c]);
+
+    expect(dependencies.get(a)).toEqual([`${multi}#1`, `${multi}#2`]);
+    expect(dependencies.get(c)).toEqual([`${multi}#1`]);
+    expect(order).toEqual([`${multi}#1`, b, `${multi}#2`, a, c]);
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { parseAllDocuments, isScalar } = require('yaml');
+
+// A changeset from a multi-document YAML file is referred to as
+// `<path>#<n>`, where n counts the file's non-empty documents from 1. The
+// reference doubles as its label, so path.basename() gives `file.yaml#2`.
+const DOCUMENT_REF = /^(.*)#(\d+)$/;
+
+function parseChangesetRef(ref) {
+  const match = DOCUMENT_REF.exec(ref);
+  return match ? { filePath: match[1], documentIndex: Number(match[2]) } : { filePath: ref, documentIndex: null };
+}
+
+// A document with nothing but comments or a bare `---` parses as null
+function isEmptyDocument(doc) {
+  return doc.contents === null || (isScalar(doc.contents) && doc.contents.value === null);
+}
+
+function countLines(text) {
+  return (text.match(/\n/g) || []).length;
+}
+
+// Split YAML content into its non-empty documents as { content, lineOffset },
+// where lineOffset is the number of lines before the document in the file.
+// Each document is cut from the start to the end of its value, without the
+// `---` and `...` markers or the comments around it, so a changeset gives
+// the same body wherever it is in the file. Content with a single
+// document, or that does not parse, is returned whole so validation can
+// report its errors.
+function splitYamlDocuments(content) {
+  const whole = [{ content, lineOffset: 0 }];
+  let docs;
+  try {
+    docs = parseAllDocuments(content);
+  } catch (e) {
+    return whole;
+  }
+  if (!Array.isArray(docs) || docs.some(doc => doc.errors.length > 0)) return whole;
+  const nonEmpty = docs.filter(doc => !isEmptyDocument(doc));
+  if (nonEmpty.length <= 1) return whole;
+  return nonEmpty.map(doc => ({
+    content: content.slice(doc.contents.range[0], doc.contents.range[1]),
+    lineOffset: countLines(content.slice(0, doc.contents.range[0])),
+  }));
+}
+
+// References for the changesets in a file: one per document for a
+// multi-document YAML file, otherwise the file path itself.
+function listChangesetRefs(filePath, format) {
+  if (format !== 'yaml') return [filePath];
+  const documents = splitYamlDocuments(fs.readFileSync(filePath, 'utf8'));
+  if (documents.length === 1) return [filePath];
+  return documents.map((doc, i) => `${filePath}#${i + 1}`);
+}
+
+// Read the changeset a reference points at. Returns { filePath, content,
+// lineOffset } where filePath is the file on disk and lineOffset the line
+// the changeset starts after.
+function readChangeset(ref) {
+  const { filePath, documentIndex } = parseChangesetRef(ref);
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (documentIndex === null) return { filePath, content, lineOffset: 0 };
+
+  const documents = splitYamlDocuments(content);
+  const document = documents.length > 1 ? documents[documentIndex - 1] : null;
+  if (!document) {
+    throw new Error(`Changeset ${ref} not found: ${filePath} has ${documents.length} document(s)`);
+  }
+  return { filePath, ...document };
+}
+
+module.exports = { parseChangesetRef, splitYamlDocuments, listChangesetRefs, readChangeset };
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseChangesetRef, splitYamlDocuments, listChangesetRefs, readChangeset } = require('./documents');
+
+const MULTI = `# Queues
+name: first
+action: []
+---
+# second changeset
+name: second
+action: []
+...
+--- # third
+name: third
+action: []
+---
+`;
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inprod-docs-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('parseChangesetRef', () => {
+  test('splits a document reference into file and index', () => {
+    expect(parseChangesetRef('/repo/multi.yaml#2')).toEqual({ filePath: '/repo/multi.yaml', documentIndex: 2 });
+    expect(parseChangesetRef('/repo/single.yaml')).toEqual({ filePath: '/repo/single.yaml', documentIndex: null });
+    expect(parseChangesetRef('/repo/#notes.yaml')).toEqual({ filePath: '/repo/#notes.yaml', documentIndex: null });
+  });
+});
+
+describe('splitYamlDocuments', () => {
+  test('returns each non-empty document with the lines before it', () => {
+    expect(splitYamlDocuments(MULTI)).toEqual([
+      { content: 'name: first\naction: []\n', lineOffset: 1 },
+      { content: 'name: second\naction: []\n', lineOffset: 5 },
+      { content: 'name: third\naction: []\n', lineOffset: 9 },
+    ]);
+  });
+
+  test('gives a changeset the same content wherever it is in the file', () => {
+    const changeset = 'name: same\naction: []\n';
+    const contents = [
+      `${changeset}---\nname: other\n`,
+      `---\n${changeset}---\nname: other\n`,
+      `name: other\n---\n${changeset}`,
+      `name: other\n--- # same\n${changeset}...\n---\nname: last\n`,
+    ].map(content => splitYamlDocuments(content).find(doc => doc.content.startsWith('name: same')).content);
+    expect(contents).toEqual([changeset, changeset, changeset, changeset]);
+  });
+
+  test('keeps single documents and unparseable content whole', () => {
+    expect(splitYamlDocuments('---\nname: only\n')).toEqual([{ content: '---\nname: only\n', lineOffset: 0 }]);
+    const broken = 'name: a\n---\nname: [unclosed\n';
+    expect(splitYamlDocuments(broken)).toEqual([{ content: broken, lineOffset: 0 }]);
+  });
+});
+
+describe('listChangesetRefs', () => {
+  test('lists one reference per document of a multi-document YAML file', () => {
+    const filePath = path.join(dir, 'multi.yaml');
+    fs.writeFileSync(filePath, MULTI);
+    expect(listChangesetRefs(filePath, 'yaml')).toEqual([`${filePath}#1`, `${filePath}#2`, `${filePath}#3`]);
+  });
+
+  test('keeps single-document and JSON files as they are', () => {
+    const yamlPath = path.join(dir, 'single.yaml');
+    fs.writeFileSync(yamlPath, 'name: single\n');
+    const jsonPath = path.join(dir, 'single.json');
+    fs.writeFileSync(jsonPath, '{"name": "single"}');
+    expect(listChangesetRefs(yamlPath, 'yaml')).toEqual([yamlPath]);
+    expect(listChangesetRefs(jsonPath, 'json')).toEqual([jsonPath]);
+  });
+});
+
+describe('readChangeset', () => {
+  test('reads one document of a multi-document file', () => {
+    const filePath = path.join(dir, 'multi.yaml');
+    fs.writeFileSync(filePath, MULTI);
+    expect(readChangeset(`${filePath}#3`)).toEqual({ filePath, content: 'name: third\naction: []\n', lineOffset: 9 });
+    expect(readChangeset(filePath)).toEqual({ filePath, content: MULTI, lineOffset: 0 });
+  });
+
+  test('fails for a document that does not exist', () => {
+    const filePath = path.join(dir, 'multi.yaml');
+    fs.writeFileSync(filePath, MULTI);
+    expect(() => readChangeset(`${filePath}#4`)).toThrow(`Changeset ${filePath}#4 not found: ${filePath} has 3 document(s)`);
+  });
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// Replaces every injected variable value in dry-run bodies. Injected values
+// are registered as secrets, and the files are meant to be uploaded as an
+// artifact, which GitHub does not mask.
+const REDACTED = '***';
+
+// Stand-in for base_url in dry-run URLs when the input is not set
+const BASE_URL_PLACEHOLDER = '<base_url>';
+
+const INDEX_FILE = 'requests.json';
+
+function redactVariables(changesetVariables) {
+  if (!changesetVariables) return changesetVariables;
+  return Object.fromEntries(Object.keys(changesetVariables).map(key => [key, REDACTED]));
+}
+
+// File name for one request body: position in the run, the changeset's
+// file name (with `#n` for a document of a multi-document file), the
+// operation and the body format, e.g. 002-queues-2.execute.yaml.
+function dryRunFileName(position, ref, operation, format) {
+  const label = path.basename(ref).replace(/\.[^.#]+(#\d+)?$/, '$1').replace(/#/g, '-');
+  return `${String(position).padStart(3, '0')}-${label}.${operation}.${format}`;
+}
+
+// Write each request body to outputDir, plus requests.json listing the
+// requests in order as { changeset, operation, method, url, content_type,
+// body_file }. Files from an earlier dry run with the same names are
+// overwritten. Returns the index entries.
+function writeDryRunRequests(requests, outputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const index = requests.map(request => {
+    fs.writeFileSync(path.join(outputDir, request.fileName), request.body);
+    return {
+      changeset: path.basename(request.ref),
+      operation: request.operation,
+      method: 'POST',
+      url: request.url,
+      content_type: request.format === 'json' ? 'application/json' : 'application/yaml',
+      body_file: request.fileName,
+    };
+  });
+  fs.writeFileSync(path.join(outputDir, INDEX_FILE), `${JSON.stringify(index, null, 2)}\n`);
+  return index;
+}
+
+module.exports = { REDACTED, BASE_URL_PLACEHOLDER, INDEX_FILE, redactVariables, dryRunFileName, writeDryRunRequests };
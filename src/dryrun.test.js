@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { REDACTED, redactVariables, dryRunFileName, writeDryRunRequests } = require('./dryrun');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inprod-dry-run-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('redactVariables', () => {
+  test('replaces every value and keeps the keys', () => {
+    expect(redactVariables({ REGION: 'us-east-1', 'Production:DB_PASSWORD': 's3cret' })).toEqual({
+      REGION: REDACTED,
+      'Production:DB_PASSWORD': REDACTED,
+    });
+  });
+
+  test('passes through no variables', () => {
+    expect(redactVariables(null)).toBeNull();
+  });
+});
+
+describe('dryRunFileName', () => {
+  test.each([
+    [1, 'changesets/queues.yaml', 'validate', 'yaml', '001-queues.validate.yaml'],
+    [12, '/repo/flows.v2.json', 'execute', 'json', '012-flows.v2.execute.json'],
+    [3, 'changesets/queues.yaml#2', 'execute', 'yaml', '003-queues-2.execute.yaml'],
+  ])('names request %i for %s', (position, ref, operation, format, expected) => {
+    expect(dryRunFileName(position, ref, operation, format)).toBe(expected);
+  });
+});
+
+describe('writeDryRunRequests', () => {
+  test('writes each body and a requests.json index', () => {
+    const outputDir = path.join(dir, 'out');
+    const index = writeDryRunRequests([
+      { ref: 'changesets/queues.yaml', operation: 'validate', format: 'yaml', body: 'name: q\n', url: 'https://x/validate_yaml/', fileName: '001-queues.validate.yaml' },
+      { ref: 'changesets/flows.json', operation: 'execute', format: 'json', body: '{}', url: 'https://x/execute_json/', fileName: '002-flows.execute.json' },
+    ], outputDir);
+
+    expect(index).toEqual([
+      { changeset: 'queues.yaml', operation: 'validate', method: 'POST', url: 'https://x/validate_yaml/', content_type: 'application/yaml', body_file: '001-queues.validate.yaml' },
+      { changeset: 'flows.json', operation: 'execute', method: 'POST', url: 'https://x/execute_json/', content_type: 'application/json', body_file: '002-flows.execute.json' },
+    ]);
+    expect(fs.readFileSync(path.join(outputDir, '001-queues.validate.yaml'), 'utf8')).toBe('name: q\n');
+    expect(fs.readFileSync(path.join(outputDir, '002-flows.execute.json'), 'utf8')).toBe('{}');
+    expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'requests.json'), 'utf8'))).toEqual(index);
+  });
+});
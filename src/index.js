@@ -2,40 +2,71 @@ const core = require('@actions/core');
 const fs = require('fs');
 const path = require('path');
 const { globSync } = require('glob');
+const { minimatch } = require('minimatch');
 const yaml = require('js-yaml');
+const { InProdClient, InProdTimeoutError, DEFAULT_RETRY, DEFAULT_REQUEST_TIMEOUT_SECONDS, ENDPOINTS, buildUrl, sleep } = require('./client');
+const { editTopLevelSequence } = require('./yamledit');
+const { BASE_URL_PLACEHOLDER, redactVariables, dryRunFileName, writeDryRunRequests } = require('./dryrun');
+const { changesetHash, loadState, findAppliedRun, recordAppliedRun, writeState } = require('./state');
+const { createLockBackend, acquireDeploymentLocks, releaseDeploymentLocks } = require('./lock');
+const { writeJobSummary } = require('./summary');
+const { resolveDependencies, stripChangesetMetadata } = require('./dependencies');
+const { loadManifest } = require('./manifest');
+const { getChangedFiles } = require('./changes');
+const { parseChangesetRef, listChangesetRefs, readChangeset } = require('./documents');
+const { checkChangesetSchema, formatSchemaErrors, annotateSchemaErrors, describeSchemaError } = require('./schema');
+const { parseVariableKey, resolveChangesetVariables, mergeVariableEntries, maskValue } = require('./variables');
+const { checkPlaceholders, formatUndefinedVariables, annotateUndefinedVariables } = require('./placeholders');
+const { collectValidationIssues, locateValidationIssues, formatValidationIssues, annotateValidationIssues } = require('./validation');
+
+const DEFAULT_POLLING = {
+  initialIntervalSeconds: 2,
+  backoffMultiplier: 1.5,
+  maxIntervalSeconds: 30,
+  jitter: 0.2,
+};
+
+// Next poll delay in milliseconds: the current interval spread by +/- jitter
+// so that pipelines started together do not poll in lockstep.
+function computePollDelay(intervalSeconds, jitter) {
+  const spread = jitter > 0 ? (Math.random() * 2 - 1) * jitter : 0;
+  return Math.max(0, intervalSeconds * (1 + spread) * 1000);
+}
 
-async function pollTask(baseUrl, apiKey, taskId, label, pollingTimeoutSeconds) {
-  const pollInterval = 5; // seconds
-  const pollUrl = `${baseUrl}/api/v1/task-status/${taskId}/`;
-  let elapsed = 0;
+async function pollTask(client, taskId, label, pollingTimeoutSeconds, polling = {}) {
+  const { initialIntervalSeconds, backoffMultiplier, maxIntervalSeconds, jitter } = { ...DEFAULT_POLLING, ...polling };
+  const startTime = Date.now();
+  const deadline = startTime + pollingTimeoutSeconds * 1000;
+  let interval = initialIntervalSeconds;
 
   core.info(`${label} dispatched as background task (task_id: ${taskId})`);
-  core.info(`Polling for completion (interval: ${pollInterval}s, timeout: ${pollingTimeoutSeconds}s)...`);
-
-  while (elapsed < pollingTimeoutSeconds) {
-    await new Promise(resolve => setTimeout(resolve, pollInterval * 1000));
-    elapsed += pollInterval;
-
+  core.info(
+    `Polling for completion (interval: ${initialIntervalSeconds}s, backoff: x${backoffMultiplier}, ` +
+    `max interval: ${maxIntervalSeconds}s, timeout: ${pollingTimeoutSeconds}s)...`
+  );
+
+  for (;;) {
+    // Checks are cut short at the polling deadline, except the final one
+    // made at the deadline, which gets a full request timeout so a task that
+    // finished during the last interval is not reported as TIMEOUT.
+    const final = Date.now() >= deadline;
+    const checkDeadline = final ? Date.now() + client.requestTimeoutSeconds * 1000 : deadline;
+
+    // Transient errors are retried inside the client. A request that times
+    // out, or is still rate limited (429/503) once the client gives up, is
+    // only a missed check, since the polling deadline bounds it; anything
+    // else the client throws is final.
+    let pollData = null;
     try {
-      const pollResponse = await fetch(pollUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Api-Key ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!pollResponse.ok) {
-        const errorBody = await pollResponse.text();
-        throw new Error(
-          `Poll failed with status ${pollResponse.status}: ${errorBody || pollResponse.statusText}`
-        );
-      }
-
-      const pollData = await pollResponse.json();
-      core.debug(`Poll response: ${JSON.stringify(pollData)}`);
+      pollData = await client.getTaskStatus(taskId, { deadline: checkDeadline });
+    } catch (e) {
+      if (!(e instanceof InProdTimeoutError) && e.status !== 429 && e.status !== 503) throw e;
+      core.warning(`${e.message}. Retrying...`);
+    }
 
+    if (pollData) {
       const status = pollData.status;
+      const elapsed = Math.round((Date.now() - startTime) / 1000);
       core.info(`  ${label} status: ${status} (${elapsed}s elapsed)`);
 
       if (status === 'SUCCESS') {
@@ -48,73 +79,153 @@ async function pollTask(baseUrl, apiKey, taskId, label, pollingTimeoutSeconds) {
         return { status: 'REVOKED' };
       }
       // PENDING, STARTED, RETRY — continue polling
-    } catch (e) {
-      if (e.message && (e.message.includes('Poll failed'))) {
-        throw e;
-      }
-      core.warning(`Error during polling: ${e.message}. Retrying...`);
-      core.debug(`Poll error details: ${e.stack}`);
     }
+
+    if (final) break;
+
+    // Never sleep past the deadline; the final check happens right at it
+    const remaining = deadline - Date.now();
+    if (remaining > 0) await sleep(Math.min(computePollDelay(interval, jitter), remaining));
+    interval = Math.min(interval * backoffMultiplier, maxIntervalSeconds);
   }
 
   return { status: 'TIMEOUT' };
 }
 
-function buildUrl(baseUrl, endpoint, environment) {
-  const envParam = environment ? `?environment=${encodeURIComponent(environment)}` : '';
-  return `${baseUrl}${endpoint}${envParam}`;
+// Seconds allowed for revoking in-flight tasks after SIGINT/SIGTERM. The
+// runner force-kills the process a few seconds after the first signal.
+const CANCEL_GRACE_SECONDS = 5;
+
+// Interval between status checks while waiting for a revoked task to stop
+const REVOKE_POLL_INTERVAL_SECONDS = 1;
+
+// Revoke a task and report the state it ends up in. Revocation is
+// asynchronous, so the status is checked until it is final or the deadline
+// (CANCEL_GRACE_SECONDS from now by default) passes. The task may have
+// finished before the revoke arrived, so the final state is not always
+// REVOKED. Returns a pollTask-style outcome with `cancelled: true`
+// (TIMEOUT when the task had not stopped by the deadline), or the TIMEOUT
+// outcome without it when the revoke itself failed.
+async function cancelTask(client, taskId, label, { deadline = Date.now() + CANCEL_GRACE_SECONDS * 1000 } = {}) {
+  core.warning(`Revoking ${label.toLowerCase()} task ${taskId}...`);
+  try {
+    await client.revokeTask(taskId, { deadline });
+  } catch (e) {
+    core.error(`Failed to revoke ${label.toLowerCase()} task ${taskId}: ${e.message}`);
+    return { status: 'TIMEOUT' };
+  }
+
+  for (;;) {
+    try {
+      const pollData = await client.getTaskStatus(taskId, { deadline });
+      if (pollData.status === 'SUCCESS') {
+        core.info(`  ${label} status after revoke: ${pollData.status}`);
+        return { status: 'SUCCESS', result: pollData.result || {}, cancelled: true };
+      } else if (pollData.status === 'FAILURE') {
+        core.info(`  ${label} status after revoke: ${pollData.status}`);
+        return { status: 'FAILURE', error: pollData.error || 'Unknown error', cancelled: true };
+      } else if (pollData.status === 'REVOKED') {
+        core.info(`  ${label} status after revoke: ${pollData.status}`);
+        return { status: 'REVOKED', cancelled: true };
+      }
+    } catch (e) {
+      core.warning(`Failed to check ${label.toLowerCase()} task ${taskId} after revoke: ${e.message}`);
+    }
+    if (Date.now() + REVOKE_POLL_INTERVAL_SECONDS * 1000 >= deadline) {
+      core.info(`  ${label} task ${taskId} had not stopped ${CANCEL_GRACE_SECONDS}s after the revoke`);
+      return { status: 'TIMEOUT', cancelled: true };
+    }
+    await sleep(REVOKE_POLL_INTERVAL_SECONDS * 1000);
+  }
+}
+
+// Poll a dispatched task to completion, recording it in `inFlightTasks`
+// while it runs so that a cancelled job can revoke it. With cancelOnTimeout,
+// a task still running at the polling deadline is revoked.
+async function waitForTask(taskId, label, options) {
+  const { client, pollingTimeoutSeconds, polling, cancelOnTimeout, inFlightTasks } = options;
+  if (inFlightTasks) inFlightTasks.set(taskId, label);
+  try {
+    const outcome = await pollTask(client, taskId, label, pollingTimeoutSeconds, polling);
+    if (outcome.status !== 'TIMEOUT' || !cancelOnTimeout) {
+      return outcome;
+    }
+    core.warning(`${label} did not complete within ${pollingTimeoutSeconds} seconds`);
+    return await cancelTask(client, taskId, label);
+  } finally {
+    if (inFlightTasks) inFlightTasks.delete(taskId);
+  }
+}
+
+// Describe a TIMEOUT/REVOKED outcome for the result error field.
+function describeTimeout(outcome, what, pollingTimeoutSeconds) {
+  const base = `${what} did not complete within ${pollingTimeoutSeconds} seconds`;
+  if (!outcome.cancelled) return base;
+  return outcome.status === 'REVOKED'
+    ? `${base} and was cancelled`
+    : `${base}. Cancellation was requested but the task had not stopped yet`;
+}
+
+// SIGINT/SIGTERM handler installed by run(). Revokes in-flight tasks when
+// cancelOnTimeout is enabled, otherwise reports which tasks are left running.
+// `cancellation` is shared by the handlers of one run, so a second signal
+// arriving while the first is handled does not cancel again.
+async function handleCancellation(signal, client, inFlightTasks, cancelOnTimeout, cancellation = {}) {
+  if (cancellation.cancelling) {
+    core.warning(`Received ${signal} while already cancelling`);
+    return;
+  }
+  cancellation.cancelling = true;
+  core.warning(`Received ${signal}: the job is being cancelled`);
+  const tasks = [...inFlightTasks.entries()];
+
+  if (tasks.length > 0 && cancelOnTimeout) {
+    const deadline = Date.now() + CANCEL_GRACE_SECONDS * 1000;
+    await Promise.all(tasks.map(([taskId, label]) => cancelTask(client, taskId, label, { deadline })));
+  } else if (tasks.length > 0) {
+    core.warning(
+      `InProd task(s) still running and not revoked: ${tasks.map(([taskId]) => taskId).join(', ')}. ` +
+      'Set cancel_on_timeout: true to revoke them when the job is cancelled.'
+    );
+  }
+
+  core.setFailed(`Action cancelled by ${signal}`);
+  process.exit(1);
 }
 
-function injectYamlVariables(content, changesetVariables) {
+// Inject variables into a YAML changeset. Only the `variable` list is
+// edited: entries being replaced are removed and the injected entries are
+// appended, so every other line keeps its formatting, comments and anchors.
+// Falls back to re-serialising the document, with a warning naming `label`,
+// when it cannot be edited in place.
+function injectYamlVariables(content, changesetVariables, { masked = [], label = 'the changeset' } = {}) {
   const doc = yaml.load(content);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Cannot inject changeset_variables: the changeset is empty or not a mapping');
+  }
 
-  // Determine mask_value for each injected variable based on existing entries
   const existingVars = Array.isArray(doc.variable) ? doc.variable : [];
-  const injectedVars = Object.entries(changesetVariables).map(([name, value]) => {
-    // Check if this variable exists in the changeset
-    const existingEntries = existingVars.filter(v => v.name === name);
-    // If any existing entry has mask_value: true, preserve that; otherwise use false
-    const maskValue = existingEntries.some(v => v.mask_value === true) ? true : false;
-    return {
-      environment: null,
-      mask_value: maskValue,
-      name,
-      value,
-    };
+  const mergedVars = mergeVariableEntries(existingVars, changesetVariables, { masked });
+  const edited = editTopLevelSequence(content, 'variable', {
+    remove: existingVars.map((v, i) => (mergedVars.includes(v) ? -1 : i)).filter(i => i >= 0),
+    append: mergedVars.filter(v => !existingVars.includes(v)),
   });
+  if (edited !== null) return edited;
 
-  // Remove all existing entries for variables we're overriding
-  const overrideNames = new Set(Object.keys(changesetVariables));
-  const keptVars = existingVars.filter(v => !overrideNames.has(v.name));
-
-  doc.variable = [...keptVars, ...injectedVars];
-
+  core.warning(`Could not edit the variable list of ${label} in place, so it is re-serialised to inject changeset_variables. ` +
+    'Comments, anchors and formatting are not kept in the changeset sent to InProd');
+  doc.variable = mergedVars;
   return yaml.dump(doc, { lineWidth: -1, noRefs: true });
 }
 
-function injectJsonVariables(content, changesetVariables) {
+function injectJsonVariables(content, changesetVariables, { masked = [] } = {}) {
   const doc = JSON.parse(content);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Cannot inject changeset_variables: the changeset is empty or not a mapping');
+  }
 
-  // Determine mask_value for each injected variable based on existing entries
   const existingVars = Array.isArray(doc.variable) ? doc.variable : [];
-  const injectedVars = Object.entries(changesetVariables).map(([name, value]) => {
-    // Check if this variable exists in the changeset
-    const existingEntries = existingVars.filter(v => v.name === name);
-    // If any existing entry has mask_value: true, preserve that; otherwise use false
-    const maskValue = existingEntries.some(v => v.mask_value === true) ? true : false;
-    return {
-      environment: null,
-      mask_value: maskValue,
-      name,
-      value,
-    };
-  });
-
-  // Remove all existing entries for variables we're overriding
-  const overrideNames = new Set(Object.keys(changesetVariables));
-  const keptVars = existingVars.filter(v => !overrideNames.has(v.name));
-
-  doc.variable = [...keptVars, ...injectedVars];
+  doc.variable = mergeVariableEntries(existingVars, changesetVariables, { masked });
 
   return JSON.stringify(doc, null, 2);
 }
@@ -129,113 +240,348 @@ function isGlobPattern(pattern) {
   return /[*?[\]{}]/.test(pattern);
 }
 
-function resolveFiles(changesetFile) {
-  if (!changesetFile || changesetFile.trim() === '') {
+// Comparators for the file_sort input. Ties are broken on the full path so
+// the order never depends on the order in which glob returns matches.
+const FILE_SORT_COMPARATORS = {
+  basename: (a, b) => path.basename(a).localeCompare(path.basename(b)) || a.localeCompare(b),
+  path: (a, b) => a.localeCompare(b),
+  natural: (a, b) => a.localeCompare(b, undefined, { numeric: true }),
+};
+const FILE_SORTS = Object.keys(FILE_SORT_COMPARATORS);
+
+// Absolute paths of the files matching one path or glob pattern.
+function matchPattern(pattern) {
+  if (isGlobPattern(pattern)) {
+    // Normalize to forward slashes for cross-platform glob compatibility
+    return globSync(pattern.replace(/\\/g, '/'), { nodir: true }).map(f => path.resolve(f));
+  }
+  const filePath = path.resolve(pattern);
+  return fs.existsSync(filePath) ? [filePath] : [];
+}
+
+// Split changeset_file into its lines, the patterns to include and the
+// `!` patterns to exclude.
+function parsePatterns(changesetFile) {
+  const patterns = (changesetFile || '').split(/\r?\n/).map(p => p.trim()).filter(Boolean);
+  return {
+    patterns,
+    includes: patterns.filter(p => !p.startsWith('!')),
+    excludes: patterns.filter(p => p.startsWith('!')).map(p => p.slice(1).trim()),
+  };
+}
+
+// Whether a path, which need not exist, would be selected by changeset_file.
+function matchesPatterns(filePath, changesetFile) {
+  const { includes, excludes } = parsePatterns(changesetFile);
+  const target = filePath.replace(/\\/g, '/');
+  const matches = pattern => minimatch(target, path.resolve(pattern).replace(/\\/g, '/'));
+  return includes.some(matches) && !excludes.some(matches);
+}
+
+// Resolve changeset_file to absolute file paths. It holds one path or glob
+// pattern per line; lines starting with ! remove the files they match.
+// Every other line must match at least one file. Matches are de-duplicated
+// and sorted by `sort` (see FILE_SORT_COMPARATORS); a single plain path is
+// returned as is.
+function resolveFiles(changesetFile, { sort = 'basename' } = {}) {
+  const { patterns, includes, excludes } = parsePatterns(changesetFile);
+  if (patterns.length === 0) {
     throw new Error('changeset_file is required');
   }
+  if (includes.length === 0) {
+    throw new Error('changeset_file only contains exclusion patterns. Add at least one path or glob pattern to include');
+  }
 
-  if (isGlobPattern(changesetFile)) {
-    // Normalize to forward slashes for cross-platform glob compatibility
-    const normalizedPattern = changesetFile.replace(/\\/g, '/');
-    const matches = globSync(normalizedPattern, { nodir: true });
-    if (matches.length === 0) {
-      throw new Error(`No files matched the pattern: ${changesetFile}`);
+  if (patterns.length === 1 && !isGlobPattern(includes[0])) {
+    const filePath = path.resolve(includes[0]);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Changeset file not found: ${filePath}`);
     }
-    const filePaths = matches
-      .map(f => path.resolve(f))
-      .sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
-    core.info(`Matched ${filePaths.length} file(s) for pattern: ${changesetFile}`);
-    filePaths.forEach((f, i) => core.info(`  [${i + 1}] ${path.basename(f)}`));
-    return filePaths;
+    return [filePath];
   }
 
-  const filePath = path.resolve(changesetFile);
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`Changeset file not found: ${filePath}`);
+  const matched = new Set();
+  for (const pattern of includes) {
+    const files = matchPattern(pattern);
+    if (files.length === 0) {
+      throw new Error(isGlobPattern(pattern)
+        ? `No files matched the pattern: ${pattern}`
+        : `Changeset file not found: ${path.resolve(pattern)}`);
+    }
+    if (isGlobPattern(pattern)) {
+      core.info(`Matched ${files.length} file(s) for pattern: ${pattern}`);
+    }
+    files.forEach(f => matched.add(f));
+  }
+
+  const excluded = new Set(excludes.flatMap(matchPattern));
+  const filePaths = [...matched].filter(f => !excluded.has(f)).sort(FILE_SORT_COMPARATORS[sort]);
+  const excludedCount = matched.size - filePaths.length;
+  if (excludedCount > 0) {
+    core.info(`Excluded ${excludedCount} file(s) matching: ${excludes.join(', ')}`);
   }
-  return [filePath];
+  if (filePaths.length === 0) {
+    throw new Error(`No files left after applying exclusion patterns: ${excludes.join(', ')}`);
+  }
+  filePaths.forEach((f, i) => core.info(`  [${i + 1}] ${path.relative(process.cwd(), f)}`));
+  return filePaths;
 }
 
-// Validate a single changeset file. Returns { taskId, status, result } or throws.
-async function validateFile(filePath, options) {
-  const { apiKey, baseUrl, environment, pollingTimeoutSeconds, changesetVariables } = options;
-  const content = fs.readFileSync(filePath, 'utf8');
-  const format = getFileFormat(filePath);
-  const endpoint = format === 'json'
-    ? '/api/v1/change-set/change-set/validate_json/'
-    : '/api/v1/change-set/change-set/validate_yaml/';
-  const validateUrl = buildUrl(baseUrl, endpoint, environment);
+// Expand a deployment manifest into the file list resolveFiles would
+// produce for each entry, in manifest order. Returns { filePaths,
+// fileOverrides, patterns } where fileOverrides maps each file to its
+// entry's options and patterns lists the entries' file patterns.
+function resolveManifestFiles(manifestPath, { sort } = {}) {
+  const filePaths = [];
+  const fileOverrides = new Map();
+  const entries = loadManifest(path.resolve(manifestPath));
+  core.info(`Manifest ${manifestPath}: ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+  for (const { pattern, overrides } of entries) {
+    for (const filePath of resolveFiles(pattern, { sort })) {
+      if (fileOverrides.has(filePath)) {
+        throw new Error(`Changeset ${filePath} is listed more than once in manifest ${manifestPath}`);
+      }
+      fileOverrides.set(filePath, overrides);
+      filePaths.push(filePath);
+    }
+  }
+  return { filePaths, fileOverrides, patterns: entries.map(e => e.pattern) };
+}
 
-  core.debug(`Validate URL: ${validateUrl} (format: ${format})`);
+// Keep the matched files that the triggering push or pull request changed.
+// `patterns` are the changeset_file values (or manifest entries) the files
+// were matched with; changeset files the change deleted or renamed away
+// match them too and are reported, since deleting a changeset does not
+// undo its configuration in InProd.
+// Returns { filePaths, deletedFiles } with deletedFiles relative to the
+// working directory.
+async function filterChangedFiles(filePaths, patterns, { token }) {
+  const { source, files } = await getChangedFiles({ token });
+  core.info(`Changed files (${source}): ${files.length}`);
+
+  const changed = new Set(files.filter(f => f.status !== 'removed').map(f => f.path));
+  const selected = filePaths.filter(f => changed.has(f));
+
+  const deletedFiles = files
+    .flatMap(f => (f.status === 'removed' ? [f.path] : f.status === 'renamed' ? [f.previousPath] : []))
+    .filter(f => !fs.existsSync(f) && patterns.some(pattern => matchesPatterns(f, pattern)))
+    .map(f => path.relative(process.cwd(), f));
+  deletedFiles.forEach(f => {
+    core.warning(`Changeset ${f} was deleted in this change. Its configuration is not removed from InProd`);
+  });
+
+  core.info(`Changed changesets: ${selected.length} of ${filePaths.length} matched file(s)`);
+  return { filePaths: selected, deletedFiles };
+}
 
-  // Build request body and content type based on file format
-  let body, contentType;
-  if (format === 'json') {
-    contentType = 'application/json';
-    body = changesetVariables ? injectJsonVariables(content, changesetVariables) : content;
-  } else {
-    contentType = 'application/yaml';
-    body = changesetVariables ? injectYamlVariables(content, changesetVariables) : content;
+// Options for one file: the run's options with the file's manifest entry
+// applied. Manifest variables are merged over changeset_variables.
+function optionsForFile(filePath, options) {
+  const overrides = options.fileOverrides && options.fileOverrides.get(parseChangesetRef(filePath).filePath);
+  if (!overrides) return options;
+  const fileOptions = { ...options, ...overrides };
+  if (overrides.changesetVariables) {
+    fileOptions.changesetVariables = { ...options.changesetVariables, ...overrides.changesetVariables };
   }
+  if (overrides.sensitiveVariables) {
+    fileOptions.sensitiveVariables = [...(options.sensitiveVariables || []), ...overrides.sensitiveVariables];
+  }
+  return fileOptions;
+}
 
-  core.debug(`Sending validation request to: ${validateUrl}`);
-  let validateResponse;
+// The environment a changeset executes in, as the deployment lock key: the
+// environment input or manifest entry when set, otherwise the changeset's
+// own `environment` field. '' for InProd's default environment. The value
+// is taken as written; an environment name and its ID are not matched up.
+function lockEnvironment(ref, fileOptions) {
+  if (fileOptions.environment) return String(fileOptions.environment);
+  let doc;
   try {
-    validateResponse = await fetch(validateUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Api-Key ${apiKey}`,
-        'Content-Type': contentType
-      },
-      body
-    });
-    core.debug(`API response status: ${validateResponse.status}`);
-  } catch (error) {
-    core.error(`Network error connecting to InProd API: ${error.message}`);
-    core.debug(`Full error details: ${error.stack}`);
-    throw new Error(`Failed to connect to InProd API at ${validateUrl}: ${error.message}`);
+    doc = yaml.load(readChangeset(ref).content);
+  } catch (e) {
+    return '';
   }
+  const own = doc && typeof doc === 'object' ? doc.environment : null;
+  return own === null || own === undefined ? '' : String(own);
+}
 
-  if (!validateResponse.ok) {
-    const errorBody = await validateResponse.text();
-    throw new Error(
-      `Validation request failed with status ${validateResponse.status}: ${errorBody || validateResponse.statusText}`
-    );
+function describeOverrides(overrides) {
+  const parts = [];
+  if (overrides.environment) parts.push(`environment=${overrides.environment}`);
+  if (overrides.changesetVariables) parts.push(`${Object.keys(overrides.changesetVariables).length} variable(s)`);
+  if (overrides.validateOnly !== undefined) parts.push(`validate_only=${overrides.validateOnly}`);
+  if (overrides.pollingTimeoutSeconds) parts.push(`timeout=${overrides.pollingTimeoutSeconds}s`);
+  if (overrides.continueOnError !== undefined) parts.push(`continue_on_error=${overrides.continueOnError}`);
+  return parts.join(', ');
+}
+
+// Read a changeset (a file, or one document of a multi-document YAML file),
+// strip the action's metadata block and apply any injected variables.
+// Sensitive variables, or every variable with maskInjectedVariables, are
+// injected with mask_value: true.
+// Returns { format, body, content, filePath, lineOffset }: the body to
+// submit to the InProd API, and the changeset as written with the file it
+// came from and the line it starts after, for reporting line numbers.
+function buildRequestBody(ref, { changesetVariables, sensitiveVariables = [], maskInjectedVariables = false } = {}) {
+  const { filePath, content, lineOffset } = readChangeset(ref);
+  const format = getFileFormat(filePath);
+  const changeset = stripChangesetMetadata(content, format);
+  if (!changesetVariables) {
+    return { format, body: changeset, content, filePath, lineOffset };
   }
+  const masked = maskInjectedVariables ? Object.keys(changesetVariables) : sensitiveVariables;
+  const body = format === 'json'
+    ? injectJsonVariables(changeset, changesetVariables, { masked })
+    : injectYamlVariables(changeset, changesetVariables, { masked, label: ref });
+  return { format, body, content, filePath, lineOffset };
+}
+
+// Check each changeset against the bundled changeset schema without calling
+// InProd. Returns one result entry per changeset, with the errors under
+// result.schema_errors; errors and warnings are logged and annotated on the
+// file. Warnings (unknown keys) do not fail the changeset.
+function checkChangesetSchemas(filePaths) {
+  return filePaths.map(ref => {
+    const { filePath, content, lineOffset } = readChangeset(ref);
+    const problems = checkChangesetSchema(content, { lineOffset });
+    const errors = problems.filter(e => e.severity === 'error');
+    if (problems.length > 0) {
+      core.info(`Schema ${errors.length > 0 ? 'errors' : 'warnings'} in ${path.basename(ref)}:\n${formatSchemaErrors(problems)}`);
+      annotateSchemaErrors(problems, filePath);
+    }
+    if (errors.length === 0) {
+      return { file: ref, status: 'SUCCESS', result: {}, error: null };
+    }
+    return {
+      file: ref,
+      status: 'FAILURE',
+      result: { schema_errors: errors.map(e => ({ message: describeSchemaError(e), line: e.startLine })) },
+      error: `Changeset does not match the changeset schema: ${errors.length} error(s). See schema errors above.`,
+    };
+  });
+}
+
+// Check the variable placeholders of each changeset that passed the schema
+// check against its own variable list, the variables injected into it and
+// the InProd global variables listed in globalVariables.
+// With variableCheck 'error', a changeset with undefined placeholders fails
+// with result.undefined_variables; with 'warn' they are only logged.
+// Injected variables that no changeset references are logged as warnings.
+function checkChangesetPlaceholders(schemaResults, options, { variableCheck, globalVariables }) {
+  const referenced = new Set();
+  const injected = new Set();
+  const results = schemaResults.map(entry => {
+    if (entry.status !== 'SUCCESS') return entry;
+    const { changesetVariables } = optionsForFile(entry.file, options);
+    Object.keys(changesetVariables || {}).forEach(key => injected.add(parseVariableKey(key).name));
+    const { filePath, content, lineOffset } = readChangeset(entry.file);
+    const check = checkPlaceholders(content, changesetVariables, { lineOffset, globalVariables });
+    check.referenced.forEach(name => referenced.add(name));
+    const { undefinedVariables } = check;
+    if (undefinedVariables.length === 0) return entry;
+
+    const level = variableCheck === 'error' ? 'error' : 'warning';
+    core.info(`Undefined variables in ${path.basename(entry.file)}:\n${formatUndefinedVariables(undefinedVariables, level)}`);
+    annotateUndefinedVariables(undefinedVariables, filePath, { level });
+    if (variableCheck !== 'error') return entry;
+    const names = [...new Set(undefinedVariables.map(v => v.name))];
+    return {
+      file: entry.file,
+      status: 'FAILURE',
+      result: { undefined_variables: undefinedVariables },
+      error: `Changeset references ${names.length} undefined variable(s): ${names.join(', ')}. ` +
+        'Define them in the changeset\'s variable list, pass them with changeset_variables or list InProd global variables in global_variables',
+    };
+  });
+
+  for (const name of injected) {
+    if (!referenced.has(name)) {
+      core.warning(`Variable ${name} is injected but no changeset references it as {{ ${name} }}`);
+    }
+  }
+  return results;
+}
+
+// Build the requests a run would send for each changeset, without sending
+// them (dry_run): validation when validate_before_execute or validate_only
+// is set, then execution unless validate_only. Variables are injected as in
+// a real run, with their values redacted.
+function buildDryRunRequests(filePaths, options) {
+  return filePaths.flatMap((ref, i) => {
+    const fileOptions = optionsForFile(ref, options);
+    const operations = fileOptions.validateOnly
+      ? ['validate']
+      : fileOptions.validateBeforeExecute ? ['validate', 'execute'] : ['execute'];
+    const { format, body } = buildRequestBody(ref, {
+      ...fileOptions,
+      changesetVariables: redactVariables(fileOptions.changesetVariables),
+    });
+    return operations.map(operation => ({
+      ref,
+      operation,
+      format,
+      body,
+      url: buildUrl(options.baseUrl, ENDPOINTS[operation][format], fileOptions.environment),
+      fileName: dryRunFileName(i + 1, ref, operation, format),
+    }));
+  });
+}
 
-  const validateData = await validateResponse.json();
-  core.debug(`Validate response: ${JSON.stringify(validateData)}`);
+// Split multi-document YAML files into one changeset per document, labelled
+// file.yaml#1, file.yaml#2, ... Other files are kept as they are.
+function expandChangesetDocuments(filePaths) {
+  return filePaths.flatMap(filePath => {
+    const refs = listChangesetRefs(filePath, getFileFormat(filePath));
+    if (refs.length > 1) {
+      core.info(`${path.basename(filePath)} contains ${refs.length} changesets`);
+    }
+    return refs;
+  });
+}
 
-  let validateTaskId;
+// The `action` list of a changeset body, used to name the objects in
+// validation errors. Returns [] when the body cannot be parsed.
+function parseChangesetActions(body, format) {
   try {
-    validateTaskId = validateData.data.attributes.task_id;
+    const doc = format === 'json' ? JSON.parse(body) : yaml.load(body);
+    return doc && Array.isArray(doc.action) ? doc.action : [];
   } catch (e) {
-    throw new Error(
-      `Failed to extract task_id from validation response. Response: ${JSON.stringify(validateData)}`
-    );
+    return [];
   }
+}
 
-  if (!validateTaskId || validateTaskId.trim() === '') {
-    throw new Error('Validation API returned an empty task_id');
-  }
+// Validate a single changeset file or document (see buildRequestBody). Returns { taskId, status, result } or throws.
+async function validateFile(ref, options) {
+  const { client, environment, pollingTimeoutSeconds } = options;
+  const { format, body, content, filePath, lineOffset } = buildRequestBody(ref, options);
 
-  const validateResult = await pollTask(baseUrl, apiKey, validateTaskId, 'Validation', pollingTimeoutSeconds);
+  const { taskId: validateTaskId } = await client.validateChangeset(body, { format, environment });
+
+  const validateResult = await waitForTask(validateTaskId, 'Validation', options);
 
   if (validateResult.status === 'TIMEOUT') {
-    return { taskId: validateTaskId, status: 'TIMEOUT', result: {}, error: `Validation did not complete within ${pollingTimeoutSeconds} seconds` };
+    return { taskId: validateTaskId, status: 'TIMEOUT', result: {}, error: describeTimeout(validateResult, 'Validation', pollingTimeoutSeconds) };
   }
   if (validateResult.status === 'FAILURE') {
-    return { status: 'FAILURE', result: {}, error: `Validation failed: ${validateResult.error}` };
+    return { taskId: validateTaskId, status: 'FAILURE', result: {}, error: `Validation failed: ${validateResult.error}` };
   }
   if (validateResult.status === 'REVOKED') {
-    return { status: 'REVOKED', result: {}, error: 'Validation task was cancelled' };
+    const error = validateResult.cancelled
+      ? describeTimeout(validateResult, 'Validation', pollingTimeoutSeconds)
+      : 'Validation task was cancelled';
+    return { taskId: validateTaskId, status: 'REVOKED', result: {}, error };
   }
 
   const isValid = validateResult.result.is_valid;
   if (!isValid) {
-    const validationErrors = JSON.stringify(validateResult.result.validation_results || [], null, 2);
-    core.error(`Validation errors:\n${validationErrors}`);
-    return { status: 'FAILURE', result: validateResult.result, error: 'Changeset validation failed. See validation errors above.' };
+    const issues = locateValidationIssues(
+      collectValidationIssues(validateResult.result.validation_results, parseChangesetActions(body, format)),
+      content,
+      { lineOffset }
+    );
+    core.info(`Validation errors:\n${formatValidationIssues(issues)}`);
+    annotateValidationIssues(issues, filePath);
+    return { taskId: validateTaskId, status: 'FAILURE', result: validateResult.result, error: 'Changeset validation failed. See validation errors above.' };
   }
 
   core.info(`✓ Validation passed`);
@@ -246,120 +592,142 @@ async function validateFile(filePath, options) {
     core.info(`  Environment: ${JSON.stringify(validateResult.result.environment)}`);
   }
 
-  return { status: 'SUCCESS', result: validateResult.result };
+  return { taskId: validateTaskId, status: 'SUCCESS', result: validateResult.result };
 }
 
-// Execute a single changeset file. Returns { taskId, status, result } or throws.
+// Execute a single changeset file. Returns { taskId, runId, status, result } or throws.
 async function executeFile(filePath, options) {
-  const { apiKey, baseUrl, environment, pollingTimeoutSeconds, changesetVariables } = options;
-  const content = fs.readFileSync(filePath, 'utf8');
-  const format = getFileFormat(filePath);
-  const endpoint = format === 'json'
-    ? '/api/v1/change-set/change-set/execute_json/'
-    : '/api/v1/change-set/change-set/execute_yaml/';
-  const executeUrl = buildUrl(baseUrl, endpoint, environment);
-
-  core.debug(`Execute URL: ${executeUrl} (format: ${format})`);
+  const { client, environment, pollingTimeoutSeconds } = options;
+  const { format, body } = buildRequestBody(filePath, options);
 
-  // Build request body and content type based on file format
-  let body, contentType;
-  if (format === 'json') {
-    contentType = 'application/json';
-    body = changesetVariables ? injectJsonVariables(content, changesetVariables) : content;
-  } else {
-    contentType = 'application/yaml';
-    body = changesetVariables ? injectYamlVariables(content, changesetVariables) : content;
-  }
+  const { taskId, attributes } = await client.executeChangeset(body, { format, environment });
+  const runId = attributes.run_id ?? null;
 
-  core.debug(`Sending API request to: ${executeUrl}`);
-  let executeResponse;
-  try {
-    executeResponse = await fetch(executeUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Api-Key ${apiKey}`,
-        'Content-Type': contentType
-      },
-      body
-    });
-    core.debug(`API response status: ${executeResponse.status}`);
-  } catch (error) {
-    core.error(`Network error connecting to InProd API: ${error.message}`);
-    core.debug(`Full error details: ${error.stack}`);
-    throw new Error(`Failed to connect to InProd API at ${executeUrl}: ${error.message}`);
-  }
+  core.info(`✓ Changeset submitted successfully`);
 
-  if (!executeResponse.ok) {
-    const errorBody = await executeResponse.text();
-    throw new Error(
-      `API request failed with status ${executeResponse.status}: ${errorBody || executeResponse.statusText}`
-    );
+  if (options.mode === 'submit') {
+    core.info(`Execution dispatched as background task (task_id: ${taskId}). Not waiting for completion (mode: submit)`);
+    return { taskId, runId, status: 'SUBMITTED', result: {} };
   }
 
-  const executeData = await executeResponse.json();
-  core.debug(`Execute response: ${JSON.stringify(executeData)}`);
-
-  let taskId;
-  try {
-    taskId = executeData.data.attributes.task_id;
-  } catch (e) {
-    throw new Error(
-      `Failed to extract task_id from API response. Response: ${JSON.stringify(executeData)}`
-    );
-  }
+  const pollResult = await waitForTask(taskId, 'Execution', options);
 
-  if (!taskId || taskId.trim() === '') {
-    throw new Error('API returned an empty task_id');
+  if (pollResult.status === 'SUCCESS') {
+    core.info(`✓ Changeset executed successfully`);
+    return { taskId, runId, status: 'SUCCESS', result: pollResult.result };
+  } else if (pollResult.status === 'FAILURE') {
+    core.error(`✗ Task failed: ${pollResult.error}`);
+    return { taskId, runId, status: 'FAILURE', result: {}, error: `Changeset execution failed: ${pollResult.error}` };
+  } else if (pollResult.status === 'REVOKED') {
+    core.warning(`⚠ Task was cancelled/revoked`);
+    const error = pollResult.cancelled
+      ? describeTimeout(pollResult, 'Changeset execution', pollingTimeoutSeconds)
+      : 'Changeset execution was cancelled';
+    return { taskId, runId, status: 'REVOKED', result: {}, error };
+  } else if (pollResult.status === 'TIMEOUT') {
+    return { taskId, runId, status: 'TIMEOUT', result: {}, error: describeTimeout(pollResult, 'Changeset execution', pollingTimeoutSeconds) };
   }
 
-  core.info(`✓ Changeset submitted successfully`);
+  return { taskId, runId, status: pollResult.status, result: {} };
+}
 
-  const pollResult = await pollTask(baseUrl, apiKey, taskId, 'Execution', pollingTimeoutSeconds);
+// Resume waiting for a task dispatched by an earlier run (mode: poll).
+// The task may be a validation or an execution. Returns { taskId, status, result }.
+async function pollExistingTask(taskId, options) {
+  const { pollingTimeoutSeconds } = options;
+  const pollResult = await waitForTask(taskId, 'Task', options);
 
   if (pollResult.status === 'SUCCESS') {
-    core.info(`✓ Changeset executed successfully`);
-    return { status: 'SUCCESS', result: pollResult.result };
+    if (pollResult.result.is_valid === false) {
+      const issues = collectValidationIssues(pollResult.result.validation_results);
+      core.error(`Validation errors:\n${formatValidationIssues(issues)}`);
+      return { taskId, status: 'FAILURE', result: pollResult.result, error: 'Changeset validation failed. See validation errors above.' };
+    }
+    return { taskId, status: 'SUCCESS', result: pollResult.result };
   } else if (pollResult.status === 'FAILURE') {
     core.error(`✗ Task failed: ${pollResult.error}`);
-    return { status: 'FAILURE', result: {}, error: `Changeset execution failed: ${pollResult.error}` };
+    return { taskId, status: 'FAILURE', result: {}, error: `Task failed: ${pollResult.error}` };
   } else if (pollResult.status === 'REVOKED') {
-    core.warning(`⚠ Task was cancelled/revoked`);
-    return { status: 'REVOKED', result: {}, error: 'Changeset execution was cancelled' };
-  } else if (pollResult.status === 'TIMEOUT') {
-    return { status: 'TIMEOUT', result: {}, error: `Changeset execution did not complete within ${pollingTimeoutSeconds} seconds` };
+    const error = pollResult.cancelled
+      ? describeTimeout(pollResult, `Task ${taskId}`, pollingTimeoutSeconds)
+      : `Task ${taskId} was cancelled`;
+    return { taskId, status: 'REVOKED', result: {}, error };
   }
+  return { taskId, status: 'TIMEOUT', result: {}, error: describeTimeout(pollResult, `Task ${taskId}`, pollingTimeoutSeconds) };
+}
 
-  return { status: pollResult.status, result: {} };
+// Start/end timestamps and duration of one phase, for the `result` output.
+function phaseTiming(startedAt, finishedAt = new Date()) {
+  return {
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_seconds: Math.round((finishedAt - startedAt) / 100) / 10,
+  };
 }
 
 // Process a single file through the full flow (validate + execute).
-// Returns { file, status, result }.
-async function processSingleFile(filePath, options) {
+// `previous` carries an earlier validation of the same file (validate_first)
+// so its task ID and timings end up in the same result entry.
+// `options` should already have the file's manifest entry applied (see
+// optionsForFile). Returns { file, status, result, error, validationTaskId, validationResult,
+// executionTaskId, runId, timings, continueOnError }. API errors are caught
+// and reported as FAILURE so the IDs and timings gathered so far are kept.
+async function processSingleFile(filePath, options, previous = {}) {
   const { validateBeforeExecute, validateOnly } = options;
   const fileName = path.basename(filePath);
+  const entry = { file: filePath, ...previous, timings: { ...previous.timings } };
+  if (options.continueOnError) entry.continueOnError = true;
 
   core.info(`Read changeset from file: ${fileName}`);
+  const overrides = options.fileOverrides && options.fileOverrides.get(parseChangesetRef(filePath).filePath);
+  if (overrides) {
+    core.info(`Manifest options: ${describeOverrides(overrides) || 'none'}`);
+  }
 
   // Step 1: Validate (if needed)
   if (validateOnly || validateBeforeExecute) {
     core.info('Validating changeset...');
-    const valResult = await validateFile(filePath, options);
+    const startedAt = new Date();
+    let valResult;
+    try {
+      valResult = await validateFile(filePath, options);
+    } catch (error) {
+      entry.timings.validation = phaseTiming(startedAt);
+      return { ...entry, status: 'FAILURE', result: {}, error: error.message };
+    }
+    entry.timings.validation = phaseTiming(startedAt);
+    entry.validationTaskId = valResult.taskId;
+    entry.validationResult = valResult.result;
 
     if (valResult.status !== 'SUCCESS') {
-      return { file: filePath, status: valResult.status, result: valResult.result, error: valResult.error };
+      return { ...entry, status: valResult.status, result: valResult.result, error: valResult.error };
     }
 
     if (validateOnly) {
-      return { file: filePath, status: 'SUCCESS', result: valResult.result };
+      return { ...entry, status: 'SUCCESS', result: valResult.result };
     }
   }
 
-  // Step 2: Execute
+  // Step 2: Execute (unless fail_fast has cancelled in-flight work meanwhile)
+  if (options.isCancelled && options.isCancelled()) {
+    core.warning(`Not executing ${fileName}: in-flight work was cancelled after another file failed`);
+    return { ...entry, status: 'REVOKED', result: {}, error: 'Execution cancelled after another changeset failed (fail_fast)' };
+  }
   core.info('Submitting changeset for execution...');
-  const execResult = await executeFile(filePath, options);
+  const startedAt = new Date();
+  let execResult;
+  try {
+    execResult = await executeFile(filePath, options);
+  } catch (error) {
+    entry.timings.execution = phaseTiming(startedAt);
+    return { ...entry, status: 'FAILURE', result: {}, error: error.message };
+  }
+  entry.timings.execution = phaseTiming(startedAt);
+  entry.executionTaskId = execResult.taskId;
+  entry.runId = execResult.runId;
 
   if (execResult.error) {
-    return { file: filePath, status: execResult.status, result: execResult.result, error: execResult.error };
+    return { ...entry, status: execResult.status, result: execResult.result, error: execResult.error };
   }
 
   if (execResult.result.run_id) {
@@ -372,10 +740,165 @@ async function processSingleFile(filePath, options) {
     core.info(`Environment: ${JSON.stringify(execResult.result.environment)}`);
   }
 
-  return { file: filePath, status: execResult.status, result: execResult.result };
+  const fileResult = { ...entry, status: execResult.status, result: execResult.result };
+  if (options.recordApplied && fileResult.status === 'SUCCESS') options.recordApplied(fileResult);
+  return fileResult;
+}
+
+// Ask InProd to stop every task still being polled. Each poller then sees
+// the task as REVOKED and reports it as usual.
+async function revokeInFlightTasks(client, inFlightTasks) {
+  await Promise.all([...inFlightTasks.entries()].map(async ([taskId, label]) => {
+    core.warning(`Revoking ${label.toLowerCase()} task ${taskId}...`);
+    try {
+      await client.revokeTask(taskId);
+    } catch (e) {
+      core.error(`Failed to revoke ${label.toLowerCase()} task ${taskId}: ${e.message}`);
+    }
+  }));
+}
+
+// A file only runs once every file it depends on has succeeded. Returns a
+// SKIPPED result naming the first dependency that did not, or null when the
+// file can run. statusOf(file) gives the status a file finished with.
+function skipForDependencies(filePath, dependencies, statusOf) {
+  const blocker = (dependencies.get(filePath) || []).find(d => statusOf(d) !== 'SUCCESS');
+  if (!blocker) return null;
+  const status = statusOf(blocker);
+  const reason = status
+    ? `dependency ${path.basename(blocker)} finished with status ${status}`
+    : `dependency ${path.basename(blocker)} did not run`;
+  core.warning(`Skipping ${path.basename(filePath)}: ${reason}`);
+  return { file: filePath, status: 'SKIPPED', result: {}, error: `Skipped because ${reason}` };
+}
+
+// Run processSingleFile for each file with at most maxConcurrency files in
+// flight. A file starts once the files it depends on have finished, and is
+// skipped if any of them did not succeed. Results are returned in the order
+// of filePaths regardless of completion order. With failFast, no new file is
+// started after the first failure; with cancelInFlight, running tasks are
+// also revoked and validated files are not submitted for execution.
+function processInParallel(filePaths, options, { maxConcurrency, failFast, cancelInFlight, dependencies = new Map() }) {
+  const results = new Map();
+  const pending = [...filePaths];
+  let running = 0;
+  let stopped = false;
+  const fileOptions = { ...options, isCancelled: () => stopped && cancelInFlight };
+  const statusOf = f => (results.get(f) || {}).status;
+  const isReady = f => (dependencies.get(f) || []).every(d => results.has(d));
+
+  return new Promise(resolve => {
+    const start = async (filePath) => {
+      const index = filePaths.indexOf(filePath);
+      const fileName = path.basename(filePath);
+      core.info(`\n--- Starting [${index + 1}/${filePaths.length}]: ${fileName} ---`);
+      let fileResult;
+      try {
+        fileResult = await processSingleFile(filePath, optionsForFile(filePath, fileOptions));
+      } catch (error) {
+        fileResult = { file: filePath, status: 'FAILURE', result: {}, error: error.message };
+      }
+      results.set(filePath, fileResult);
+      core.info(`--- Finished [${index + 1}/${filePaths.length}]: ${fileName} (${fileResult.status}) ---`);
+
+      if (fileResult.error && !fileResult.continueOnError && failFast && !stopped) {
+        stopped = true;
+        core.error(`Stopping: fail_fast is enabled and ${fileName} failed.`);
+        if (cancelInFlight) {
+          await revokeInFlightTasks(options.client, options.inFlightTasks);
+        }
+      }
+      running--;
+      schedule();
+    };
+
+    const schedule = () => {
+      while (!stopped && running < maxConcurrency) {
+        const index = pending.findIndex(isReady);
+        if (index === -1) break;
+        const [filePath] = pending.splice(index, 1);
+        const skipped = skipForDependencies(filePath, dependencies, statusOf);
+        if (skipped) {
+          results.set(filePath, skipped);
+          continue;
+        }
+        running++;
+        start(filePath);
+      }
+      if (running === 0) {
+        resolve(filePaths.filter(f => results.has(f)).map(f => results.get(f)));
+      }
+    };
+
+    schedule();
+  });
+}
+
+// Parse an optional numeric input, falling back to defaultValue when empty.
+// Throws when the value is not a number or falls outside [min, max].
+function parseNumberInput(name, defaultValue, { min = -Infinity, max = Infinity } = {}) {
+  const raw = core.getInput(name);
+  if (!raw || raw.trim() === '') return defaultValue;
+  const value = Number(raw.trim());
+  if (!Number.isFinite(value) || value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new Error(`Invalid ${name}: ${raw}. Expected a number ${range}`);
+  }
+  return value;
+}
+
+// Parse a comma- or newline-separated list of HTTP status codes.
+function parseStatusCodes(input, defaultValue) {
+  if (!input || input.trim() === '') return defaultValue;
+  return input.split(/[\s,]+/).filter(Boolean).map(code => {
+    const status = Number(code);
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      throw new Error(`Invalid retry_status_codes entry: ${code}. Expected HTTP status codes such as 429,503`);
+    }
+    return status;
+  });
+}
+
+const MODES = ['run', 'submit', 'poll'];
+const EXECUTION_STRATEGIES = ['per_file', 'validate_first', 'parallel'];
+const DEFAULT_MAX_CONCURRENCY = 4;
+const VARIABLE_CHECKS = ['error', 'warn', 'off'];
+const DEFAULT_LOCK_WAIT_MINUTES = 10;
+const DEFAULT_LOCK_STALE_MINUTES = 60;
+
+// Parse a comma- or newline-separated list of task IDs.
+function parseTaskIds(input) {
+  return (input || '').split(/[\s,]+/).filter(Boolean);
+}
+
+// Shape per-file results for the `result` output. run_id, changeset_name
+// and environment come from the execution result, falling back to the
+// execution submission and validation result when it has none. Results from mode: poll have
+// no file and carry the polled task_id instead.
+function formatResults(results) {
+  return results.map(r => {
+    const result = r.result || {};
+    const validationResult = r.validationResult || {};
+    const entry = {
+      file: r.file ? path.basename(r.file) : null,
+      status: r.status,
+      result,
+      error: r.error || null,
+      validation_task_id: r.validationTaskId || null,
+      execution_task_id: r.executionTaskId || null,
+      run_id: result.run_id ?? r.runId ?? null,
+      changeset_name: result.changeset_name ?? validationResult.changeset_name ?? null,
+      environment: result.environment ?? validationResult.environment ?? null,
+      timings: r.timings || {},
+    };
+    if (r.changesetHash) entry.changeset_hash = r.changesetHash;
+    if (!r.file) entry.task_id = r.taskId;
+    return entry;
+  });
 }
 
-const STATUS_PRIORITY = { FAILURE: 0, TIMEOUT: 1, REVOKED: 2, SUBMITTED: 3, SUCCESS: 4 };
+// UNCHANGED (already applied, see state_file) counts as SUCCESS
+const STATUS_PRIORITY = { FAILURE: 0, TIMEOUT: 1, REVOKED: 2, SKIPPED: 3, SUBMITTED: 4, SUCCESS: 5, UNCHANGED: 5 };
 
 function worstStatus(results) {
   return results.reduce((worst, r) => {
@@ -384,91 +907,375 @@ function worstStatus(results) {
 }
 
 async function run() {
+  let onSignal = null;
+  let locks = [];
+  const onExit = () => releaseDeploymentLocks(locks);
   try {
     // Get inputs (fall back to environment variables for api_key and base_url)
     const apiKey = core.getInput('api_key') || process.env.INPROD_API_KEY || '';
     const baseUrl = (core.getInput('base_url') || process.env.INPROD_BASE_URL || '').replace(/\/$/, '');
-    const changesetFile = core.getInput('changeset_file', { required: true });
+    const changesetFile = core.getInput('changeset_file');
+    const manifestPath = core.getInput('manifest');
+    const taskIdInput = core.getInput('task_id');
+    const mode = core.getInput('mode') || (taskIdInput ? 'poll' : 'run');
     const environment = core.getInput('environment');
     const validateBeforeExecute = core.getInput('validate_before_execute') !== 'false';
     const validateOnly = core.getInput('validate_only') === 'true';
+    const schemaOnly = core.getInput('schema_only') === 'true';
+    const dryRun = core.getInput('dry_run') === 'true';
+    const dryRunDir = core.getInput('dry_run_dir') || 'inprod-dry-run';
     const pollingTimeoutMinutes = parseInt(core.getInput('polling_timeout_minutes'), 10) || 10;
     const pollingTimeoutSeconds = pollingTimeoutMinutes * 60;
     const executionStrategy = core.getInput('execution_strategy') || 'per_file';
+    const fileSort = core.getInput('file_sort') || 'basename';
+    const changedOnly = core.getInput('changed_only') === 'true';
+    const githubToken = core.getInput('github_token');
     const failFast = core.getInput('fail_fast') === 'true';
+    const cancelInFlight = core.getInput('cancel_in_flight_on_failure') === 'true';
+    const maxConcurrency = parseNumberInput('max_concurrency', DEFAULT_MAX_CONCURRENCY, { min: 1 });
+    if (!Number.isInteger(maxConcurrency)) {
+      throw new Error(`Invalid max_concurrency: ${maxConcurrency}. Expected a whole number`);
+    }
+    const cancelOnTimeout = core.getInput('cancel_on_timeout') === 'true';
     const changesetVariablesInput = core.getInput('changeset_variables');
+    const changesetVariablesFile = core.getInput('changeset_variables_file');
+    const maskInjectedVariables = core.getInput('mask_injected_variables') === 'true';
+    const variableCheck = core.getInput('variable_check') || 'warn';
+    const globalVariables = core.getInput('global_variables').split(/[\s,]+/).filter(Boolean);
+    const stateFile = core.getInput('state_file');
+    const force = core.getInput('force') === 'true';
+    const deploymentLock = core.getInput('deployment_lock') === 'true';
+    const lockBackend = core.getInput('lock_backend') || 'file';
+    const lockDir = core.getInput('lock_dir');
+    const lockWaitMinutes = parseNumberInput('lock_wait_minutes', DEFAULT_LOCK_WAIT_MINUTES, { min: 0 });
+    const lockStaleMinutes = parseNumberInput('lock_stale_minutes', DEFAULT_LOCK_STALE_MINUTES, { min: 1 });
+    const polling = {
+      initialIntervalSeconds: parseNumberInput('polling_interval_seconds', DEFAULT_POLLING.initialIntervalSeconds, { min: 0.1 }),
+      backoffMultiplier: parseNumberInput('polling_backoff_multiplier', DEFAULT_POLLING.backoffMultiplier, { min: 1 }),
+      maxIntervalSeconds: parseNumberInput('polling_max_interval_seconds', DEFAULT_POLLING.maxIntervalSeconds, { min: 0.1 }),
+      jitter: parseNumberInput('polling_jitter', DEFAULT_POLLING.jitter, { min: 0, max: 1 }),
+    };
+    if (polling.maxIntervalSeconds < polling.initialIntervalSeconds) {
+      throw new Error('polling_max_interval_seconds must be greater than or equal to polling_interval_seconds');
+    }
+    const retry = {
+      maxAttempts: parseNumberInput('retry_max_attempts', DEFAULT_RETRY.maxAttempts, { min: 1 }),
+      retryStatusCodes: parseStatusCodes(core.getInput('retry_status_codes'), DEFAULT_RETRY.retryStatusCodes),
+    };
+    if (!Number.isInteger(retry.maxAttempts)) {
+      throw new Error(`Invalid retry_max_attempts: ${retry.maxAttempts}. Expected a whole number`);
+    }
+    const requestTimeoutSeconds = parseNumberInput('request_timeout_seconds', DEFAULT_REQUEST_TIMEOUT_SECONDS, { min: 1 });
 
-    // Parse changeset variables from KEY=VALUE format
-    let changesetVariables = null;
-    if (changesetVariablesInput && changesetVariablesInput.trim()) {
-      changesetVariables = {};
-      const lines = changesetVariablesInput.trim().split('\n');
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed || trimmed.startsWith('#')) continue; // Skip empty lines and comments
-        const [key, ...valueParts] = trimmed.split('=');
-        if (!key || valueParts.length === 0) {
-          throw new Error(`Invalid changeset_variables format. Expected KEY=VALUE on each line, got: ${trimmed}`);
-        }
-        changesetVariables[key.trim()] = valueParts.join('=').trim(); // Handle values with = in them
-      }
+    // Combine changeset_variables_file and changeset_variables (inline wins)
+    const { variables: changesetVariables, sensitive: sensitiveVariables } = resolveChangesetVariables({
+      inline: changesetVariablesInput,
+      filePath: changesetVariablesFile,
+    });
+    if (changesetVariables) {
       core.debug(`Parsed changeset variables: ${JSON.stringify(Object.keys(changesetVariables))} (values masked)`);
     }
 
     // Mask sensitive values in logs
     core.setSecret(apiKey);
+    Object.values(changesetVariables || {}).forEach(maskValue);
 
-    // Validate inputs
-    if (!apiKey || apiKey.trim() === '') {
-      throw new Error('api_key is required and cannot be empty');
+    // Validate inputs. schema_only and dry_run never call InProd
+    if (!schemaOnly && !dryRun) {
+      if (!apiKey || apiKey.trim() === '') {
+        throw new Error('api_key is required and cannot be empty');
+      }
+      if (!baseUrl || baseUrl.trim() === '') {
+        throw new Error('base_url is required and cannot be empty');
+      }
     }
-    if (!baseUrl || baseUrl.trim() === '') {
-      throw new Error('base_url is required and cannot be empty');
+    if (!schemaOnly && baseUrl) {
+      // Validate URL format
+      try {
+        new URL(baseUrl);
+      } catch (e) {
+        throw new Error(`Invalid base_url format: ${baseUrl}`);
+      }
     }
 
-    // Validate URL format
-    try {
-      new URL(baseUrl);
-    } catch (e) {
-      throw new Error(`Invalid base_url format: ${baseUrl}`);
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Expected one of: ${MODES.join(', ')}`);
+    }
+    if (!EXECUTION_STRATEGIES.includes(executionStrategy)) {
+      throw new Error(`Invalid execution_strategy: ${executionStrategy}. Expected one of: ${EXECUTION_STRATEGIES.join(', ')}`);
+    }
+    if (!FILE_SORTS.includes(fileSort)) {
+      throw new Error(`Invalid file_sort: ${fileSort}. Expected one of: ${FILE_SORTS.join(', ')}`);
+    }
+    if (!VARIABLE_CHECKS.includes(variableCheck)) {
+      throw new Error(`Invalid variable_check: ${variableCheck}. Expected one of: ${VARIABLE_CHECKS.join(', ')}`);
+    }
+    const lockStore = deploymentLock ? createLockBackend(lockBackend, { dir: lockDir }) : null;
+    const taskIds = parseTaskIds(taskIdInput);
+    if (mode === 'poll' && taskIds.length === 0) {
+      throw new Error('task_id is required when mode is poll');
+    }
+    if (mode === 'poll' && schemaOnly) {
+      throw new Error('schema_only cannot be used with mode: poll, which has no changeset files');
+    }
+    if (mode === 'poll' && dryRun) {
+      throw new Error('dry_run cannot be used with mode: poll, which has no changeset files');
+    }
+    if (mode === 'poll' && stateFile) {
+      throw new Error('state_file cannot be used with mode: poll, which has no changeset files');
+    }
+    if (schemaOnly && dryRun) {
+      throw new Error('Set either schema_only or dry_run, not both');
     }
 
-    // Resolve changeset files
-    const filePaths = resolveFiles(changesetFile);
+    // Resolve changeset files (mode: poll resumes existing tasks instead),
+    // ordered so that every file comes after the files it depends_on
+    if (manifestPath && changesetFile) {
+      throw new Error('Set either changeset_file or manifest, not both');
+    }
+    const { filePaths: resolvedFiles, fileOverrides, patterns } = mode === 'poll'
+      ? { filePaths: [], fileOverrides: new Map(), patterns: [] }
+      : manifestPath ? resolveManifestFiles(manifestPath, { sort: fileSort }) : { filePaths: resolveFiles(changesetFile, { sort: fileSort }), fileOverrides: new Map(), patterns: [changesetFile] };
+    for (const overrides of fileOverrides.values()) {
+      Object.values(overrides.changesetVariables || {}).forEach(maskValue);
+    }
 
+    // changed_only: drop the files the push or pull request did not touch
+    let matchedFiles = resolvedFiles;
+    if (changedOnly && mode !== 'poll') {
+      const changes = await filterChangedFiles(resolvedFiles, patterns, { token: githubToken });
+      matchedFiles = changes.filePaths;
+      core.setOutput('deleted_files', JSON.stringify(changes.deletedFiles));
+      if (matchedFiles.length === 0) {
+        core.info('No changed changesets to process');
+        core.setOutput('status', 'SUCCESS');
+        core.setOutput('result', '[]');
+        return;
+      }
+    }
+    const { order: filePaths, dependencies } = resolveDependencies(expandChangesetDocuments(matchedFiles));
+    const hasDependencies = [...dependencies.values()].some(deps => deps.length > 0);
+    if (hasDependencies && mode === 'submit') {
+      throw new Error('depends_on requires mode: run. In submit mode dependent changesets would be submitted before their dependencies finish');
+    }
+
+    // Pre-flight: check every changeset against the bundled schema and its
+    // variable placeholders before any network call. With schema_only this
+    // is all the action does
+    if (mode !== 'poll') {
+      const schemaResults = checkChangesetSchemas(filePaths);
+      const localResults = variableCheck === 'off'
+        ? schemaResults
+        : checkChangesetPlaceholders(schemaResults, { changesetVariables, fileOverrides }, { variableCheck, globalVariables });
+      const invalid = localResults.filter(r => r.status !== 'SUCCESS');
+      if (schemaOnly || invalid.length > 0) {
+        const formatted = formatResults(schemaOnly ? localResults : invalid);
+        core.setOutput('status', invalid.length > 0 ? 'FAILURE' : 'SUCCESS');
+        core.setOutput('result', JSON.stringify(formatted));
+        await writeJobSummary(formatted);
+        if (invalid.length > 0) {
+          const schemaFailures = invalid.filter(r => r.result.schema_errors).length;
+          throw new Error(invalid.length === 1
+            ? invalid[0].error
+            : schemaFailures === invalid.length
+              ? `${invalid.length} of ${filePaths.length} changeset(s) do not match the changeset schema. See result output for details.`
+              : `${invalid.length} of ${filePaths.length} changeset(s) failed the schema or variable check. See result output for details.`);
+        }
+        core.info(`\n✓ All ${filePaths.length} changeset(s) match the changeset schema. Nothing was sent to InProd (schema_only)`);
+        return;
+      }
+      core.info(`✓ Schema check passed for ${filePaths.length} changeset(s)`);
+    }
+
+    // dry_run: write the request bodies a run would send and stop
+    if (dryRun) {
+      const requests = buildDryRunRequests(filePaths, {
+        baseUrl: baseUrl || BASE_URL_PLACEHOLDER, environment, validateBeforeExecute, validateOnly,
+        changesetVariables, sensitiveVariables, maskInjectedVariables, fileOverrides,
+      });
+      const outputDir = path.resolve(dryRunDir);
+      const index = writeDryRunRequests(requests, outputDir);
+      index.forEach(request => core.info(`  ${request.method} ${request.url} -> ${request.body_file}`));
+
+      const formatted = formatResults(filePaths.map(ref => ({
+        file: ref,
+        status: 'SUCCESS',
+        result: { dry_run_requests: index.filter((_, i) => requests[i].ref === ref) },
+        error: null,
+      })));
+      core.setOutput('dry_run_dir', outputDir);
+      core.setOutput('status', 'SUCCESS');
+      core.setOutput('result', JSON.stringify(formatted));
+      await writeJobSummary(formatted);
+      core.info(`\n✓ Wrote ${requests.length} request(s) for ${filePaths.length} changeset(s) to ${outputDir}. Nothing was sent to InProd (dry_run)`);
+      return;
+    }
+
+    const client = new InProdClient({ baseUrl, apiKey, retry, requestTimeoutSeconds });
+    const inFlightTasks = new Map();
     const options = {
-      apiKey, baseUrl, environment, validateBeforeExecute, validateOnly,
-      pollingTimeoutSeconds, changesetVariables,
+      client, mode, environment, validateBeforeExecute, validateOnly,
+      pollingTimeoutSeconds, polling, changesetVariables, sensitiveVariables, maskInjectedVariables,
+      cancelOnTimeout, inFlightTasks, fileOverrides,
     };
 
+    // Handle workflow cancellation so in-flight InProd tasks are not left unattended
+    const cancellation = { cancelling: false };
+    onSignal = (signal) => handleCancellation(signal, client, inFlightTasks, cancelOnTimeout, cancellation);
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+
     core.info(`InProd Run Changesets Action v1`);
     core.info(`Base URL: ${baseUrl}`);
     if (environment) {
       core.info(`Target environment: ${environment}`);
     }
-    core.info(`Files to process: ${filePaths.length}`);
+    core.info(`Mode: ${mode}`);
+    if (mode === 'poll') {
+      core.info(`Tasks to poll: ${taskIds.join(', ')}`);
+    } else {
+      core.info(`Files to process: ${filePaths.length}`);
+      if (hasDependencies) {
+        core.info(`Dependency order: ${filePaths.map(f => path.basename(f)).join(', ')}`);
+      }
+    }
     core.info(`Execution strategy: ${executionStrategy}`);
+    if (executionStrategy === 'parallel') {
+      core.info(`Max concurrency: ${maxConcurrency}`);
+    }
     core.info(`Fail fast: ${failFast}`);
+    if (failFast && executionStrategy === 'parallel') {
+      core.info(`Cancel in-flight on failure: ${cancelInFlight}`);
+    }
+    core.info(`Cancel on timeout: ${cancelOnTimeout}`);
     core.info(`Validate before execute: ${validateBeforeExecute}`);
     core.info(`Validate only: ${validateOnly}`);
     core.info(`Polling timeout: ${pollingTimeoutMinutes} minutes (${pollingTimeoutSeconds} seconds)`);
+    core.info(
+      `Polling interval: ${polling.initialIntervalSeconds}s initial, x${polling.backoffMultiplier} backoff, ` +
+      `${polling.maxIntervalSeconds}s max, ${Math.round(polling.jitter * 100)}% jitter`
+    );
+    core.info(`Request timeout: ${requestTimeoutSeconds} seconds`);
+    core.info(`Retry policy: ${retry.maxAttempts} attempt(s), retrying status codes ${retry.retryStatusCodes.join(', ') || 'none'}`);
     if (changesetVariables) {
-      core.info(`Changeset variables: ${Object.keys(changesetVariables).length} variable(s) provided`);
+      const maskedCount = maskInjectedVariables ? Object.keys(changesetVariables).length : sensitiveVariables.length;
+      const sensitiveNote = maskedCount > 0 ? `, ${maskedCount} submitted with mask_value: true` : '';
+      core.info(`Changeset variables: ${Object.keys(changesetVariables).length} variable(s) provided${sensitiveNote}`);
+    }
+    if (stateFile) {
+      core.info(`State file: ${stateFile}${force ? ' (force: re-running unchanged changesets)' : ''}`);
+    }
+    if (deploymentLock && mode !== 'poll') {
+      core.info(`Deployment lock: ${lockBackend} backend, waiting up to ${lockWaitMinutes} minute(s), stale after ${lockStaleMinutes} minute(s)`);
+    }
+
+    // Hash each changeset as it will be submitted. Changesets the state file
+    // records as applied to their environment are reported as UNCHANGED and
+    // not run, unless force is set or the entry is validate_only
+    const state = stateFile ? loadState(stateFile) : null;
+    const hashes = new Map();
+    const unchanged = new Map();
+    for (const ref of filePaths) {
+      const fileOptions = optionsForFile(ref, options);
+      let hash;
+      try {
+        const { body } = buildRequestBody(ref, { ...fileOptions, changesetVariables: redactVariables(fileOptions.changesetVariables) });
+        hash = changesetHash(body, fileOptions.changesetVariables, apiKey);
+      } catch (e) {
+        // Reported as the changeset's failure when it runs
+        continue;
+      }
+      hashes.set(ref, hash);
+      const applied = state && !force && !fileOptions.validateOnly ? findAppliedRun(state, hash, fileOptions.environment) : null;
+      if (applied) {
+        core.info(`✓ ${path.basename(ref)} is unchanged since run ${applied.run_id ?? 'unknown'} at ${applied.applied_at}. Skipping (set force: true to run it again)`);
+        unchanged.set(ref, { file: ref, status: 'UNCHANGED', result: { last_applied: applied }, error: null });
+      }
+    }
+    const withHashes = entries => entries.map(r => (hashes.has(r.file) ? { ...r, changesetHash: hashes.get(r.file) } : r));
+
+    // Record each changeset in the state file as soon as it executes
+    // successfully, so the record is kept when the run is cancelled or
+    // fails later on. A failed write is retried when the run ends
+    let recorded = 0;
+    if (state) {
+      options.recordApplied = (r) => {
+        if (!hashes.has(r.file)) return;
+        recordAppliedRun(state, {
+          hash: hashes.get(r.file),
+          environment: optionsForFile(r.file, options).environment,
+          changeset: path.basename(r.file),
+          runId: r.result.run_id ?? r.runId,
+          appliedAt: r.timings.execution.finished_at,
+        });
+        recorded++;
+        try {
+          writeState(stateFile, state);
+        } catch (e) {
+          core.warning(`Failed to record ${path.basename(r.file)} in ${stateFile}: ${e.message}`);
+        }
+      };
+    }
+
+    // Dependencies on an UNCHANGED changeset are already met
+    const pendingFiles = filePaths.filter(f => !unchanged.has(f));
+    const pendingDependencies = new Map([...dependencies].map(([f, deps]) => [f, deps.filter(d => !unchanged.has(d))]));
+
+    // Hold the deployment lock of every environment a changeset executes in
+    // until the run ends. Released on exit too, so a failed or cancelled run
+    // does not leave it behind
+    if (lockStore && mode !== 'poll') {
+      const environments = pendingFiles
+        .filter(f => !optionsForFile(f, options).validateOnly)
+        .map(f => lockEnvironment(f, optionsForFile(f, options)));
+      if (environments.length > 0) {
+        process.once('exit', onExit);
+        locks = await acquireDeploymentLocks(environments, {
+          backend: lockStore,
+          waitSeconds: lockWaitMinutes * 60,
+          staleSeconds: lockStaleMinutes * 60,
+        });
+      }
     }
 
     const results = [];
+    const statusOf = f => (results.find(r => r.file === f) || {}).status;
 
-    if (executionStrategy === 'validate_first' && !validateOnly && validateBeforeExecute) {
+    if (mode === 'poll') {
+      for (let i = 0; i < taskIds.length; i++) {
+        const taskId = taskIds[i];
+        core.info(`\n--- Polling [${i + 1}/${taskIds.length}]: ${taskId} ---`);
+        const startedAt = new Date();
+        try {
+          const taskResult = await pollExistingTask(taskId, options);
+          results.push({ ...taskResult, timings: { poll: phaseTiming(startedAt) } });
+          if (taskResult.error && failFast) {
+            core.error(`Stopping: fail_fast is enabled and task ${taskId} failed.`);
+            break;
+          }
+        } catch (error) {
+          results.push({ taskId, status: 'FAILURE', result: {}, error: error.message, timings: { poll: phaseTiming(startedAt) } });
+          if (failFast) {
+            core.error(`Stopping: fail_fast is enabled and task ${taskId} failed.`);
+            break;
+          }
+        }
+      }
+    } else if (executionStrategy === 'parallel') {
+      results.push(...await processInParallel(pendingFiles, options, { maxConcurrency, failFast, cancelInFlight, dependencies: pendingDependencies }));
+    } else if (executionStrategy === 'validate_first' && !validateOnly && validateBeforeExecute) {
       // Phase 1: Validate all files
-      for (let i = 0; i < filePaths.length; i++) {
-        const filePath = filePaths[i];
+      const validated = new Map();
+      for (let i = 0; i < pendingFiles.length; i++) {
+        const filePath = pendingFiles[i];
         const fileName = path.basename(filePath);
-        core.info(`\n--- Validating [${i + 1}/${filePaths.length}]: ${fileName} ---`);
+        core.info(`\n--- Validating [${i + 1}/${pendingFiles.length}]: ${fileName} ---`);
         try {
-          const valResult = await validateFile(filePath, options);
+          const valResult = await processSingleFile(filePath, { ...optionsForFile(filePath, options), validateOnly: true });
+          validated.set(filePath, valResult);
           if (valResult.status !== 'SUCCESS') {
-            results.push({ file: filePath, taskId: valResult.taskId, status: valResult.status, result: valResult.result, error: valResult.error });
-            if (failFast) {
+            results.push(valResult);
+            if (failFast && !valResult.continueOnError) {
               core.error(`Stopping: fail_fast is enabled and ${fileName} failed validation.`);
               break;
             }
@@ -485,35 +1292,45 @@ async function run() {
       }
 
       // If any validation failed, stop before executing
-      const validationFailures = results.filter(r => r.status !== 'SUCCESS');
+      const validationFailures = results.filter(r => r.status !== 'SUCCESS' && !r.continueOnError);
       if (validationFailures.length > 0) {
         // Set outputs and fail
+        const formatted = formatResults(withHashes(results));
         core.setOutput('status', 'FAILURE');
-        const resultArray = results.map(r => ({
-          file: path.basename(r.file),
-          status: r.status,
-          result: r.result || {},
-          error: r.error || null,
-        }));
-        core.setOutput('result', JSON.stringify(resultArray));
+        core.setOutput('result', JSON.stringify(formatted));
+        await writeJobSummary(formatted);
         const msg = validationFailures.length === 1
           ? validationFailures[0].error
-          : `${validationFailures.length} of ${filePaths.length} changeset(s) failed validation. See result output for details.`;
+          : `${validationFailures.length} of ${pendingFiles.length} changeset(s) failed validation. See result output for details.`;
         throw new Error(msg);
       }
 
-      core.info(`\n✓ All ${filePaths.length} file(s) passed validation. Starting execution...`);
+      core.info(`\n✓ All ${pendingFiles.length} file(s) passed validation. Starting execution...`);
 
-      // Phase 2: Execute all files (skip re-validation)
-      const executeOptions = { ...options, validateBeforeExecute: false, validateOnly: false };
-      for (let i = 0; i < filePaths.length; i++) {
-        const filePath = filePaths[i];
+      // Phase 2: Execute all files (skip re-validation). Files that failed
+      // validation with continue_on_error are already reported, and
+      // validate_only manifest entries are done.
+      for (let i = 0; i < pendingFiles.length; i++) {
+        const filePath = pendingFiles[i];
         const fileName = path.basename(filePath);
-        core.info(`\n--- Executing [${i + 1}/${filePaths.length}]: ${fileName} ---`);
+        const fileOptions = optionsForFile(filePath, options);
+        const valResult = validated.get(filePath);
+        if (valResult.status !== 'SUCCESS') continue;
+        if (fileOptions.validateOnly) {
+          results.push(valResult);
+          continue;
+        }
+        core.info(`\n--- Executing [${i + 1}/${pendingFiles.length}]: ${fileName} ---`);
+        const skipped = skipForDependencies(filePath, pendingDependencies, statusOf);
+        if (skipped) {
+          results.push(skipped);
+          continue;
+        }
         try {
-          const fileResult = await processSingleFile(filePath, executeOptions);
+          const { status, result, error, ...validation } = valResult;
+          const fileResult = await processSingleFile(filePath, { ...fileOptions, validateBeforeExecute: false, validateOnly: false }, validation);
           results.push(fileResult);
-          if (fileResult.error && failFast) {
+          if (fileResult.error && !fileResult.continueOnError && failFast) {
             core.error(`Stopping: fail_fast is enabled and ${fileName} failed.`);
             break;
           }
@@ -527,14 +1344,19 @@ async function run() {
       }
     } else {
       // per_file strategy: full flow for each file sequentially
-      for (let i = 0; i < filePaths.length; i++) {
-        const filePath = filePaths[i];
+      for (let i = 0; i < pendingFiles.length; i++) {
+        const filePath = pendingFiles[i];
         const fileName = path.basename(filePath);
-        core.info(`\n--- Processing [${i + 1}/${filePaths.length}]: ${fileName} ---`);
+        core.info(`\n--- Processing [${i + 1}/${pendingFiles.length}]: ${fileName} ---`);
+        const skipped = skipForDependencies(filePath, pendingDependencies, statusOf);
+        if (skipped) {
+          results.push(skipped);
+          continue;
+        }
         try {
-          const fileResult = await processSingleFile(filePath, options);
+          const fileResult = await processSingleFile(filePath, optionsForFile(filePath, options));
           results.push(fileResult);
-          if (fileResult.error && failFast) {
+          if (fileResult.error && !fileResult.continueOnError && failFast) {
             core.error(`Stopping: fail_fast is enabled and ${fileName} failed.`);
             break;
           }
@@ -548,23 +1370,45 @@ async function run() {
       }
     }
 
+    // UNCHANGED changesets take their place in file order
+    if (unchanged.size > 0) {
+      const ran = results.splice(0);
+      results.push(...filePaths.map(f => unchanged.get(f) || ran.find(r => r.file === f)).filter(Boolean));
+    }
+
+    // The changesets that executed successfully are already recorded; write
+    // the file once more in case one of those writes failed
+    if (state) {
+      writeState(stateFile, state);
+      core.info(`Recorded ${recorded} applied changeset(s) in ${stateFile}`);
+    }
+
     // Set aggregate outputs
     const aggregateStatus = worstStatus(results);
     core.setOutput('status', aggregateStatus);
 
-    const resultArray = results.map(r => ({
-      file: path.basename(r.file),
-      status: r.status,
-      result: r.result || {},
-      error: r.error || null,
-    }));
-    core.setOutput('result', JSON.stringify(resultArray));
+    const formatted = formatResults(withHashes(results));
+    core.setOutput('result', JSON.stringify(formatted));
+    await writeJobSummary(formatted);
+    if (hashes.size > 0) {
+      core.setOutput('changeset_hash', filePaths.map(f => hashes.get(f)).filter(Boolean).join(','));
+    }
+
+    const taskIdOutput = results.map(r => r.executionTaskId || r.taskId).filter(Boolean);
+    if (taskIdOutput.length > 0) {
+      core.setOutput('task_id', taskIdOutput.join(','));
+    }
 
     core.info(`\nAction completed with status: ${aggregateStatus}`);
 
-    // Fail the action if any file had a non-success status
-    if (aggregateStatus === 'FAILURE' || aggregateStatus === 'TIMEOUT' || aggregateStatus === 'REVOKED') {
-      const failedFiles = results.filter(r => r.status !== 'SUCCESS' && r.status !== 'SUBMITTED');
+    // Fail the action if any file had a non-success status, except manifest
+    // entries marked continue_on_error
+    const unsuccessful = results.filter(r => !['SUCCESS', 'SUBMITTED', 'UNCHANGED'].includes(r.status));
+    unsuccessful.filter(r => r.continueOnError).forEach(r => {
+      core.warning(`${path.basename(r.file)} finished with status ${r.status} (continue_on_error): ${r.error}`);
+    });
+    const failedFiles = unsuccessful.filter(r => !r.continueOnError);
+    if (failedFiles.length > 0) {
       const msg = failedFiles.length === 1
         ? failedFiles[0].error
         : `${failedFiles.length} of ${results.length} changeset(s) failed. See result output for details.`;
@@ -576,10 +1420,17 @@ async function run() {
     core.debug(`Error stack: ${error.stack}`);
     core.setFailed(error.message);
     process.exit(1);
+  } finally {
+    releaseDeploymentLocks(locks);
+    process.removeListener('exit', onExit);
+    if (onSignal) {
+      process.removeListener('SIGINT', onSignal);
+      process.removeListener('SIGTERM', onSignal);
+    }
   }
 }
 
-module.exports = { run, pollTask, buildUrl, isGlobPattern, resolveFiles, worstStatus, getFileFormat, injectYamlVariables, injectJsonVariables };
+module.exports = { run, pollTask, waitForTask, pollExistingTask, parseTaskIds, cancelTask, handleCancellation, computePollDelay, parseNumberInput, parseStatusCodes, buildUrl, isGlobPattern, resolveFiles, worstStatus, getFileFormat, injectYamlVariables, injectJsonVariables };
 
 /* istanbul ignore next */
 if (require.main === module) {
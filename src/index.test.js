@@ -13,26 +13,44 @@ const mockCore = {
   info: jest.fn(),
   error: jest.fn(),
   warning: jest.fn(),
+  notice: jest.fn(),
   debug: jest.fn(),
+  summary: {
+    addHeading: jest.fn().mockReturnThis(),
+    addTable: jest.fn().mockReturnThis(),
+    addDetails: jest.fn().mockReturnThis(),
+    write: jest.fn().mockResolvedValue(undefined),
+  },
 };
 jest.mock('@actions/core', () => mockCore);
 
+// Mock changed file detection (changed_only)
+const mockGetChangedFiles = jest.fn();
+jest.mock('./changes', () => ({ getChangedFiles: (...args) => mockGetChangedFiles(...args) }));
+
 // Mock global fetch
 const mockFetch = jest.fn();
 global.fetch = mockFetch;
 
-const { run, pollTask, buildUrl, isGlobPattern, resolveFiles, worstStatus, getFileFormat, injectYamlVariables, injectJsonVariables } = require('./index');
+const { run, pollTask, cancelTask, handleCancellation, computePollDelay, parseStatusCodes, buildUrl, isGlobPattern, resolveFiles, worstStatus, getFileFormat, injectYamlVariables, injectJsonVariables } = require('./index');
+
+const { InProdClient } = require('./client');
 
 // Helpers
+function testClient(apiKey = 'key', retry = {}) {
+  return new InProdClient({ baseUrl: 'https://test.inprod.io', apiKey, retry });
+}
+
 function mockInputs(inputs) {
   mockCore.getInput.mockImplementation((name) => inputs[name] || '');
 }
 
-function mockFetchResponse(status, body, ok = true) {
+function mockFetchResponse(status, body, ok = true, headers = {}) {
   return {
     ok,
     status,
     statusText: ok ? 'OK' : 'Error',
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
     json: jest.fn().mockResolvedValue(body),
     text: jest.fn().mockResolvedValue(typeof body === 'string' ? body : JSON.stringify(body)),
   };
@@ -101,14 +119,52 @@ const GLOB_FILE_01 = path.join(__dirname, '__test_01_queues__.yaml');
 const GLOB_FILE_02 = path.join(__dirname, '__test_02_flows__.yaml');
 const GLOB_FILE_03 = path.join(__dirname, '__test_03_webchat__.yaml');
 
+// Fixed 5-second polling cadence for tests that count polls
+const FIXED_5S_POLLING = { initialIntervalSeconds: 5, backoffMultiplier: 1, maxIntervalSeconds: 5, jitter: 0 };
+const FIXED_5S_POLLING_INPUTS = {
+  polling_interval_seconds: '5',
+  polling_backoff_multiplier: '1',
+  polling_max_interval_seconds: '5',
+  polling_jitter: '0',
+};
+
 // Helper to build expected result array for a single file
 function singleResultArray(status, result, error = null) {
-  return JSON.stringify([{
+  return [expect.objectContaining({
     file: SAMPLE_BASENAME,
     status,
     result: result || {},
     error,
-  }]);
+  })];
+}
+
+// Parsed value of the `result` output from the last run()
+function resultOutput() {
+  return JSON.parse(mockCore.setOutput.mock.calls.find(c => c[0] === 'result')[1]);
+}
+
+// Route fetch by URL for tests that run several files at once. Submissions
+// are named after the changeset (v-a, e-b, ...) and recorded in
+// `submissions`, status checks answer from `taskStatus` (PENDING by
+// default) and revokes call onRevoke, which marks the task REVOKED unless
+// overridden. Call mockFetch.mockReset() afterwards.
+function routeFetchByChangeset(taskStatus = {}, onRevoke = taskId => { taskStatus[taskId] = revokedPollResponse(); }) {
+  const submissions = [];
+  mockFetch.mockImplementation(async (url, init) => {
+    const taskMatch = url.match(/task-status\/([^/]+)\/(revoke\/)?$/);
+    if (taskMatch && taskMatch[2]) {
+      onRevoke(taskMatch[1]);
+      return mockFetchResponse(200, {});
+    }
+    if (taskMatch) {
+      return mockFetchResponse(200, taskStatus[taskMatch[1]] || pendingPollResponse());
+    }
+    const name = init.body.match(/^name: (.*)$/m)[1];
+    const taskId = `${url.includes('/validate_') ? 'v' : 'e'}-${name}`;
+    submissions.push(taskId);
+    return mockFetchResponse(200, taskId.startsWith('v') ? validationTaskResponse(taskId) : executeTaskResponse(taskId));
+  });
+  return { taskStatus, submissions };
 }
 
 beforeAll(() => {
@@ -209,6 +265,54 @@ describe('resolveFiles', () => {
   test('throws when glob pattern matches no files', () => {
     expect(() => resolveFiles(path.join(__dirname, '__nonexistent_glob_*__.yaml'))).toThrow('No files matched the pattern');
   });
+
+  describe('multiple patterns', () => {
+    let dir;
+    const tree = ['core/10_flows.yaml', 'core/2_queues.yaml', 'core/draft-prompts.yaml', 'apps/3_webchat.yaml', 'apps/draft-bots.yaml'];
+    const relative = files => files.map(f => path.relative(dir, f).split(path.sep).join('/'));
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'inprod-files-'));
+      tree.forEach(f => {
+        fs.mkdirSync(path.dirname(path.join(dir, f)), { recursive: true });
+        fs.writeFileSync(path.join(dir, f), SAMPLE_CHANGESET);
+      });
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('combines patterns, removes exclusions and de-duplicates', () => {
+      const files = resolveFiles([
+        `${dir}/**/*.yaml`,
+        '',
+        `  ${dir}/core/2_queues.yaml  `,
+        `!${dir}/**/draft-*.yaml`,
+      ].join('\n'));
+      expect(relative(files)).toEqual(['core/10_flows.yaml', 'core/2_queues.yaml', 'apps/3_webchat.yaml']);
+      expect(mockCore.info).toHaveBeenCalledWith(`Excluded 2 file(s) matching: ${dir}/**/draft-*.yaml`);
+    });
+
+    test.each([
+      ['basename', ['core/10_flows.yaml', 'core/2_queues.yaml', 'apps/3_webchat.yaml']],
+      ['path', ['apps/3_webchat.yaml', 'core/10_flows.yaml', 'core/2_queues.yaml']],
+      ['natural', ['apps/3_webchat.yaml', 'core/2_queues.yaml', 'core/10_flows.yaml']],
+    ])('sorts by %s', (sort, expected) => {
+      const files = resolveFiles(`${dir}/*/[0-9]*.yaml`, { sort });
+      expect(relative(files)).toEqual(expected);
+    });
+
+    test('fails when a line matches nothing', () => {
+      expect(() => resolveFiles(`${dir}/core/*.yaml\n${dir}/missing/*.yaml`)).toThrow(`No files matched the pattern: ${dir}/missing/*.yaml`);
+      expect(() => resolveFiles(`${dir}/core/*.yaml\n${dir}/missing.yaml`)).toThrow(`Changeset file not found: ${path.join(dir, 'missing.yaml')}`);
+    });
+
+    test('fails when exclusions remove every file', () => {
+      expect(() => resolveFiles(`${dir}/**/draft-*.yaml\n!${dir}/**/draft-*`)).toThrow(`No files left after applying exclusion patterns: ${dir}/**/draft-*`);
+      expect(() => resolveFiles(`!${dir}/**/draft-*.yaml`)).toThrow('changeset_file only contains exclusion patterns');
+    });
+  });
 });
 
 // ─── worstStatus ────────────────────────────────────────────────────────────
@@ -230,6 +334,19 @@ describe('worstStatus', () => {
     expect(worstStatus([{ status: 'REVOKED' }, { status: 'TIMEOUT' }])).toBe('TIMEOUT');
   });
 
+  test('REVOKED beats SKIPPED', () => {
+    expect(worstStatus([{ status: 'SKIPPED' }, { status: 'REVOKED' }])).toBe('REVOKED');
+  });
+
+  test('UNCHANGED counts as SUCCESS', () => {
+    expect(worstStatus([{ status: 'UNCHANGED' }, { status: 'UNCHANGED' }])).toBe('SUCCESS');
+    expect(worstStatus([{ status: 'UNCHANGED' }, { status: 'SUBMITTED' }])).toBe('SUBMITTED');
+  });
+
+  test('SKIPPED beats SUBMITTED', () => {
+    expect(worstStatus([{ status: 'SUBMITTED' }, { status: 'SKIPPED' }])).toBe('SKIPPED');
+  });
+
   test('REVOKED beats SUBMITTED', () => {
     expect(worstStatus([{ status: 'SUBMITTED' }, { status: 'REVOKED' }])).toBe('REVOKED');
   });
@@ -255,7 +372,7 @@ describe('pollTask', () => {
     const result = { run_id: 1, successful: true };
     mockFetch.mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(result)));
 
-    const promise = pollTask('https://test.inprod.io', 'key', 'task-1', 'Execution', 60);
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 60);
     await advancePoll();
     const outcome = await promise;
 
@@ -269,7 +386,7 @@ describe('pollTask', () => {
   test('returns FAILURE when task fails', async () => {
     mockFetch.mockResolvedValueOnce(mockFetchResponse(200, failurePollResponse('Boom')));
 
-    const promise = pollTask('https://test.inprod.io', 'key', 'task-1', 'Execution', 60);
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 60);
     await advancePoll();
     const outcome = await promise;
 
@@ -279,7 +396,7 @@ describe('pollTask', () => {
   test('returns FAILURE with default error message', async () => {
     mockFetch.mockResolvedValueOnce(mockFetchResponse(200, { status: 'FAILURE' }));
 
-    const promise = pollTask('https://test.inprod.io', 'key', 'task-1', 'Execution', 60);
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 60);
     await advancePoll();
     const outcome = await promise;
 
@@ -289,7 +406,7 @@ describe('pollTask', () => {
   test('returns REVOKED when task is cancelled', async () => {
     mockFetch.mockResolvedValueOnce(mockFetchResponse(200, revokedPollResponse()));
 
-    const promise = pollTask('https://test.inprod.io', 'key', 'task-1', 'Execution', 60);
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 60);
     await advancePoll();
     const outcome = await promise;
 
@@ -302,7 +419,7 @@ describe('pollTask', () => {
       .mockResolvedValueOnce(mockFetchResponse(200, startedPollResponse()))
       .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 5 })));
 
-    const promise = pollTask('https://test.inprod.io', 'key', 'task-1', 'Execution', 60);
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 60);
     await advancePoll(); // PENDING
     await advancePoll(); // STARTED
     await advancePoll(); // SUCCESS
@@ -313,17 +430,19 @@ describe('pollTask', () => {
   });
 
   test('returns TIMEOUT when polling exceeds timeout', async () => {
-    // Timeout of 10s, poll interval 5s = 2 polls max
+    // Timeout of 10s, fixed 5s interval = polls at 0s, 5s and 10s
     mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()))
       .mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()))
       .mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()));
 
-    const promise = pollTask('https://test.inprod.io', 'key', 'task-1', 'Execution', 10);
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 10, FIXED_5S_POLLING);
     await advancePoll(); // 5s — PENDING
     await advancePoll(); // 10s — PENDING, now >= timeout
     const outcome = await promise;
 
     expect(outcome).toEqual({ status: 'TIMEOUT' });
+    expect(mockFetch).toHaveBeenCalledTimes(3);
   });
 
   test('throws on non-ok HTTP response from poll', async () => {
@@ -336,19 +455,46 @@ describe('pollTask', () => {
     jest.spyOn(globalThis, 'setTimeout').mockImplementation((fn) => originalSetTimeout(fn, 0));
 
     await expect(
-      pollTask('https://test.inprod.io', 'key', 'task-1', 'Execution', 60)
-    ).rejects.toThrow('Poll failed with status 500');
+      pollTask(testClient(), 'task-1', 'Execution', 60)
+    ).rejects.toThrow('Task status request failed with status 500');
 
     globalThis.setTimeout.mockRestore();
     jest.useFakeTimers();
   });
 
+  test('keeps polling through a rate-limited status check with a long Retry-After', async () => {
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(429, 'Too Many Requests', false, { 'retry-after': '90' }))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 7 })));
+
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 600);
+    await jest.advanceTimersByTimeAsync(90000);
+    const outcome = await promise;
+
+    expect(outcome).toEqual({ status: 'SUCCESS', result: { run_id: 7 } });
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('returned status 429. Retrying in 90s'));
+  });
+
+  test('treats a status check still rate limited after the retries as a missed check', async () => {
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(429, 'Too Many Requests', false))
+      .mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
+
+    const promise = pollTask(testClient('key', { maxAttempts: 1 }), 'task-1', 'Execution', 600, { jitter: 0 });
+    await jest.advanceTimersByTimeAsync(10000);
+    const outcome = await promise;
+
+    expect(outcome.status).toBe('SUCCESS');
+    expect(mockCore.warning).toHaveBeenCalledWith('Task status request failed with status 429: Too Many Requests. Retrying...');
+  });
+
   test('retries on transient network errors', async () => {
     mockFetch
       .mockRejectedValueOnce(new Error('Network error'))
       .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 7 })));
 
-    const promise = pollTask('https://test.inprod.io', 'key', 'task-1', 'Execution', 60);
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 60);
     await advancePoll(); // Network error — retry
     await advancePoll(); // SUCCESS
     const outcome = await promise;
@@ -357,10 +503,21 @@ describe('pollTask', () => {
     expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Network error'));
   });
 
+  test('fails once network errors exhaust the retry policy', async () => {
+    mockFetch
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockRejectedValueOnce(new Error('Network error'));
+
+    const promise = pollTask(testClient('key', { maxAttempts: 2 }), 'task-1', 'Execution', 60);
+    const assertion = expect(promise).rejects.toThrow('Failed to connect to InProd API at https://test.inprod.io/api/v1/task-status/task-1/: Network error');
+    await jest.advanceTimersByTimeAsync(1000);
+    await assertion;
+  });
+
   test('sends correct authorization header', async () => {
     mockFetch.mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
 
-    const promise = pollTask('https://test.inprod.io', 'my-secret-key', 'task-1', 'Test', 60);
+    const promise = pollTask(testClient('my-secret-key'), 'task-1', 'Test', 60);
     await advancePoll();
     await promise;
 
@@ -375,6 +532,165 @@ describe('pollTask', () => {
   });
 });
 
+describe('pollTask — backoff and jitter', () => {
+  const BACKOFF_POLLING = { initialIntervalSeconds: 1, backoffMultiplier: 2, maxIntervalSeconds: 4, jitter: 0 };
+
+  test('checks status immediately without waiting for the first interval', async () => {
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 1 })));
+
+    const outcome = await pollTask(testClient(), 'task-1', 'Validation', 60, BACKOFF_POLLING);
+
+    expect(outcome).toEqual({ status: 'SUCCESS', result: { run_id: 1 } });
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('grows the interval by the multiplier up to the maximum', async () => {
+    for (let i = 0; i < 5; i++) {
+      mockFetch.mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()));
+    }
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
+
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 60, BACKOFF_POLLING);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockFetch).toHaveBeenCalledTimes(1); // t=0
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockFetch).toHaveBeenCalledTimes(2); // t=1 (1s)
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(mockFetch).toHaveBeenCalledTimes(3); // t=3 (2s)
+    await jest.advanceTimersByTimeAsync(3999);
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(mockFetch).toHaveBeenCalledTimes(4); // t=7 (4s)
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(mockFetch).toHaveBeenCalledTimes(5); // t=11 (capped at 4s)
+    await jest.advanceTimersByTimeAsync(4000);
+    const outcome = await promise;
+
+    expect(outcome).toEqual({ status: 'SUCCESS', result: {} });
+    expect(mockFetch).toHaveBeenCalledTimes(6);
+  });
+
+  test('counts time spent in slow status requests towards the timeout', async () => {
+    // Each status request takes 4s; with a 1s interval the 10s deadline is hit after 2 requests
+    mockFetch.mockImplementation(() => new Promise(resolve => {
+      setTimeout(() => resolve(mockFetchResponse(200, pendingPollResponse())), 4000);
+    }));
+
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 10,
+      { initialIntervalSeconds: 1, backoffMultiplier: 1, maxIntervalSeconds: 1, jitter: 0 });
+    await jest.advanceTimersByTimeAsync(15000);
+    const outcome = await promise;
+
+    expect(outcome).toEqual({ status: 'TIMEOUT' });
+    expect(mockFetch).toHaveBeenCalledTimes(3); // t=0-4, t=5-9, t=10-14
+    mockFetch.mockReset();
+  });
+
+  test('logs wall-clock elapsed time', async () => {
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
+
+    const promise = pollTask(testClient(), 'task-1', 'Execution', 60,
+      { initialIntervalSeconds: 3, backoffMultiplier: 1, maxIntervalSeconds: 3, jitter: 0 });
+    await jest.advanceTimersByTimeAsync(3000);
+    await promise;
+
+    expect(mockCore.info).toHaveBeenCalledWith('  Execution status: PENDING (0s elapsed)');
+    expect(mockCore.info).toHaveBeenCalledWith('  Execution status: SUCCESS (3s elapsed)');
+  });
+});
+
+describe('pollTask — request timeout', () => {
+  function hang(url, init) {
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+    });
+  }
+
+  function timeoutClient(requestTimeoutSeconds) {
+    return new InProdClient({ baseUrl: 'https://test.inprod.io', apiKey: 'key', retry: { maxAttempts: 1 }, requestTimeoutSeconds });
+  }
+
+  test('keeps polling after a status check times out', async () => {
+    mockFetch
+      .mockImplementationOnce(hang)
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 3 })));
+
+    const promise = pollTask(timeoutClient(5), 'task-1', 'Execution', 60, FIXED_5S_POLLING);
+    await jest.advanceTimersByTimeAsync(5000); // status check aborted
+    await jest.advanceTimersByTimeAsync(5000); // next poll
+    const outcome = await promise;
+
+    expect(outcome).toEqual({ status: 'SUCCESS', result: { run_id: 3 } });
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Task status request to https://test.inprod.io/api/v1/task-status/task-1/ timed out after 5s'));
+  });
+
+  test('a hung status check cannot outlast the polling deadline', async () => {
+    mockFetch
+      .mockImplementationOnce(hang)
+      .mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()));
+
+    const promise = pollTask(timeoutClient(600), 'task-1', 'Execution', 10, FIXED_5S_POLLING);
+    await jest.advanceTimersByTimeAsync(10000);
+    const outcome = await promise;
+
+    expect(outcome).toEqual({ status: 'TIMEOUT' });
+    expect(mockFetch).toHaveBeenCalledTimes(2); // the hung check, then the final one
+  });
+
+  test('gives the final status check at the deadline a full request timeout', async () => {
+    // Answers after 2s, like a real server, unless the request is aborted first
+    const slowly = body => (url, init) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve(mockFetchResponse(200, body)), 2000);
+      init.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('This operation was aborted', 'AbortError'));
+      });
+    });
+    mockFetch
+      .mockImplementationOnce(slowly(pendingPollResponse()))
+      .mockImplementationOnce(slowly(pendingPollResponse()))
+      .mockImplementationOnce(slowly(successPollResponse({ run_id: 4 })));
+
+    const promise = pollTask(timeoutClient(5), 'task-1', 'Execution', 10,
+      { initialIntervalSeconds: 3, backoffMultiplier: 1, maxIntervalSeconds: 3, jitter: 0 });
+    await jest.advanceTimersByTimeAsync(12000); // checks at 0-2s, 5-7s and 10-12s
+    const outcome = await promise;
+
+    expect(outcome).toEqual({ status: 'SUCCESS', result: { run_id: 4 } });
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('computePollDelay', () => {
+  test('returns the interval unchanged when jitter is 0', () => {
+    expect(computePollDelay(5, 0)).toBe(5000);
+  });
+
+  test('spreads the interval by at most the jitter fraction', () => {
+    jest.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(0.5).mockReturnValueOnce(0.999999);
+    expect(computePollDelay(10, 0.2)).toBeCloseTo(8000);
+    expect(computePollDelay(10, 0.2)).toBeCloseTo(10000);
+    expect(computePollDelay(10, 0.2)).toBeCloseTo(12000, 0);
+    Math.random.mockRestore();
+  });
+});
+
+describe('parseStatusCodes', () => {
+  test('returns the default for empty input', () => {
+    expect(parseStatusCodes('', [429])).toEqual([429]);
+  });
+
+  test('accepts comma- and newline-separated codes', () => {
+    expect(parseStatusCodes('429, 503\n504', [])).toEqual([429, 503, 504]);
+  });
+
+  test('throws on invalid codes', () => {
+    expect(() => parseStatusCodes('429,abc', [])).toThrow('Invalid retry_status_codes entry: abc');
+  });
+});
+
 // ─── run() — Input Validation ───────────────────────────────────────────────
 
 describe('run — input validation', () => {
@@ -574,6 +890,37 @@ describe('run — changeset file resolution', () => {
     expect(callArgs[1].body).toBe(SAMPLE_CHANGESET);
     expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('Read changeset from file'));
   });
+
+  test('accepts several patterns with exclusions', async () => {
+    mockInputs({
+      api_key: 'key',
+      base_url: 'https://test.inprod.io',
+      changeset_file: `${path.join(__dirname, '__test_0*__.yaml')}\n!${GLOB_FILE_02}`,
+      file_sort: 'natural',
+      validate_before_execute: 'false',
+      ...FIXED_5S_POLLING_INPUTS,
+    });
+    const { submissions } = routeFetchByChangeset({ [encodeURIComponent('e-Test Queue')]: successPollResponse({}) });
+
+    await run();
+    mockFetch.mockReset();
+
+    expect(submissions).toHaveLength(2);
+    expect(resultOutput().map(r => r.file)).toEqual(['__test_01_queues__.yaml', '__test_03_webchat__.yaml']);
+  });
+
+  test('rejects an unknown file_sort', async () => {
+    mockInputs({
+      api_key: 'key',
+      base_url: 'https://test.inprod.io',
+      changeset_file: SAMPLE_CHANGESET_FILE,
+      file_sort: 'mtime',
+    });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid file_sort: mtime. Expected one of: basename, path, natural');
+  });
 });
 
 // ─── run() — Execute without validation ─────────────────────────────────────
@@ -599,7 +946,7 @@ describe('run — execute without validation', () => {
     await promise;
 
     expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
-    expect(mockCore.setOutput).toHaveBeenCalledWith('result', singleResultArray('SUCCESS', execResult));
+    expect(resultOutput()).toEqual(singleResultArray('SUCCESS', execResult));
     expect(mockCore.setFailed).not.toHaveBeenCalled();
   });
 
@@ -610,7 +957,7 @@ describe('run — execute without validation', () => {
     await run();
 
     expect(mockCore.setFailed).toHaveBeenCalledWith(
-      expect.stringContaining('API request failed with status 403')
+      expect.stringContaining('Execution request failed with status 403')
     );
   });
 
@@ -620,7 +967,7 @@ describe('run — execute without validation', () => {
 
     await run();
 
-    expect(mockCore.setFailed).toHaveBeenCalledWith('API returned an empty task_id');
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Execution API returned an empty task_id');
   });
 
   test('fails when execution response structure is unexpected', async () => {
@@ -630,7 +977,7 @@ describe('run — execute without validation', () => {
     await run();
 
     expect(mockCore.setFailed).toHaveBeenCalledWith(
-      expect.stringContaining('Failed to extract task_id from API response')
+      expect.stringContaining('Failed to extract task_id from execution response')
     );
   });
 
@@ -663,12 +1010,12 @@ describe('run — execute without validation', () => {
   });
 
   test('fails when execution poll times out', async () => {
-    mockInputs({ ...baseInputs, polling_timeout_minutes: '1' });
+    mockInputs({ ...baseInputs, ...FIXED_5S_POLLING_INPUTS, polling_timeout_minutes: '1' });
     mockFetch
       .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-5')));
 
-    // Fill all polling slots with PENDING (60s / 5s = 12 polls)
-    for (let i = 0; i < 12; i++) {
+    // Fill all polling slots with PENDING (polls at 0s, 5s, ... 60s = 13 polls)
+    for (let i = 0; i < 13; i++) {
       mockFetch.mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()));
     }
 
@@ -790,6 +1137,30 @@ describe('run — validate before execute', () => {
     expect(mockFetch).toHaveBeenCalledTimes(2);
   });
 
+  test('logs validation errors by object and annotates the changeset file', async () => {
+    mockInputs(baseInputs);
+
+    const invalidResult = {
+      is_valid: false,
+      validation_results: [{ action_id: 1, errors: { data: { name: [{ msg: ['Required'] }] } } }],
+    };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-2')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(invalidResult)));
+
+    await run();
+
+    expect(mockCore.info).toHaveBeenCalledWith(
+      'Validation errors:\n1 error(s)\nRoutingQueue "Test Queue" (action 1)\n  [error] data.name: Required (line 9)'
+    );
+    expect(mockCore.error).toHaveBeenCalledWith('data.name: Required', {
+      file: path.relative(process.env.GITHUB_WORKSPACE || process.cwd(), SAMPLE_CHANGESET_FILE),
+      title: 'InProd validation: RoutingQueue "Test Queue" (action 1)',
+      startLine: 9,
+      endLine: 9,
+    });
+  });
+
   test('fails when validation API returns non-ok status', async () => {
     mockInputs(baseInputs);
     mockFetch.mockResolvedValueOnce(mockFetchResponse(401, 'Unauthorized', false));
@@ -852,9 +1223,9 @@ describe('run — validate before execute', () => {
   });
 
   test('fails when validation poll times out', async () => {
-    mockInputs({ ...baseInputs, polling_timeout_minutes: '1' });
+    mockInputs({ ...baseInputs, ...FIXED_5S_POLLING_INPUTS, polling_timeout_minutes: '1' });
     mockFetch.mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-5')));
-    for (let i = 0; i < 12; i++) {
+    for (let i = 0; i < 13; i++) {
       mockFetch.mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()));
     }
 
@@ -920,7 +1291,7 @@ describe('run — validate only', () => {
     await promise;
 
     expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
-    expect(mockCore.setOutput).toHaveBeenCalledWith('result', singleResultArray('SUCCESS', validResult));
+    expect(resultOutput()).toEqual(singleResultArray('SUCCESS', validResult));
     expect(mockCore.setFailed).not.toHaveBeenCalled();
     // Should NOT have called execute
     expect(mockFetch).toHaveBeenCalledTimes(2); // validate POST + poll GET
@@ -979,7 +1350,7 @@ describe('run — full flow (validate + execute + wait)', () => {
 
     expect(mockFetch).toHaveBeenCalledTimes(5);
     expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
-    expect(mockCore.setOutput).toHaveBeenCalledWith('result', singleResultArray('SUCCESS', execResult));
+    expect(resultOutput()).toEqual(singleResultArray('SUCCESS', execResult));
     expect(mockCore.setFailed).not.toHaveBeenCalled();
 
     // Verify environment was passed to both endpoints
@@ -1041,90 +1412,2021 @@ describe('run — polling timeout defaults', () => {
   });
 });
 
-// ─── run() — Output logging ────────────────────────────────────────────────
-
-describe('run — output logging', () => {
-  test('logs run_id, changeset_name, and environment on success', async () => {
-    mockInputs({
-      api_key: 'key',
-      base_url: 'https://test.inprod.io',
-      changeset_file: SAMPLE_CHANGESET_FILE,
-      validate_before_execute: 'false',
-      polling_timeout_minutes: '1',
-    });
+describe('run — polling backoff inputs', () => {
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: SAMPLE_CHANGESET_FILE,
+    validate_before_execute: 'false',
+  };
 
-    const execResult = { run_id: 55, changeset_name: 'My CS', environment: { id: 1, name: 'Dev' } };
+  test('logs the default polling backoff settings', async () => {
+    mockInputs(baseInputs);
     mockFetch
-      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-log', 55)))
-      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
 
-    const promise = run();
-    await jest.advanceTimersByTimeAsync(5000);
-    await promise;
+    await run();
 
-    expect(mockCore.info).toHaveBeenCalledWith('Run ID: 55');
-    expect(mockCore.info).toHaveBeenCalledWith('Changeset: My CS');
-    expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('"name":"Dev"'));
+    expect(mockCore.info).toHaveBeenCalledWith('Polling interval: 2s initial, x1.5 backoff, 30s max, 20% jitter');
   });
 
-  test('result output is always an array', async () => {
+  test('uses custom polling inputs', async () => {
     mockInputs({
-      api_key: 'key',
-      base_url: 'https://test.inprod.io',
-      changeset_file: SAMPLE_CHANGESET_FILE,
-      validate_before_execute: 'false',
+      ...baseInputs,
+      polling_interval_seconds: '1',
+      polling_backoff_multiplier: '3',
+      polling_max_interval_seconds: '60',
+      polling_jitter: '0',
     });
-    const execResult = { run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } };
     mockFetch
-      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-arr')))
-      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
 
-    const promise = run();
-    await jest.advanceTimersByTimeAsync(5000);
-    await promise;
+    await run();
 
-    const resultCall = mockCore.setOutput.mock.calls.find(c => c[0] === 'result');
-    const parsed = JSON.parse(resultCall[1]);
-    expect(Array.isArray(parsed)).toBe(true);
-    expect(parsed).toHaveLength(1);
-    expect(parsed[0].file).toBe(SAMPLE_BASENAME);
-    expect(parsed[0].status).toBe('SUCCESS');
+    expect(mockCore.info).toHaveBeenCalledWith('Polling interval: 1s initial, x3 backoff, 60s max, 0% jitter');
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
   });
-});
 
-// ─── run() — Multi-file execution (per_file strategy) ──────────────────────
+  test('fails on a non-numeric polling input', async () => {
+    mockInputs({ ...baseInputs, polling_interval_seconds: 'fast' });
 
-describe('run — multi-file (per_file strategy)', () => {
-  const globPattern = path.join(__dirname, '__test_0*__.yaml');
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid polling_interval_seconds: fast. Expected a number >= 0.1');
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  test('fails when jitter is outside 0-1', async () => {
+    mockInputs({ ...baseInputs, polling_jitter: '1.5' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid polling_jitter: 1.5. Expected a number between 0 and 1');
+  });
+
+  test('fails when max interval is below the initial interval', async () => {
+    mockInputs({ ...baseInputs, polling_interval_seconds: '10', polling_max_interval_seconds: '5' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'polling_max_interval_seconds must be greater than or equal to polling_interval_seconds'
+    );
+  });
+});
+
+describe('run — retry policy', () => {
   const baseInputs = {
     api_key: 'key',
     base_url: 'https://test.inprod.io',
-    changeset_file: globPattern,
-    validate_before_execute: 'false',
+    changeset_file: SAMPLE_CHANGESET_FILE,
+    validate_before_execute: 'true',
   };
 
-  test('processes multiple files sequentially and produces result array', async () => {
+  test('retries the validation submission on 503 and continues', async () => {
     mockInputs(baseInputs);
-
-    // 3 files matched: 01, 02, 03
-    const execResult = { run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } };
     mockFetch
-      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-01')))
-      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)))
-      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-02')))
-      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)))
-      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-03')))
-      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+      .mockResolvedValueOnce(mockFetchResponse(503, 'Service Unavailable', false, { 'retry-after': '2' }))
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-r')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ is_valid: true })))
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('e-r')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 1 })));
 
     const promise = run();
-    await jest.advanceTimersByTimeAsync(15000); // 3 polls
+    await jest.advanceTimersByTimeAsync(2000);
     await promise;
 
-    expect(mockFetch).toHaveBeenCalledTimes(6); // 3 executes + 3 polls
-    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(mockFetch).toHaveBeenCalledTimes(5);
     expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('fails with the last status when retry_max_attempts is exhausted', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'false', retry_max_attempts: '2' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(503, 'Service Unavailable', false))
+      .mockResolvedValueOnce(mockFetchResponse(503, 'Service Unavailable', false));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(1000);
+    await promise;
+
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Execution request failed with status 503: Service Unavailable');
+  });
+
+  test('does not retry when retry_max_attempts is 1', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'false', retry_max_attempts: '1' });
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(503, 'Service Unavailable', false));
+
+    await run();
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Execution request failed with status 503: Service Unavailable');
+  });
+
+  test('logs the retry policy', async () => {
+    mockInputs({ ...baseInputs, validate_only: 'true', retry_status_codes: '429,503,504' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ is_valid: true })));
+
+    await run();
+
+    expect(mockCore.info).toHaveBeenCalledWith('Retry policy: 3 attempt(s), retrying status codes 429, 503, 504');
+  });
+
+  test('fails when retry_max_attempts is not a whole number', async () => {
+    mockInputs({ ...baseInputs, retry_max_attempts: '2.5' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid retry_max_attempts: 2.5. Expected a whole number');
+  });
+});
+
+describe('run — request timeout', () => {
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: SAMPLE_CHANGESET_FILE,
+    validate_before_execute: 'false',
+  };
+
+  test('fails the file when the execution submission times out', async () => {
+    mockInputs({ ...baseInputs, request_timeout_seconds: '15' });
+    mockFetch.mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+    }));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(15000);
+    await promise;
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockCore.info).toHaveBeenCalledWith('Request timeout: 15 seconds');
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'Execution request to https://test.inprod.io/api/v1/change-set/change-set/execute_yaml/ timed out after 15s'
+    );
+  });
+
+  test('defaults to 60 seconds', async () => {
+    mockInputs(baseInputs);
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
+
+    await run();
+
+    expect(mockCore.info).toHaveBeenCalledWith('Request timeout: 60 seconds');
+  });
+
+  test('fails on an invalid request_timeout_seconds', async () => {
+    mockInputs({ ...baseInputs, request_timeout_seconds: '0' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid request_timeout_seconds: 0. Expected a number >= 1');
+  });
+});
+
+describe('run — cancel_on_timeout', () => {
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: SAMPLE_CHANGESET_FILE,
+    validate_before_execute: 'false',
+    polling_timeout_minutes: '1',
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+
+  // Execute POST followed by PENDING for every poll up to the 60s deadline
+  function mockTimedOutExecution() {
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-slow')));
+    for (let i = 0; i < 13; i++) {
+      mockFetch.mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()));
+    }
+  }
+
+  async function runPastDeadline() {
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(60000);
+    await promise;
+  }
+
+  test('revokes the task and reports REVOKED when polling times out', async () => {
+    mockInputs({ ...baseInputs, cancel_on_timeout: 'true' });
+    mockTimedOutExecution();
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, {}))
+      .mockResolvedValueOnce(mockFetchResponse(200, revokedPollResponse()));
+
+    await runPastDeadline();
+
+    expect(mockFetch).toHaveBeenCalledWith(
+      'https://test.inprod.io/api/v1/task-status/t-slow/revoke/',
+      expect.objectContaining({ method: 'POST' })
+    );
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'REVOKED');
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'Changeset execution did not complete within 60 seconds and was cancelled'
+    );
+  });
+
+  test('reports the final state when the task finished before the revoke arrived', async () => {
+    mockInputs({ ...baseInputs, cancel_on_timeout: 'true' });
+    mockTimedOutExecution();
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, {}))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 9 })));
+
+    await runPastDeadline();
+
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('keeps TIMEOUT when the revoke request fails', async () => {
+    mockInputs({ ...baseInputs, cancel_on_timeout: 'true', retry_max_attempts: '1' });
+    mockTimedOutExecution();
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(404, 'Not found', false));
+
+    await runPastDeadline();
+
+    expect(mockCore.error).toHaveBeenCalledWith(
+      'Failed to revoke execution task t-slow: Revoke request failed with status 404: Not found'
+    );
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'TIMEOUT');
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Changeset execution did not complete within 60 seconds');
+  });
+
+  test('does not revoke when cancel_on_timeout is not enabled', async () => {
+    mockInputs(baseInputs);
+    mockTimedOutExecution();
+
+    await runPastDeadline();
+
+    expect(mockFetch).not.toHaveBeenCalledWith(expect.stringContaining('/revoke/'), expect.anything());
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'TIMEOUT');
+  });
+
+  test('removes its signal handlers when the run finishes', async () => {
+    const sigintListeners = process.listenerCount('SIGINT');
+    const sigtermListeners = process.listenerCount('SIGTERM');
+    mockInputs({ ...baseInputs, cancel_on_timeout: 'true' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
+
+    await run();
+
+    expect(process.listenerCount('SIGINT')).toBe(sigintListeners);
+    expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners);
+  });
+});
+
+describe('cancelTask', () => {
+  afterEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('checks the status until the revoked task stops', async () => {
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, {}))
+      .mockResolvedValueOnce(mockFetchResponse(200, startedPollResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, startedPollResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, revokedPollResponse()));
+
+    const promise = cancelTask(testClient(), 'task-1', 'Execution');
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(await promise).toEqual({ status: 'REVOKED', cancelled: true });
+    expect(mockFetch).toHaveBeenCalledTimes(4);
+    expect(mockCore.info).toHaveBeenCalledWith('  Execution status after revoke: REVOKED');
+  });
+
+  test('reports the real result of a task that finished before the revoke arrived', async () => {
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, {}))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 7 })));
+
+    const outcome = await cancelTask(testClient(), 'task-1', 'Execution');
+
+    expect(outcome).toEqual({ status: 'SUCCESS', result: { run_id: 7 }, cancelled: true });
+  });
+
+  test('reports TIMEOUT with cancelled when the task has not stopped by the deadline', async () => {
+    mockFetch.mockImplementation(async (url) => mockFetchResponse(200, url.endsWith('/revoke/') ? {} : startedPollResponse()));
+
+    const promise = cancelTask(testClient(), 'task-1', 'Execution');
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(await promise).toEqual({ status: 'TIMEOUT', cancelled: true });
+    expect(mockFetch.mock.calls.length).toBeLessThanOrEqual(6);
+  });
+});
+
+describe('handleCancellation', () => {
+  test('revokes in-flight tasks when cancel_on_timeout is enabled', async () => {
+    const inFlightTasks = new Map([['v-1', 'Validation'], ['e-1', 'Execution']]);
+    mockFetch.mockImplementation(async (url) => mockFetchResponse(200, url.endsWith('/revoke/') ? {} : revokedPollResponse()));
+
+    await handleCancellation('SIGTERM', testClient(), inFlightTasks, true);
+    mockFetch.mockReset();
+
+    expect(mockCore.warning).toHaveBeenCalledWith('Received SIGTERM: the job is being cancelled');
+    expect(mockCore.warning).toHaveBeenCalledWith('Revoking validation task v-1...');
+    expect(mockCore.warning).toHaveBeenCalledWith('Revoking execution task e-1...');
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Action cancelled by SIGTERM');
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test('cancels once when SIGINT and SIGTERM both arrive', async () => {
+    const inFlightTasks = new Map([['e-1', 'Execution']]);
+    const cancellation = {};
+    mockFetch.mockImplementation(async (url) => mockFetchResponse(200, url.endsWith('/revoke/') ? {} : revokedPollResponse()));
+
+    await Promise.all([
+      handleCancellation('SIGINT', testClient(), inFlightTasks, true, cancellation),
+      handleCancellation('SIGTERM', testClient(), inFlightTasks, true, cancellation),
+    ]);
+    const revokes = mockFetch.mock.calls.filter(([url]) => url.endsWith('/revoke/'));
+    mockFetch.mockReset();
+
+    expect(revokes).toHaveLength(1);
+    expect(mockCore.warning).toHaveBeenCalledWith('Received SIGTERM while already cancelling');
+    expect(mockCore.setFailed).toHaveBeenCalledTimes(1);
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Action cancelled by SIGINT');
+    expect(mockExit).toHaveBeenCalledTimes(1);
+  });
+
+  test('lists tasks left running when cancel_on_timeout is disabled', async () => {
+    const inFlightTasks = new Map([['e-1', 'Execution']]);
+
+    await handleCancellation('SIGINT', testClient(), inFlightTasks, false);
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('still running and not revoked: e-1'));
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Action cancelled by SIGINT');
+  });
+});
+
+describe('run — submit and poll modes', () => {
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+  };
+
+  test('mode submit returns SUBMITTED with the execution task_id without polling', async () => {
+    mockInputs({ ...baseInputs, changeset_file: SAMPLE_CHANGESET_FILE, validate_before_execute: 'false', mode: 'submit' });
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('e-submit')));
+
+    await run();
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUBMITTED');
+    expect(mockCore.setOutput).toHaveBeenCalledWith('task_id', 'e-submit');
+    expect(resultOutput()).toEqual(singleResultArray('SUBMITTED', {}));
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('mode submit still waits for validation before submitting', async () => {
+    mockInputs({ ...baseInputs, changeset_file: SAMPLE_CHANGESET_FILE, mode: 'submit' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-1')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ is_valid: true })))
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('e-1')));
+
+    await run();
+
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUBMITTED');
+  });
+
+  test('sets the task_id output after a normal run', async () => {
+    mockInputs({ ...baseInputs, changeset_file: SAMPLE_CHANGESET_FILE, validate_before_execute: 'false' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('e-run')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
+
+    await run();
+
+    expect(mockCore.setOutput).toHaveBeenCalledWith('task_id', 'e-run');
+  });
+
+  test('task_id input polls the existing task without submitting or reading files', async () => {
+    mockInputs({ ...baseInputs, task_id: 'e-existing' });
+    const execResult = { run_id: 42, changeset_name: 'Test' };
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+
+    await run();
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockFetch).toHaveBeenCalledWith(
+      'https://test.inprod.io/api/v1/task-status/e-existing/',
+      expect.objectContaining({ method: 'GET' })
+    );
+    expect(mockCore.info).toHaveBeenCalledWith('Mode: poll');
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(mockCore.setOutput).toHaveBeenCalledWith('task_id', 'e-existing');
+    expect(resultOutput()).toEqual([expect.objectContaining({
+      file: null,
+      status: 'SUCCESS',
+      result: execResult,
+      error: null,
+      task_id: 'e-existing',
+      run_id: 42,
+      changeset_name: 'Test',
+    })]);
+  });
+
+  test('mode poll accepts several task IDs and reports each', async () => {
+    mockInputs({ ...baseInputs, mode: 'poll', task_id: 't-1, t-2' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})))
+      .mockResolvedValueOnce(mockFetchResponse(200, failurePollResponse('Boom')));
+
+    await run();
+
+    const resultArray = resultOutput();
+    expect(resultArray.map(r => [r.task_id, r.status])).toEqual([['t-1', 'SUCCESS'], ['t-2', 'FAILURE']]);
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Task failed: Boom');
+  });
+
+  test('mode poll reports a validation task that found errors as FAILURE', async () => {
+    mockInputs({ ...baseInputs, task_id: 'v-existing' });
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ is_valid: false, validation_results: [] })));
+
+    await run();
+
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'FAILURE');
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Changeset validation failed. See validation errors above.');
+  });
+
+  test('mode poll reports a timeout against the polled task', async () => {
+    mockInputs({ ...baseInputs, ...FIXED_5S_POLLING_INPUTS, task_id: 'e-slow', polling_timeout_minutes: '1' });
+    for (let i = 0; i < 13; i++) {
+      mockFetch.mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()));
+    }
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(60000);
+    await promise;
+
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'TIMEOUT');
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Task e-slow did not complete within 60 seconds');
+  });
+
+  test('fails when mode is poll without a task_id', async () => {
+    mockInputs({ ...baseInputs, mode: 'poll' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('task_id is required when mode is poll');
+  });
+
+  test('fails on an unknown mode', async () => {
+    mockInputs({ ...baseInputs, changeset_file: SAMPLE_CHANGESET_FILE, mode: 'wait' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid mode: wait. Expected one of: run, submit, poll');
+  });
+});
+
+// ─── run() — Result output IDs and timings ─────────────────────────────────
+
+describe('run — result output IDs and timings', () => {
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: SAMPLE_CHANGESET_FILE,
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+  const timing = expect.objectContaining({
+    started_at: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+    finished_at: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+    duration_seconds: expect.any(Number),
+  });
+
+  test('records both task IDs, run_id, changeset_name, environment and phase timings', async () => {
+    mockInputs(baseInputs);
+    const environment = { id: 3, name: 'Production' };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-1')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ is_valid: true, changeset_name: 'Test', environment })))
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('e-1', 42)))
+      .mockResolvedValueOnce(mockFetchResponse(200, pendingPollResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 42, changeset_name: 'Test', environment })));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    const [entry] = resultOutput();
+    expect(entry).toEqual(expect.objectContaining({
+      validation_task_id: 'v-1',
+      execution_task_id: 'e-1',
+      run_id: 42,
+      changeset_name: 'Test',
+      environment,
+      timings: { validation: timing, execution: timing },
+    }));
+    expect(entry.timings.execution.duration_seconds).toBe(5);
+    expect(Date.parse(entry.timings.execution.started_at))
+      .toBeGreaterThanOrEqual(Date.parse(entry.timings.validation.finished_at));
+  });
+
+  test('keeps the validation task ID and changeset name when validation fails', async () => {
+    mockInputs(baseInputs);
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-bad')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ is_valid: false, changeset_name: 'Broken', validation_results: [] })));
+
+    await run();
+
+    const [entry] = resultOutput();
+    expect(entry).toEqual(expect.objectContaining({
+      status: 'FAILURE',
+      validation_task_id: 'v-bad',
+      execution_task_id: null,
+      run_id: null,
+      changeset_name: 'Broken',
+      timings: { validation: timing },
+    }));
+  });
+
+  test('takes run_id from the submission in submit mode', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'false', mode: 'submit' });
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('e-1', 77)));
+
+    await run();
+
+    expect(resultOutput()[0]).toEqual(expect.objectContaining({
+      status: 'SUBMITTED',
+      validation_task_id: null,
+      execution_task_id: 'e-1',
+      run_id: 77,
+      timings: { execution: timing },
+    }));
+  });
+
+  test('keeps the validation details when the execution request fails', async () => {
+    mockInputs({ ...baseInputs, retry_max_attempts: '1' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-1')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ is_valid: true })))
+      .mockResolvedValueOnce(mockFetchResponse(500, 'Internal Server Error', false));
+
+    await run();
+
+    expect(resultOutput()[0]).toEqual(expect.objectContaining({
+      status: 'FAILURE',
+      error: expect.stringContaining('status 500'),
+      validation_task_id: 'v-1',
+      execution_task_id: null,
+      timings: { validation: timing, execution: timing },
+    }));
+  });
+
+  test('validate_first merges the validation and execution of each file into one entry', async () => {
+    mockInputs({ ...baseInputs, execution_strategy: 'validate_first' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-1')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ is_valid: true })))
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('e-1')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 42 })));
+
+    await run();
+
+    const entries = resultOutput();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toEqual(expect.objectContaining({
+      status: 'SUCCESS',
+      validation_task_id: 'v-1',
+      execution_task_id: 'e-1',
+      timings: { validation: timing, execution: timing },
+    }));
+  });
+
+  test('records a poll timing for mode poll', async () => {
+    mockInputs({ api_key: 'key', base_url: 'https://test.inprod.io', task_id: 't-1' });
+    mockFetch.mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 9 })));
+
+    await run();
+
+    expect(resultOutput()[0]).toEqual(expect.objectContaining({
+      task_id: 't-1',
+      run_id: 9,
+      timings: { poll: timing },
+    }));
+  });
+});
+
+// ─── run() — Job summary ───────────────────────────────────────────────────
+
+describe('run — job summary', () => {
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: SAMPLE_CHANGESET_FILE,
+  };
+  const originalSummaryPath = process.env.GITHUB_STEP_SUMMARY;
+
+  beforeEach(() => {
+    process.env.GITHUB_STEP_SUMMARY = '/tmp/step-summary.md';
+  });
+
+  afterEach(() => {
+    if (originalSummaryPath === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+    else process.env.GITHUB_STEP_SUMMARY = originalSummaryPath;
+  });
+
+  test('writes a row for each file after a run', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'false' });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('e-1')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({ run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } })));
+
+    await run();
+
+    const rows = mockCore.summary.addTable.mock.calls[0][0];
+    expect(rows).toHaveLength(2);
+    expect(rows[1].slice(0, 5)).toEqual(['✅ SUCCESS', SAMPLE_BASENAME, 'Test', 'Dev', '42']);
+    expect(mockCore.summary.write).toHaveBeenCalled();
+  });
+
+  test('writes the summary when validate_first stops on failed validation', async () => {
+    mockInputs({ ...baseInputs, execution_strategy: 'validate_first' });
+    const invalidResult = { is_valid: false, validation_results: [{ action_id: 1, errors: { name: ['Required'] } }] };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, validationTaskResponse('v-1')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(invalidResult)));
+
+    await run();
+
+    expect(mockCore.summary.addDetails).toHaveBeenCalledWith(`Validation errors: ${SAMPLE_BASENAME}`, expect.stringContaining('name: Required'));
+    expect(mockCore.summary.write).toHaveBeenCalled();
+    expect(mockCore.setFailed).toHaveBeenCalled();
+  });
+});
+
+// ─── run() — Parallel strategy ─────────────────────────────────────────────
+
+describe('run — parallel strategy', () => {
+  const NAMES = ['a', 'b', 'c'];
+  const FILES = NAMES.map(name => path.join(__dirname, `__test_parallel_${name}__.yaml`));
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: path.join(__dirname, '__test_parallel_*__.yaml'),
+    execution_strategy: 'parallel',
+    validate_before_execute: 'false',
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+  let taskStatus;
+  let submissions;
+
+  function routeFetch(onRevoke) {
+    ({ taskStatus, submissions } = routeFetchByChangeset(taskStatus, onRevoke));
+  }
+
+  beforeAll(() => {
+    NAMES.forEach((name, i) => fs.writeFileSync(FILES[i], SAMPLE_CHANGESET.replace(/^name: .*$/m, `name: ${name}`)));
+  });
+
+  afterAll(() => {
+    FILES.forEach(f => fs.existsSync(f) && fs.unlinkSync(f));
+  });
+
+  beforeEach(() => {
+    taskStatus = {};
+    submissions = [];
+  });
+
+  afterEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('runs up to max_concurrency files at once and reports them in file order', async () => {
+    mockInputs({ ...baseInputs, max_concurrency: '2' });
+    routeFetch();
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(submissions).toEqual(['e-a', 'e-b']);
+
+    taskStatus['e-b'] = successPollResponse({ run_id: 2 });
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(submissions).toEqual(['e-a', 'e-b', 'e-c']);
+
+    taskStatus['e-c'] = successPollResponse({ run_id: 3 });
+    taskStatus['e-a'] = successPollResponse({ run_id: 1 });
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    expect(resultOutput().map(r => [r.file, r.run_id])).toEqual([
+      ['__test_parallel_a__.yaml', 1],
+      ['__test_parallel_b__.yaml', 2],
+      ['__test_parallel_c__.yaml', 3],
+    ]);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('task_id', 'e-a,e-b,e-c');
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(mockCore.info).toHaveBeenCalledWith('Max concurrency: 2');
+  });
+
+  test('validates and executes each file within its own slot', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'true', max_concurrency: '3' });
+    NAMES.forEach(name => {
+      taskStatus[`v-${name}`] = successPollResponse({ is_valid: true });
+      taskStatus[`e-${name}`] = successPollResponse({ run_id: name });
+    });
+    routeFetch();
+
+    await run();
+
+    expect(submissions.filter(id => id.startsWith('v'))).toEqual(['v-a', 'v-b', 'v-c']);
+    expect(submissions.filter(id => id.startsWith('e'))).toEqual(['e-a', 'e-b', 'e-c']);
+    expect(resultOutput().map(r => [r.validation_task_id, r.execution_task_id])).toEqual([
+      ['v-a', 'e-a'], ['v-b', 'e-b'], ['v-c', 'e-c'],
+    ]);
+  });
+
+  test('fail_fast stops scheduling new files but lets running ones finish', async () => {
+    mockInputs({ ...baseInputs, max_concurrency: '2', fail_fast: 'true' });
+    taskStatus['e-a'] = failurePollResponse('Boom');
+    routeFetch();
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(0);
+    taskStatus['e-b'] = successPollResponse({});
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    expect(submissions).toEqual(['e-a', 'e-b']);
+    expect(resultOutput().map(r => r.status)).toEqual(['FAILURE', 'SUCCESS']);
+    expect(mockFetch).not.toHaveBeenCalledWith(expect.stringContaining('/revoke/'), expect.anything());
+    expect(mockCore.error).toHaveBeenCalledWith('Stopping: fail_fast is enabled and __test_parallel_a__.yaml failed.');
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Changeset execution failed: Boom');
+  });
+
+  test('cancel_in_flight_on_failure revokes running tasks after a failure', async () => {
+    mockInputs({ ...baseInputs, max_concurrency: '2', fail_fast: 'true', cancel_in_flight_on_failure: 'true' });
+    taskStatus['e-a'] = failurePollResponse('Boom');
+    routeFetch();
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    expect(mockFetch).toHaveBeenCalledWith(
+      'https://test.inprod.io/api/v1/task-status/e-b/revoke/',
+      expect.objectContaining({ method: 'POST' })
+    );
+    expect(submissions).toEqual(['e-a', 'e-b']);
+    expect(resultOutput().map(r => r.status)).toEqual(['FAILURE', 'REVOKED']);
+    expect(mockCore.setFailed).toHaveBeenCalledWith('2 of 2 changeset(s) failed. See result output for details.');
+  });
+
+  test('cancel_in_flight_on_failure does not execute a file that passes validation afterwards', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'true', max_concurrency: '2', fail_fast: 'true', cancel_in_flight_on_failure: 'true' });
+    taskStatus['v-a'] = failurePollResponse('Bad changeset');
+    // v-b had already finished when the revoke arrived
+    routeFetch(taskId => { taskStatus[taskId] = successPollResponse({ is_valid: true }); });
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    expect(submissions).toEqual(['v-a', 'v-b']);
+    expect(resultOutput()[1]).toEqual(expect.objectContaining({
+      status: 'REVOKED',
+      validation_task_id: 'v-b',
+      execution_task_id: null,
+      error: 'Execution cancelled after another changeset failed (fail_fast)',
+    }));
+  });
+
+  test('rejects an invalid max_concurrency', async () => {
+    mockInputs({ ...baseInputs, max_concurrency: '1.5' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid max_concurrency: 1.5. Expected a whole number');
+  });
+
+  test('rejects an unknown execution_strategy', async () => {
+    mockInputs({ ...baseInputs, execution_strategy: 'concurrent' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'Invalid execution_strategy: concurrent. Expected one of: per_file, validate_first, parallel'
+    );
+  });
+});
+
+// ─── run() — Dependency ordering ───────────────────────────────────────────
+
+describe('run — depends_on', () => {
+  const FILE = name => path.join(__dirname, `__test_deps_${name}__.yaml`);
+  const BASENAME = name => `__test_deps_${name}__.yaml`;
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: path.join(__dirname, '__test_deps_*__.yaml'),
+    validate_before_execute: 'false',
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+
+  // a depends on c; b is independent
+  beforeAll(() => {
+    fs.writeFileSync(FILE('a'), SAMPLE_CHANGESET.replace(/^name: .*$/m, `name: a\nx-github-action:\n  depends_on: [${BASENAME('c')}]`));
+    fs.writeFileSync(FILE('b'), SAMPLE_CHANGESET.replace(/^name: .*$/m, 'name: b'));
+    fs.writeFileSync(FILE('c'), SAMPLE_CHANGESET.replace(/^name: .*$/m, 'name: c'));
+  });
+
+  afterAll(() => {
+    ['a', 'b', 'c'].forEach(name => fs.existsSync(FILE(name)) && fs.unlinkSync(FILE(name)));
+  });
+
+  afterEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('runs files after their dependencies and strips the metadata block', async () => {
+    mockInputs(baseInputs);
+    const { submissions } = routeFetchByChangeset({
+      'e-a': successPollResponse({}), 'e-b': successPollResponse({}), 'e-c': successPollResponse({}),
+    });
+
+    await run();
+
+    expect(submissions).toEqual(['e-c', 'e-a', 'e-b']);
+    expect(resultOutput().map(r => r.file)).toEqual([BASENAME('c'), BASENAME('a'), BASENAME('b')]);
+    expect(mockCore.info).toHaveBeenCalledWith(`Dependency order: ${BASENAME('c')}, ${BASENAME('a')}, ${BASENAME('b')}`);
+    const bodies = mockFetch.mock.calls.filter(([url]) => url.includes('/execute_')).map(([, init]) => init.body);
+    expect(bodies.some(body => body.includes('x-github-action'))).toBe(false);
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('skips dependents of a failed file and carries on with the others', async () => {
+    mockInputs(baseInputs);
+    const { submissions } = routeFetchByChangeset({
+      'e-c': failurePollResponse('Boom'), 'e-b': successPollResponse({}),
+    });
+
+    await run();
+
+    expect(submissions).toEqual(['e-c', 'e-b']);
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([
+      [BASENAME('c'), 'FAILURE'],
+      [BASENAME('a'), 'SKIPPED'],
+      [BASENAME('b'), 'SUCCESS'],
+    ]);
+    expect(resultOutput()[1].error).toBe(`Skipped because dependency ${BASENAME('c')} finished with status FAILURE`);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'FAILURE');
+    expect(mockCore.setFailed).toHaveBeenCalledWith('2 of 3 changeset(s) failed. See result output for details.');
+  });
+
+  test('skips dependents of a failed execution with validate_first', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'true', execution_strategy: 'validate_first' });
+    const valid = successPollResponse({ is_valid: true });
+    const { submissions } = routeFetchByChangeset({
+      'v-a': valid, 'v-b': valid, 'v-c': valid, 'e-c': failurePollResponse('Boom'), 'e-b': successPollResponse({}),
+    });
+
+    await run();
+
+    expect(submissions).toEqual(['v-c', 'v-a', 'v-b', 'e-c', 'e-b']);
+    expect(resultOutput().map(r => r.status)).toEqual(['FAILURE', 'SKIPPED', 'SUCCESS']);
+  });
+
+  test('starts dependents in parallel mode only once their dependencies succeed', async () => {
+    mockInputs({ ...baseInputs, execution_strategy: 'parallel', max_concurrency: '3' });
+    const { taskStatus, submissions } = routeFetchByChangeset({ 'e-b': successPollResponse({}) });
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(submissions).toEqual(['e-c', 'e-b']);
+
+    taskStatus['e-c'] = successPollResponse({});
+    taskStatus['e-a'] = successPollResponse({});
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    expect(submissions).toEqual(['e-c', 'e-b', 'e-a']);
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([
+      [BASENAME('c'), 'SUCCESS'],
+      [BASENAME('a'), 'SUCCESS'],
+      [BASENAME('b'), 'SUCCESS'],
+    ]);
+  });
+
+  test('skips dependents in parallel mode when a dependency fails', async () => {
+    mockInputs({ ...baseInputs, execution_strategy: 'parallel', max_concurrency: '3' });
+    const { submissions } = routeFetchByChangeset({ 'e-c': failurePollResponse('Boom'), 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(submissions).toEqual(['e-c', 'e-b']);
+    expect(resultOutput().map(r => r.status)).toEqual(['FAILURE', 'SKIPPED', 'SUCCESS']);
+  });
+
+  test('is rejected in submit mode', async () => {
+    mockInputs({ ...baseInputs, mode: 'submit' });
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'depends_on requires mode: run. In submit mode dependent changesets would be submitted before their dependencies finish'
+    );
+  });
+});
+
+// ─── run() — Manifest ───────────────────────────────────────────────────────
+
+describe('run — manifest', () => {
+  const FILE = name => path.join(__dirname, `__test_manifest_${name}__.yaml`);
+  const BASENAME = name => `__test_manifest_${name}__.yaml`;
+  const MANIFEST = path.join(__dirname, '__test_manifest__.yml');
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    manifest: MANIFEST,
+    environment: 'Development',
+    validate_before_execute: 'false',
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+
+  function writeManifest(entries) {
+    fs.writeFileSync(MANIFEST, `changesets:\n${entries.join('\n')}\n`);
+  }
+
+  function submittedUrls() {
+    return mockFetch.mock.calls.map(([url]) => url).filter(url => !url.includes('/task-status/'));
+  }
+
+  beforeAll(() => {
+    ['a', 'b', 'c'].forEach(name => fs.writeFileSync(FILE(name), SAMPLE_CHANGESET.replace(/^name: .*$/m, `name: ${name}`)));
+  });
+
+  afterAll(() => {
+    [MANIFEST, FILE('a'), FILE('b'), FILE('c')].forEach(f => fs.existsSync(f) && fs.unlinkSync(f));
+  });
+
+  afterEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('runs entries in manifest order with their own environment and variables', async () => {
+    writeManifest([
+      `  - file: ${BASENAME('b')}`,
+      '    environment: UAT',
+      '    variables: { REGION: us-east-1 }',
+      `  - ${BASENAME('a')}`,
+    ]);
+    mockInputs({ ...baseInputs, changeset_variables: 'REGION=ap-southeast-2' });
+    const { submissions } = routeFetchByChangeset({ 'e-a': successPollResponse({}), 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(submissions).toEqual(['e-b', 'e-a']);
+    expect(submittedUrls()).toEqual([
+      'https://test.inprod.io/api/v1/change-set/change-set/execute_yaml/?environment=UAT',
+      'https://test.inprod.io/api/v1/change-set/change-set/execute_yaml/?environment=Development',
+    ]);
+    const bodies = mockFetch.mock.calls.filter(([url]) => url.includes('/execute_')).map(([, init]) => init.body);
+    expect(bodies[0]).toContain('value: us-east-1');
+    expect(bodies[1]).toContain('value: ap-southeast-2');
+    expect(mockCore.info).toHaveBeenCalledWith(`Manifest ${MANIFEST}: 2 entries`);
+    expect(mockCore.info).toHaveBeenCalledWith('Manifest options: environment=UAT, 1 variable(s)');
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('masks manifest variable values and submits !masked ones with mask_value: true', async () => {
+    writeManifest([
+      `  - file: ${BASENAME('a')}`,
+      '    variables:',
+      '      REGION: us-east-1',
+      '      DB_PASSWORD: !masked from-manifest',
+    ]);
+    mockInputs(baseInputs);
+    routeFetchByChangeset({ 'e-a': successPollResponse({}) });
+
+    await run();
+
+    const body = require('js-yaml').load(mockFetch.mock.calls.find(([url]) => url.includes('/execute_'))[1].body);
+    expect(body.variable).toEqual(expect.arrayContaining([
+      { environment: null, mask_value: false, name: 'REGION', value: 'us-east-1' },
+      { environment: null, mask_value: true, name: 'DB_PASSWORD', value: 'from-manifest' },
+    ]));
+    expect(mockCore.setSecret).toHaveBeenCalledWith('us-east-1');
+    expect(mockCore.setSecret).toHaveBeenCalledWith('from-manifest');
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('only validates validate_only entries', async () => {
+    writeManifest([
+      `  - file: ${BASENAME('a')}`,
+      '    validate_only: true',
+      `  - ${BASENAME('b')}`,
+    ]);
+    mockInputs({ ...baseInputs, validate_before_execute: 'true' });
+    const valid = successPollResponse({ is_valid: true });
+    const { submissions } = routeFetchByChangeset({ 'v-a': valid, 'v-b': valid, 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(submissions).toEqual(['v-a', 'v-b', 'e-b']);
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([[BASENAME('a'), 'SUCCESS'], [BASENAME('b'), 'SUCCESS']]);
+  });
+
+  test('only validates validate_only entries with validate_first', async () => {
+    writeManifest([
+      `  - file: ${BASENAME('a')}`,
+      '    validate_only: true',
+      `  - ${BASENAME('b')}`,
+    ]);
+    mockInputs({ ...baseInputs, validate_before_execute: 'true', execution_strategy: 'validate_first' });
+    const valid = successPollResponse({ is_valid: true });
+    const { submissions } = routeFetchByChangeset({ 'v-a': valid, 'v-b': valid, 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(submissions).toEqual(['v-a', 'v-b', 'e-b']);
+    expect(resultOutput().map(r => [r.file, r.status, r.execution_task_id])).toEqual([
+      [BASENAME('a'), 'SUCCESS', null],
+      [BASENAME('b'), 'SUCCESS', 'e-b'],
+    ]);
+  });
+
+  test('applies timeout_minutes to its entry', async () => {
+    writeManifest([
+      `  - file: ${BASENAME('a')}`,
+      '    timeout_minutes: 0.25',
+    ]);
+    mockInputs(baseInputs);
+    routeFetchByChangeset();
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(20000);
+    await promise;
+
+    expect(resultOutput()[0].status).toBe('TIMEOUT');
+    expect(resultOutput()[0].error).toContain('did not complete within 15 seconds');
+  });
+
+  test('does not fail the action or stop fail_fast for continue_on_error entries', async () => {
+    writeManifest([
+      `  - file: ${BASENAME('a')}`,
+      '    continue_on_error: true',
+      `  - ${BASENAME('b')}`,
+    ]);
+    mockInputs({ ...baseInputs, fail_fast: 'true' });
+    const { submissions } = routeFetchByChangeset({ 'e-a': failurePollResponse('Boom'), 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(submissions).toEqual(['e-a', 'e-b']);
+    expect(resultOutput().map(r => r.status)).toEqual(['FAILURE', 'SUCCESS']);
+    expect(mockCore.warning).toHaveBeenCalledWith(`${BASENAME('a')} finished with status FAILURE (continue_on_error): Changeset execution failed: Boom`);
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('still fails the action for other entries', async () => {
+    writeManifest([
+      `  - file: ${BASENAME('a')}`,
+      '    continue_on_error: true',
+      `  - ${BASENAME('b')}`,
+    ]);
+    mockInputs(baseInputs);
+    routeFetchByChangeset({ 'e-a': failurePollResponse('Boom'), 'e-b': failurePollResponse('Bust') });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Changeset execution failed: Bust');
+  });
+
+  test('expands glob entries and rejects files listed twice', async () => {
+    writeManifest([
+      `  - ${BASENAME('a')}`,
+      '  - __test_manifest_*__.yaml',
+    ]);
+    mockInputs(baseInputs);
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith(`Changeset ${FILE('a')} is listed more than once in manifest ${MANIFEST}`);
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  test('rejects changeset_file together with manifest', async () => {
+    mockInputs({ ...baseInputs, changeset_file: FILE('a') });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Set either changeset_file or manifest, not both');
+  });
+});
+
+// ─── run() — changed_only ───────────────────────────────────────────────────
+
+describe('run — changed_only', () => {
+  const REMOVED_FILE = path.join(__dirname, '__test_04_removed__.yaml');
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: `${path.join(__dirname, '__test_0*__.yaml')}\n!${path.join(__dirname, '__test_09_*__.yaml')}`,
+    changed_only: 'true',
+    github_token: 'gh-token',
+    validate_before_execute: 'false',
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+
+  afterEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('only runs matched files that changed and reports deleted changesets', async () => {
+    mockInputs(baseInputs);
+    mockGetChangedFiles.mockResolvedValue({
+      source: 'GitHub API (aaaaaaa...bbbbbbb)',
+      files: [
+        { path: GLOB_FILE_02, status: 'modified', previousPath: null },
+        { path: path.join(__dirname, 'README.md'), status: 'modified', previousPath: null },
+        { path: REMOVED_FILE, status: 'removed', previousPath: null },
+        { path: path.join(__dirname, '__test_09_excluded__.yaml'), status: 'removed', previousPath: null },
+        { path: path.join(__dirname, 'notes.md'), status: 'removed', previousPath: null },
+      ],
+    });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
+
+    await run();
+
+    expect(mockGetChangedFiles).toHaveBeenCalledWith({ token: 'gh-token' });
+    expect(resultOutput().map(r => r.file)).toEqual(['__test_02_flows__.yaml']);
+    expect(mockCore.info).toHaveBeenCalledWith('Changed files (GitHub API (aaaaaaa...bbbbbbb)): 5');
+    expect(mockCore.info).toHaveBeenCalledWith('Changed changesets: 1 of 3 matched file(s)');
+    const removed = path.relative(process.cwd(), REMOVED_FILE);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('deleted_files', JSON.stringify([removed]));
+    expect(mockCore.warning).toHaveBeenCalledWith(`Changeset ${removed} was deleted in this change. Its configuration is not removed from InProd`);
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('reports changesets renamed away as deleted', async () => {
+    mockInputs(baseInputs);
+    mockGetChangedFiles.mockResolvedValue({
+      source: 'git diff HEAD~1',
+      files: [{ path: GLOB_FILE_03, status: 'renamed', previousPath: REMOVED_FILE }],
+    });
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse({})));
+
+    await run();
+
+    expect(resultOutput().map(r => r.file)).toEqual(['__test_03_webchat__.yaml']);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('deleted_files', JSON.stringify([path.relative(process.cwd(), REMOVED_FILE)]));
+  });
+
+  test('succeeds without calling InProd when no changeset changed', async () => {
+    mockInputs(baseInputs);
+    mockGetChangedFiles.mockResolvedValue({ source: 'git diff HEAD~1', files: [] });
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.info).toHaveBeenCalledWith('No changed changesets to process');
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(mockCore.setOutput).toHaveBeenCalledWith('result', '[]');
+    expect(mockCore.setOutput).toHaveBeenCalledWith('deleted_files', '[]');
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('fails when changed files cannot be listed', async () => {
+    mockInputs(baseInputs);
+    mockGetChangedFiles.mockRejectedValue(new Error('Could not list changed files with git diff HEAD~1: fatal'));
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Could not list changed files with git diff HEAD~1: fatal');
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  test('runs every matched file when changed_only is not set', async () => {
+    mockInputs({ ...baseInputs, changed_only: '' });
+    routeFetchByChangeset({ [encodeURIComponent('e-Test Queue')]: successPollResponse({}) });
+
+    await run();
+
+    expect(mockGetChangedFiles).not.toHaveBeenCalled();
+    expect(resultOutput()).toHaveLength(3);
+  });
+});
+
+// ─── run() — Multi-document YAML ────────────────────────────────────────────
+
+describe('run — multi-document YAML', () => {
+  const MULTI_FILE = path.join(__dirname, '__test_multi_doc__.yaml');
+  const MULTI_BASENAME = '__test_multi_doc__.yaml';
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: MULTI_FILE,
+    validate_before_execute: 'false',
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+
+  beforeAll(() => {
+    const docs = ['d1', 'd2', 'd3'].map(name => SAMPLE_CHANGESET.replace(/^name: .*$/m, `name: ${name}`));
+    fs.writeFileSync(MULTI_FILE, docs.join('\n---\n'));
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(MULTI_FILE)) fs.unlinkSync(MULTI_FILE);
+  });
+
+  afterEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('runs each document as its own changeset', async () => {
+    mockInputs(baseInputs);
+    const { submissions } = routeFetchByChangeset({
+      'e-d1': successPollResponse({}), 'e-d2': successPollResponse({}), 'e-d3': successPollResponse({}),
+    });
+
+    await run();
+
+    expect(submissions).toEqual(['e-d1', 'e-d2', 'e-d3']);
+    expect(mockCore.info).toHaveBeenCalledWith(`${MULTI_BASENAME} contains 3 changesets`);
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([
+      [`${MULTI_BASENAME}#1`, 'SUCCESS'],
+      [`${MULTI_BASENAME}#2`, 'SUCCESS'],
+      [`${MULTI_BASENAME}#3`, 'SUCCESS'],
+    ]);
+    const bodies = mockFetch.mock.calls.filter(([url]) => url.includes('/execute_')).map(([, init]) => init.body);
+    expect(bodies[1]).toBe(`${SAMPLE_CHANGESET.replace(/^name: .*$/m, 'name: d2')}\n`);
+  });
+
+  test('applies fail_fast per document', async () => {
+    mockInputs({ ...baseInputs, fail_fast: 'true' });
+    const { submissions } = routeFetchByChangeset({ 'e-d1': successPollResponse({}), 'e-d2': failurePollResponse('Boom') });
+
+    await run();
+
+    expect(submissions).toEqual(['e-d1', 'e-d2']);
+    expect(resultOutput().map(r => r.status)).toEqual(['SUCCESS', 'FAILURE']);
+    expect(mockCore.error).toHaveBeenCalledWith(`Stopping: fail_fast is enabled and ${MULTI_BASENAME}#2 failed.`);
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Changeset execution failed: Boom');
+  });
+
+  test('validates every document before executing with validate_first', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'true', execution_strategy: 'validate_first' });
+    const valid = successPollResponse({ is_valid: true });
+    const { submissions } = routeFetchByChangeset({
+      'v-d1': valid, 'v-d2': valid, 'v-d3': valid,
+      'e-d1': successPollResponse({}), 'e-d2': successPollResponse({}), 'e-d3': successPollResponse({}),
+    });
+
+    await run();
+
+    expect(submissions).toEqual(['v-d1', 'v-d2', 'v-d3', 'e-d1', 'e-d2', 'e-d3']);
+    expect(resultOutput().map(r => r.validation_task_id)).toEqual(['v-d1', 'v-d2', 'v-d3']);
+  });
+
+  test('reports validation errors on the lines of the file', async () => {
+    mockInputs({ ...baseInputs, validate_before_execute: 'true' });
+    const invalid = successPollResponse({
+      is_valid: false,
+      validation_results: [{ action_id: 1, errors: { data: { name: [{ msg: ['Required'] }] } } }],
+    });
+    routeFetchByChangeset({ 'v-d1': successPollResponse({ is_valid: true }), 'e-d1': successPollResponse({}), 'v-d2': invalid, 'v-d3': invalid });
+
+    await run();
+
+    expect(mockCore.error).toHaveBeenCalledWith('data.name: Required', {
+      file: path.relative(process.env.GITHUB_WORKSPACE || process.cwd(), MULTI_FILE),
+      title: 'InProd validation: RoutingQueue "Test Queue" (action 1)',
+      startLine: 20,
+      endLine: 20,
+    });
+    expect(resultOutput().map(r => r.status)).toEqual(['SUCCESS', 'FAILURE', 'FAILURE']);
+  });
+});
+
+// ─── run() — Schema pre-flight ──────────────────────────────────────────────
+
+describe('run — schema pre-flight', () => {
+  const INVALID_FILE = path.join(__dirname, '__test_schema_invalid__.yaml');
+  const INVALID_BASENAME = '__test_schema_invalid__.yaml';
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: `${SAMPLE_CHANGESET_FILE}\n${INVALID_FILE}`,
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+
+  beforeAll(() => {
+    fs.writeFileSync(INVALID_FILE, 'name: Broken\nenviroment: Development\naction:\n  - object_type: RoutingQueue\n');
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(INVALID_FILE)) fs.unlinkSync(INVALID_FILE);
+  });
+
+  test('fails before any API call and reports every schema error', async () => {
+    mockInputs(baseInputs);
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.info).toHaveBeenCalledWith(
+      `Schema errors in ${INVALID_BASENAME}:\n` +
+      '  [warning] enviroment: is not a known key. Did you mean "environment"? (line 2)\n' +
+      '  [error] action[0]: is missing required key "action" (line 4)'
+    );
+    expect(mockCore.warning).toHaveBeenCalledWith('enviroment: is not a known key. Did you mean "environment"?', expect.objectContaining({
+      title: 'Changeset schema', startLine: 2,
+    }));
+    expect(mockCore.error).toHaveBeenCalledWith('action[0]: is missing required key "action"', {
+      file: path.relative(process.env.GITHUB_WORKSPACE || process.cwd(), INVALID_FILE),
+      title: 'Changeset schema',
+      startLine: 4,
+      endLine: 4,
+    });
+    expect(resultOutput()).toEqual([expect.objectContaining({
+      file: INVALID_BASENAME,
+      status: 'FAILURE',
+      result: {
+        schema_errors: [
+          { message: 'action[0]: is missing required key "action"', line: 4 },
+        ],
+      },
+    })]);
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Changeset does not match the changeset schema: 1 error(s). See schema errors above.');
+  });
+
+  test('unknown keys are warnings and do not fail the changeset', async () => {
+    const unknownKeyFile = path.join(__dirname, '__test_schema_unknown_key__.yaml');
+    fs.writeFileSync(unknownKeyFile, 'name: Typo\nenviroment: Development\naction:\n  - action: gencloud-create\n');
+    mockInputs({ changeset_file: unknownKeyFile, schema_only: 'true' });
+
+    try {
+      await run();
+    } finally {
+      fs.unlinkSync(unknownKeyFile);
+    }
+
+    expect(mockCore.info).toHaveBeenCalledWith(
+      'Schema warnings in __test_schema_unknown_key__.yaml:\n' +
+      '  [warning] enviroment: is not a known key. Did you mean "environment"? (line 2)'
+    );
+    expect(mockCore.error).not.toHaveBeenCalled();
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('schema_only checks files without an API key or network calls', async () => {
+    mockInputs({ changeset_file: SAMPLE_CHANGESET_FILE, schema_only: 'true' });
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(resultOutput()).toEqual(singleResultArray('SUCCESS', {}));
+    expect(mockCore.info).toHaveBeenCalledWith('\n✓ All 1 changeset(s) match the changeset schema. Nothing was sent to InProd (schema_only)');
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('schema_only reports every file', async () => {
+    mockInputs({ changeset_file: baseInputs.changeset_file, schema_only: 'true' });
+
+    await run();
+
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([[SAMPLE_BASENAME, 'SUCCESS'], [INVALID_BASENAME, 'FAILURE']]);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'FAILURE');
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Changeset does not match the changeset schema: 1 error(s). See schema errors above.');
+  });
+
+  test('rejects schema_only with mode poll', async () => {
+    mockInputs({ task_id: 'abc', schema_only: 'true' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('schema_only cannot be used with mode: poll, which has no changeset files');
+  });
+});
+
+// ─── run() — Variable check ─────────────────────────────────────────────────
+
+describe('run — variable check', () => {
+  const PLACEHOLDER_FILE = path.join(__dirname, '__test_placeholders__.yaml');
+  const PLACEHOLDER_BASENAME = '__test_placeholders__.yaml';
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: PLACEHOLDER_FILE,
+    validate_before_execute: 'false',
+    ...FIXED_5S_POLLING_INPUTS,
+  };
+
+  beforeAll(() => {
+    fs.writeFileSync(PLACEHOLDER_FILE, [
+      'name: Placeholders',
+      'environment: Development',
+      'action:',
+      '  - action: gencloud-create',
+      '    object_type: RoutingQueue',
+      '    data:',
+      '      name: "Queue {{ REGION }}"',
+      '',
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(PLACEHOLDER_FILE)) fs.unlinkSync(PLACEHOLDER_FILE);
+  });
+
+  afterEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('fails before any API call on an undefined placeholder with variable_check: error', async () => {
+    mockInputs({ ...baseInputs, variable_check: 'error' });
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.info).toHaveBeenCalledWith(
+      `Undefined variables in ${PLACEHOLDER_BASENAME}:\n  [error] {{ REGION }} is not defined (line 7)`
+    );
+    expect(mockCore.error).toHaveBeenCalledWith(
+      'Variable REGION is not defined in the changeset\'s variable list or in changeset_variables',
+      { file: path.relative(process.env.GITHUB_WORKSPACE || process.cwd(), PLACEHOLDER_FILE), title: 'Changeset variables', startLine: 7, endLine: 7 }
+    );
+    expect(resultOutput()).toEqual([expect.objectContaining({
+      file: PLACEHOLDER_BASENAME,
+      status: 'FAILURE',
+      result: { undefined_variables: [{ name: 'REGION', placeholder: '{{ REGION }}', line: 7 }] },
+    })]);
+    expect(mockCore.setFailed).toHaveBeenCalledWith(
+      'Changeset references 1 undefined variable(s): REGION. ' +
+      'Define them in the changeset\'s variable list, pass them with changeset_variables or list InProd global variables in global_variables'
+    );
+  });
+
+  test('passes when changeset_variables defines the placeholder and warns on unused variables', async () => {
+    mockInputs({ ...baseInputs, changeset_variables: 'Production:REGION=us-east-1\nUNUSED=x' });
+    routeFetchByChangeset({ 'e-Placeholders': successPollResponse({}) });
+
+    await run();
+
+    expect(mockFetch).toHaveBeenCalled();
+    expect(mockCore.warning).toHaveBeenCalledWith('Variable UNUSED is injected but no changeset references it as {{ UNUSED }}');
+    expect(mockCore.warning).not.toHaveBeenCalledWith(expect.stringContaining('Variable REGION'));
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('only warns by default', async () => {
+    mockInputs(baseInputs);
+    routeFetchByChangeset({ 'e-Placeholders': successPollResponse({}) });
+
+    await run();
+
+    expect(mockCore.warning).toHaveBeenCalledWith(
+      'Variable REGION is not defined in the changeset\'s variable list or in changeset_variables',
+      expect.objectContaining({ title: 'Changeset variables', startLine: 7 })
+    );
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([[PLACEHOLDER_BASENAME, 'SUCCESS']]);
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('skips the check with variable_check: off', async () => {
+    mockInputs({ ...baseInputs, variable_check: 'off', changeset_variables: 'UNUSED=x' });
+    routeFetchByChangeset({ 'e-Placeholders': successPollResponse({}) });
+
+    await run();
+
+    expect(mockCore.info).not.toHaveBeenCalledWith(expect.stringContaining('Undefined variables'));
+    expect(mockCore.warning).not.toHaveBeenCalledWith(expect.stringContaining('UNUSED'));
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('treats InProd global variables as defined with global_variables', async () => {
+    const globalFile = path.join(__dirname, '__test_global_placeholder__.yaml');
+    fs.writeFileSync(globalFile, [
+      'name: Globals',
+      'action:',
+      '  - action: gencloud-create',
+      '    object_type: RoutingQueue',
+      '    data:',
+      '      name: "Queue [?? GLOBAL_REGION ??]"',
+      '',
+    ].join('\n'));
+
+    try {
+      mockInputs({ changeset_file: globalFile, schema_only: 'true' });
+      await run();
+      expect(mockCore.info).toHaveBeenCalledWith(
+        'Undefined variables in __test_global_placeholder__.yaml:\n  [warning] [?? GLOBAL_REGION ??] is not defined (line 6)'
+      );
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+
+      jest.clearAllMocks();
+      mockInputs({ changeset_file: globalFile, schema_only: 'true', variable_check: 'error', global_variables: 'GLOBAL_REGION, GLOBAL_TZ' });
+      await run();
+      expect(mockCore.info).not.toHaveBeenCalledWith(expect.stringContaining('Undefined variables'));
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    } finally {
+      fs.unlinkSync(globalFile);
+    }
+  });
+
+  test('is part of schema_only', async () => {
+    mockInputs({ changeset_file: `${SAMPLE_CHANGESET_FILE}\n${PLACEHOLDER_FILE}`, schema_only: 'true', variable_check: 'error' });
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([[SAMPLE_BASENAME, 'SUCCESS'], [PLACEHOLDER_BASENAME, 'FAILURE']]);
+    expect(mockCore.setFailed).toHaveBeenCalledWith(expect.stringContaining('undefined variable(s): REGION'));
+  });
+
+  test('rejects an unknown variable_check', async () => {
+    mockInputs({ ...baseInputs, variable_check: 'strict' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid variable_check: strict. Expected one of: error, warn, off');
+  });
+});
+
+// ─── run() — Dry run ────────────────────────────────────────────────────────
+
+describe('run — dry_run', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'inprod-dry-run-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes the request bodies with redacted variables and makes no network calls', async () => {
+    mockInputs({
+      changeset_file: SAMPLE_CHANGESET_FILE,
+      environment: 'Production',
+      dry_run: 'true',
+      dry_run_dir: dir,
+      changeset_variables: 'DB_PASSWORD=s3cret',
+      variable_check: 'off',
+    });
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'requests.json'), 'utf8'));
+    expect(index).toEqual([
+      {
+        changeset: SAMPLE_BASENAME,
+        operation: 'validate',
+        method: 'POST',
+        url: '<base_url>/api/v1/change-set/change-set/validate_yaml/?environment=Production',
+        content_type: 'application/yaml',
+        body_file: '001-__test_changeset_sample__.validate.yaml',
+      },
+      expect.objectContaining({
+        operation: 'execute',
+        url: '<base_url>/api/v1/change-set/change-set/execute_yaml/?environment=Production',
+        body_file: '001-__test_changeset_sample__.execute.yaml',
+      }),
+    ]);
+    const body = fs.readFileSync(path.join(dir, index[1].body_file), 'utf8');
+    expect(body).not.toContain('s3cret');
+    expect(require('js-yaml').load(body).variable).toEqual(expect.arrayContaining([
+      { environment: null, mask_value: false, name: 'DB_PASSWORD', value: '***' },
+    ]));
+    expect(mockCore.setOutput).toHaveBeenCalledWith('dry_run_dir', dir);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(resultOutput()).toEqual(singleResultArray('SUCCESS', { dry_run_requests: index }));
+    expect(mockCore.info).toHaveBeenCalledWith(`\n✓ Wrote 2 request(s) for 1 changeset(s) to ${dir}. Nothing was sent to InProd (dry_run)`);
+  });
+
+  test('uses base_url and only writes validation requests with validate_only', async () => {
+    mockInputs({
+      base_url: 'https://test.inprod.io',
+      changeset_file: SAMPLE_CHANGESET_FILE,
+      validate_only: 'true',
+      dry_run: 'true',
+      dry_run_dir: dir,
+    });
+
+    await run();
+
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'requests.json'), 'utf8'));
+    expect(index.map(r => r.url)).toEqual(['https://test.inprod.io/api/v1/change-set/change-set/validate_yaml/']);
+    expect(fs.readFileSync(path.join(dir, index[0].body_file), 'utf8')).toBe(fs.readFileSync(SAMPLE_CHANGESET_FILE, 'utf8'));
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  test('rejects dry_run with mode poll', async () => {
+    mockInputs({ task_id: 'abc', dry_run: 'true' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('dry_run cannot be used with mode: poll, which has no changeset files');
+  });
+});
+
+// ─── run() — State file ─────────────────────────────────────────────────────
+
+describe('run — state_file', () => {
+  const FILE = name => path.join(__dirname, `__test_state_${name}__.yaml`);
+  const BASENAME = name => `__test_state_${name}__.yaml`;
+  const { changesetHash } = require('./state');
+  const { stripChangesetMetadata } = require('./dependencies');
+  let dir;
+  let stateFile;
+  const baseInputs = () => ({
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: path.join(__dirname, '__test_state_*__.yaml'),
+    validate_before_execute: 'false',
+    environment: 'Production',
+    state_file: stateFile,
+    ...FIXED_5S_POLLING_INPUTS,
+  });
+  // The hash covers the body as submitted, without the x-github-action block
+  const hashOf = name => changesetHash(stripChangesetMetadata(fs.readFileSync(FILE(name), 'utf8'), 'yaml'));
+  const writeStateFile = applied => fs.writeFileSync(stateFile, JSON.stringify({ version: 1, applied }));
+  const readStateFile = () => JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+
+  // b depends on a
+  beforeAll(() => {
+    fs.writeFileSync(FILE('a'), SAMPLE_CHANGESET.replace(/^name: .*$/m, 'name: a'));
+    fs.writeFileSync(FILE('b'), SAMPLE_CHANGESET.replace(/^name: .*$/m, `name: b\nx-github-action:\n  depends_on: [${BASENAME('a')}]`));
+  });
+
+  afterAll(() => {
+    ['a', 'b'].forEach(name => fs.existsSync(FILE(name)) && fs.unlinkSync(FILE(name)));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'inprod-state-'));
+    stateFile = path.join(dir, 'state', 'inprod-state.json');
+  });
+
+  afterEach(() => {
+    mockFetch.mockReset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('runs every changeset on the first run and records them in a new state file', async () => {
+    mockInputs(baseInputs());
+    routeFetchByChangeset({ 'e-a': successPollResponse({ run_id: 7 }), 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+    const state = readStateFile();
+    expect(Object.keys(state.applied)).toEqual(['Production']);
+    expect(state.applied.Production[hashOf('a')]).toEqual({
+      changeset: BASENAME('a'), run_id: 7, applied_at: expect.any(String),
+    });
+    expect(state.applied.Production[hashOf('b')]).toEqual(expect.objectContaining({ changeset: BASENAME('b'), run_id: 42 }));
+    expect(resultOutput().map(r => r.changeset_hash)).toEqual([hashOf('a'), hashOf('b')]);
+    expect(mockCore.setOutput).toHaveBeenCalledWith('changeset_hash', `${hashOf('a')},${hashOf('b')}`);
+    expect(mockCore.info).toHaveBeenCalledWith(`Recorded 2 applied changeset(s) in ${stateFile}`);
+  });
+
+  test('reports changesets already applied to the environment as UNCHANGED without calling InProd', async () => {
+    fs.mkdirSync(path.dirname(stateFile));
+    writeStateFile({ Production: {
+      [hashOf('a')]: { changeset: BASENAME('a'), run_id: 7, applied_at: '2026-03-01T10:00:00.000Z' },
+      [hashOf('b')]: { changeset: BASENAME('b'), run_id: 8, applied_at: '2026-03-01T10:01:00.000Z' },
+    } });
+    mockInputs(baseInputs());
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(resultOutput()).toEqual([
+      expect.objectContaining({
+        file: BASENAME('a'),
+        status: 'UNCHANGED',
+        result: { last_applied: { changeset: BASENAME('a'), run_id: 7, applied_at: '2026-03-01T10:00:00.000Z' } },
+        error: null,
+        changeset_hash: hashOf('a'),
+      }),
+      expect.objectContaining({ file: BASENAME('b'), status: 'UNCHANGED' }),
+    ]);
+    expect(mockCore.info).toHaveBeenCalledWith(
+      `✓ ${BASENAME('a')} is unchanged since run 7 at 2026-03-01T10:00:00.000Z. Skipping (set force: true to run it again)`
+    );
+  });
+
+  test('runs a changed changeset whose dependency is unchanged', async () => {
+    fs.mkdirSync(path.dirname(stateFile));
+    writeStateFile({ Production: { [hashOf('a')]: { changeset: BASENAME('a'), run_id: 7, applied_at: '2026-03-01T10:00:00.000Z' } } });
+    mockInputs(baseInputs());
+    const { submissions } = routeFetchByChangeset({ 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(submissions).toEqual(['e-b']);
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([[BASENAME('a'), 'UNCHANGED'], [BASENAME('b'), 'SUCCESS']]);
+    expect(Object.keys(readStateFile().applied.Production)).toEqual([hashOf('a'), hashOf('b')]);
+  });
+
+  test('runs changesets applied to another environment or with different variables', async () => {
+    fs.mkdirSync(path.dirname(stateFile));
+    writeStateFile({ UAT: { [hashOf('a')]: { changeset: BASENAME('a'), run_id: 7, applied_at: '2026-03-01T10:00:00.000Z' } } });
+    mockInputs({ ...baseInputs(), changeset_variables: 'REGION=eu', variable_check: 'off' });
+    const { submissions } = routeFetchByChangeset({ 'e-a': successPollResponse({}), 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(submissions).toEqual(['e-a', 'e-b']);
+    expect(resultOutput().map(r => r.changeset_hash)).not.toContain(hashOf('a'));
+  });
+
+  test('runs unchanged changesets again with force', async () => {
+    fs.mkdirSync(path.dirname(stateFile));
+    writeStateFile({ Production: { [hashOf('a')]: { changeset: BASENAME('a'), run_id: 7, applied_at: '2026-03-01T10:00:00.000Z' } } });
+    mockInputs({ ...baseInputs(), force: 'true' });
+    const { submissions } = routeFetchByChangeset({ 'e-a': successPollResponse({ run_id: 9 }), 'e-b': successPollResponse({}) });
+
+    await run();
+
+    expect(submissions).toEqual(['e-a', 'e-b']);
+    expect(readStateFile().applied.Production[hashOf('a')].run_id).toBe(9);
+  });
+
+  test('records each changeset as soon as it executes, before the run ends', async () => {
+    mockInputs(baseInputs());
+    const { taskStatus } = routeFetchByChangeset({ 'e-a': successPollResponse({ run_id: 7 }) });
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000); // a succeeded, b still running
+    expect(Object.keys(readStateFile().applied.Production)).toEqual([hashOf('a')]);
+
+    taskStatus['e-b'] = successPollResponse({});
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    expect(Object.keys(readStateFile().applied.Production)).toEqual([hashOf('a'), hashOf('b')]);
+  });
+
+  test('does not record failed changesets', async () => {
+    mockInputs(baseInputs());
+    routeFetchByChangeset({ 'e-a': failurePollResponse('Boom') });
+
+    await run();
+
+    expect(readStateFile()).toEqual({ version: 1, applied: {} });
+    expect(resultOutput().map(r => [r.file, r.status])).toEqual([[BASENAME('a'), 'FAILURE'], [BASENAME('b'), 'SKIPPED']]);
+  });
+
+  test('rejects an invalid state file', async () => {
+    fs.mkdirSync(path.dirname(stateFile));
+    fs.writeFileSync(stateFile, '{"applied": []');
+    mockInputs(baseInputs());
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.setFailed).toHaveBeenCalledWith(expect.stringContaining(`Invalid state_file ${stateFile}:`));
+  });
+
+  test('rejects state_file with mode poll', async () => {
+    mockInputs({ task_id: 'abc', api_key: 'key', base_url: 'https://test.inprod.io', state_file: 'state.json' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('state_file cannot be used with mode: poll, which has no changeset files');
+  });
+});
+
+// ─── run() — Deployment lock ────────────────────────────────────────────────
+
+describe('run — deployment_lock', () => {
+  const LOCK_CHANGESET_FILE = path.join(__dirname, '__test_lock__.yaml');
+  let dir;
+  const baseInputs = () => ({
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: LOCK_CHANGESET_FILE,
+    validate_before_execute: 'false',
+    environment: 'Production',
+    deployment_lock: 'true',
+    lock_dir: dir,
+    ...FIXED_5S_POLLING_INPUTS,
+  });
+  const infoMessages = () => mockCore.info.mock.calls.map(([message]) => message);
+
+  beforeAll(() => {
+    fs.writeFileSync(LOCK_CHANGESET_FILE, SAMPLE_CHANGESET.replace(/^name: .*$/m, 'name: locked'));
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(LOCK_CHANGESET_FILE)) fs.unlinkSync(LOCK_CHANGESET_FILE);
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'inprod-lock-'));
+  });
+
+  afterEach(() => {
+    mockFetch.mockReset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('holds the environment lock while executing and releases it afterwards', async () => {
+    mockInputs(baseInputs());
+    routeFetchByChangeset({ 'e-locked': successPollResponse({}) });
+    let lockedDuringExecution = false;
+    const route = mockFetch.getMockImplementation();
+    mockFetch.mockImplementation(async (url, init) => {
+      lockedDuringExecution = lockedDuringExecution || fs.existsSync(path.join(dir, 'environment-Production.lock'));
+      return route(url, init);
+    });
+
+    await run();
+
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+    expect(lockedDuringExecution).toBe(true);
+    expect(fs.readdirSync(dir)).toEqual([]);
+    const messages = infoMessages();
+    expect(messages).toContain('Deployment lock: file backend, waiting up to 10 minute(s), stale after 60 minute(s)');
+    expect(messages.indexOf('🔒 Acquired deployment lock for environment Production')).toBeLessThan(messages.indexOf('Submitting changeset for execution...'));
+    expect(messages).toContain('🔓 Released deployment lock for environment Production');
+  });
+
+  test('locks the environment named in the changeset when no environment is set', async () => {
+    mockInputs({ ...baseInputs(), environment: '' });
+    routeFetchByChangeset({ 'e-locked': successPollResponse({}) });
+    let lockFiles = [];
+    const route = mockFetch.getMockImplementation();
+    mockFetch.mockImplementation(async (url, init) => {
+      lockFiles = fs.readdirSync(dir);
+      return route(url, init);
+    });
+
+    await run();
+
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+    expect(lockFiles).toEqual(['environment-Development.lock']);
+    expect(infoMessages()).toContain('🔒 Acquired deployment lock for environment Development');
+  });
+
+  test('releases the lock when a changeset fails', async () => {
+    mockInputs(baseInputs());
+    routeFetchByChangeset({ 'e-locked': failurePollResponse('Boom') });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Changeset execution failed: Boom');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('fails without calling InProd when another run holds the lock past lock_wait_minutes', async () => {
+    fs.writeFileSync(path.join(dir, 'environment-Production.lock'), JSON.stringify({
+      token: 'other', environment: 'Production', acquired_at: new Date().toISOString(), repository: 'acme/genesys', run_id: '99',
+    }));
+    mockInputs({ ...baseInputs(), lock_wait_minutes: '0' });
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.setFailed).toHaveBeenCalledWith(expect.stringMatching(
+      /^Timed out waiting for the deployment lock for environment Production, held by acme\/genesys run 99 since /
+    ));
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'environment-Production.lock'), 'utf8')).token).toBe('other');
+  });
+
+  test('does not lock with validate_only', async () => {
+    mockInputs({ ...baseInputs(), validate_only: 'true' });
+    routeFetchByChangeset({ 'v-locked': successPollResponse({ is_valid: true }) });
+
+    await run();
+
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+    expect(infoMessages().some(message => message.startsWith('🔒'))).toBe(false);
+  });
+
+  test('rejects an unknown lock_backend', async () => {
+    mockInputs({ ...baseInputs(), lock_backend: 'redis' });
+
+    await run();
+
+    expect(mockCore.setFailed).toHaveBeenCalledWith('Invalid lock_backend: redis. Expected one of: file');
+  });
+
+  test('requires lock_dir, since the runner temporary directory is not shared', async () => {
+    mockInputs({ ...baseInputs(), lock_dir: '' });
+
+    await run();
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(mockCore.setFailed).toHaveBeenCalledWith('lock_dir is required with lock_backend: file. Point it at a directory shared by the runs to coordinate');
+  });
+});
+
+// ─── run() — Output logging ────────────────────────────────────────────────
+
+describe('run — output logging', () => {
+  test('logs run_id, changeset_name, and environment on success', async () => {
+    mockInputs({
+      api_key: 'key',
+      base_url: 'https://test.inprod.io',
+      changeset_file: SAMPLE_CHANGESET_FILE,
+      validate_before_execute: 'false',
+      polling_timeout_minutes: '1',
+    });
+
+    const execResult = { run_id: 55, changeset_name: 'My CS', environment: { id: 1, name: 'Dev' } };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-log', 55)))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    expect(mockCore.info).toHaveBeenCalledWith('Run ID: 55');
+    expect(mockCore.info).toHaveBeenCalledWith('Changeset: My CS');
+    expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('"name":"Dev"'));
+  });
+
+  test('result output is always an array', async () => {
+    mockInputs({
+      api_key: 'key',
+      base_url: 'https://test.inprod.io',
+      changeset_file: SAMPLE_CHANGESET_FILE,
+      validate_before_execute: 'false',
+    });
+    const execResult = { run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-arr')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
 
-    // Verify result array
+    const resultCall = mockCore.setOutput.mock.calls.find(c => c[0] === 'result');
+    const parsed = JSON.parse(resultCall[1]);
+    expect(Array.isArray(parsed)).toBe(true);
+    expect(parsed).toHaveLength(1);
+    expect(parsed[0].file).toBe(SAMPLE_BASENAME);
+    expect(parsed[0].status).toBe('SUCCESS');
+  });
+});
+
+// ─── run() — Multi-file execution (per_file strategy) ──────────────────────
+
+describe('run — multi-file (per_file strategy)', () => {
+  const globPattern = path.join(__dirname, '__test_0*__.yaml');
+  const baseInputs = {
+    api_key: 'key',
+    base_url: 'https://test.inprod.io',
+    changeset_file: globPattern,
+    validate_before_execute: 'false',
+  };
+
+  test('processes multiple files sequentially and produces result array', async () => {
+    mockInputs(baseInputs);
+
+    // 3 files matched: 01, 02, 03
+    const execResult = { run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-01')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)))
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-02')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)))
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse('t-03')))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(15000); // 3 polls
+    await promise;
+
+    expect(mockFetch).toHaveBeenCalledTimes(6); // 3 executes + 3 polls
+    expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+
+    // Verify result array
     const resultCall = mockCore.setOutput.mock.calls.find(c => c[0] === 'result');
     const parsed = JSON.parse(resultCall[1]);
     expect(parsed).toHaveLength(3);
@@ -1464,6 +3766,47 @@ describe('run — changeset variables', () => {
     );
   });
 
+  test('registers every injected value as a secret', async () => {
+    mockInputs({ ...baseInputs, changeset_variables: 'REGION=us-east-1\nDB_PASSWORD=secret123' });
+
+    const execResult = { run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    expect(mockCore.setSecret).toHaveBeenCalledWith('us-east-1');
+    expect(mockCore.setSecret).toHaveBeenCalledWith('secret123');
+  });
+
+  test.each([
+    ['a !masked marker', { changeset_variables: 'REGION=us-east-1\nDB_PASSWORD=!masked secret123' }, [false, true]],
+    ['mask_injected_variables', { changeset_variables: 'REGION=us-east-1\nDB_PASSWORD=secret123', mask_injected_variables: 'true' }, [true, true]],
+  ])('submits variables with mask_value: true for %s', async (_, inputs, expected) => {
+    mockInputs({ ...baseInputs, ...inputs });
+
+    const execResult = { run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    const body = require('js-yaml').load(mockFetch.mock.calls[0][1].body);
+    const masks = ['REGION', 'DB_PASSWORD'].map(name => body.variable.find(v => v.name === name).mask_value);
+    expect(masks).toEqual(expected);
+    expect(body.variable.find(v => v.name === 'DB_PASSWORD').value).toBe('secret123');
+    expect(mockCore.setSecret).toHaveBeenCalledWith('secret123');
+    expect(mockCore.info).toHaveBeenCalledWith(
+      `Changeset variables: 2 variable(s) provided, ${expected.filter(Boolean).length} submitted with mask_value: true`
+    );
+  });
+
   test('injects variables into each yaml file when multiple files provided', async () => {
     const globPattern = path.join(__dirname, '__test_0*__.yaml');
     mockInputs({
@@ -1564,6 +3907,88 @@ describe('run — changeset variables', () => {
     // Variables parsing still works, verify no crash
     expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'SUCCESS');
   });
+
+  describe('changeset_variables_file', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'inprod-variables-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeVariablesFile(name, content) {
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    }
+
+    async function runAndGetBody() {
+      const execResult = { run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } };
+      mockFetch
+        .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+        .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+
+      const promise = run();
+      await jest.advanceTimersByTimeAsync(5000);
+      await promise;
+      return require('js-yaml').load(mockFetch.mock.calls[0][1].body);
+    }
+
+    test('injects variables from a .env file, with inline changeset_variables taking precedence', async () => {
+      mockInputs({
+        ...baseInputs,
+        changeset_variables_file: writeVariablesFile('deploy.env', 'REGION=us-east-1\nDB_PASSWORD=from-file\n'),
+        changeset_variables: 'DB_PASSWORD=from-input',
+      });
+
+      const body = await runAndGetBody();
+
+      expect(body.variable).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'REGION', value: 'us-east-1' }),
+        expect.objectContaining({ name: 'DB_PASSWORD', value: 'from-input' }),
+      ]));
+      expect(mockCore.info).toHaveBeenCalledWith('Changeset variables: 2 variable(s) provided');
+    });
+
+    test('injects multi-line values and submits variables the YAML file marks sensitive with mask_value: true', async () => {
+      mockInputs({
+        ...baseInputs,
+        changeset_variables_file: writeVariablesFile('deploy.yaml', [
+          'REGION: us-east-1',
+          'CERTIFICATE:',
+          '  value: |',
+          '    line-one',
+          '    line-two',
+          '  sensitive: true',
+        ].join('\n')),
+      });
+
+      const body = await runAndGetBody();
+
+      expect(body.variable).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'REGION', value: 'us-east-1', mask_value: false }),
+        expect.objectContaining({ name: 'CERTIFICATE', value: 'line-one\nline-two\n', mask_value: true }),
+      ]));
+      expect(mockCore.setSecret).toHaveBeenCalledWith('line-one\nline-two\n');
+      expect(mockCore.setSecret).toHaveBeenCalledWith('line-one');
+      expect(mockCore.setSecret).toHaveBeenCalledWith('line-two');
+      expect(mockCore.info).toHaveBeenCalledWith('Changeset variables: 2 variable(s) provided, 1 submitted with mask_value: true');
+    });
+
+    test('fails when the file does not exist', async () => {
+      mockInputs({ ...baseInputs, changeset_variables_file: path.join(dir, 'missing.env') });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `changeset_variables_file not found: ${path.join(dir, 'missing.env')}`
+      );
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
 });
 
 // ─── getFileFormat ──────────────────────────────────────────────────────────
@@ -1667,6 +4092,11 @@ variable:
     expect(result).toContain('value: value');
   });
 
+  test('throws a clear error for an empty changeset', () => {
+    expect(() => injectYamlVariables('# nothing\n', { A: '1' })).toThrow('Cannot inject changeset_variables: the changeset is empty or not a mapping');
+    expect(() => injectYamlVariables('- a\n', { A: '1' })).toThrow('Cannot inject changeset_variables: the changeset is empty or not a mapping');
+  });
+
   test('handles yaml with no variable field', () => {
     const yamlNoVar = `name: Test\nenvironment: Dev`;
     const result = injectYamlVariables(yamlNoVar, { NEW_VAR: 'value' });
@@ -1687,6 +4117,66 @@ variable:
     expect(varB.mask_value).toBe(true);
     expect(varB.value).toBe('bbb');
   });
+
+  test('replaces only the matching environment entry for a scoped variable', () => {
+    const result = injectYamlVariables(baseYaml, { 'Dev:existing_var': 'new_dev', 'Production:existing_var': 'new_prod' });
+    const doc = require('js-yaml').load(result);
+    expect(doc.variable).toEqual([
+      { environment: null, mask_value: false, name: 'existing_var', value: 'old_value' },
+      { environment: 'Dev', mask_value: true, name: 'existing_var', value: 'new_dev' },
+      { environment: 'Production', mask_value: true, name: 'existing_var', value: 'new_prod' },
+    ]);
+  });
+
+  test('leaves comments, anchors and quoting outside the variable list as written', () => {
+    const content = `# Release 4 queues
+defaults: &queue
+  division: 'Home'   # quoted on purpose
+  created: 2024-01-01
+variable:
+  - name: region   # set per run
+    value: eu
+action:
+  - <<: *queue
+    action: gencloud-create
+`;
+    const result = injectYamlVariables(content, { region: 'us-east-1', DIVISION: '0123' });
+    expect(result).toBe(`# Release 4 queues
+defaults: &queue
+  division: 'Home'   # quoted on purpose
+  created: 2024-01-01
+variable:
+  - environment: null
+    mask_value: false
+    name: region
+    value: us-east-1
+  - environment: null
+    mask_value: false
+    name: DIVISION
+    value: '0123'
+action:
+  - <<: *queue
+    action: gencloud-create
+`);
+  });
+
+  test('re-serialises a flow-style changeset that cannot be edited in place, with a warning', () => {
+    const result = injectYamlVariables('{name: Test, variable: []}', { A: '1' }, { label: 'flow.yaml' });
+    expect(require('js-yaml').load(result)).toEqual({
+      name: 'Test',
+      variable: [{ environment: null, mask_value: false, name: 'A', value: '1' }],
+    });
+    expect(mockCore.warning).toHaveBeenCalledWith(
+      'Could not edit the variable list of flow.yaml in place, so it is re-serialised to inject changeset_variables. ' +
+      'Comments, anchors and formatting are not kept in the changeset sent to InProd'
+    );
+  });
+
+  test('keeps CRLF line endings', () => {
+    const result = injectYamlVariables('name: Test\r\nvariable: []\r\n', { A: 'x' });
+    expect(result).toBe('name: Test\r\nvariable:\r\n  - environment: null\r\n    mask_value: false\r\n    name: A\r\n    value: x\r\n');
+    expect(mockCore.warning).not.toHaveBeenCalled();
+  });
 });
 
 // ─── run() — JSON file format ──────────────────────────────────────────────
@@ -1803,6 +4293,32 @@ describe('run — JSON file format', () => {
     expect(newVarEntry).toEqual({ environment: null, mask_value: false, name: 'NewVar', value: 'newval' });
     expect(mockCore.setFailed).not.toHaveBeenCalled();
   });
+
+  test('injects an environment-scoped variable into JSON, keeping entries for other environments', async () => {
+    mockInputs({
+      api_key: 'key',
+      base_url: 'https://test.inprod.io',
+      changeset_file: SAMPLE_JSON_FILE,
+      validate_before_execute: 'false',
+      changeset_variables: '1:DogsName=dev override',
+    });
+
+    const execResult = { run_id: 42, changeset_name: 'Test', environment: { id: 1, name: 'Dev' } };
+    mockFetch
+      .mockResolvedValueOnce(mockFetchResponse(200, executeTaskResponse()))
+      .mockResolvedValueOnce(mockFetchResponse(200, successPollResponse(execResult)));
+
+    const promise = run();
+    await jest.advanceTimersByTimeAsync(5000);
+    await promise;
+
+    const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+    expect(body.variable.filter(v => v.name === 'DogsName')).toEqual([
+      { environment: null, mask_value: false, name: 'DogsName', value: 'global value' },
+      { environment: 1, mask_value: false, name: 'DogsName', value: 'dev override' },
+    ]);
+    expect(mockCore.setFailed).not.toHaveBeenCalled();
+  });
 });
 
 // ─── injectJsonVariables ────────────────────────────────────────────────────
@@ -0,0 +1,239 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sleep } = require('./client');
+
+// Advisory deployment locks, one per InProd environment, so two workflows
+// do not execute changesets against the same environment at once. A lock
+// is a record of who holds it:
+//   { token, environment, acquired_at, repository, workflow, job, run_id, run_attempt }
+// The record is never rewritten. The holder refreshes the lock's
+// modification time instead, so a refresh can never overwrite a lock
+// another run has just taken over. A lock not refreshed within the stale
+// expiry is assumed abandoned (e.g. the runner died) and taken over.
+// Locks are keyed by the environment as written: a name and an ID of the
+// same InProd environment (`Production` and `3`) are two different locks.
+
+// How often a waiting run checks the lock again
+const LOCK_POLL_SECONDS = 5;
+
+// How many times a held lock is refreshed per stale expiry
+const LOCK_REFRESHES_PER_EXPIRY = 3;
+
+function describeEnvironment(environment) {
+  return environment ? `environment ${environment}` : 'the default environment';
+}
+
+function describeHolder(holder) {
+  const run = holder.repository && holder.run_id
+    ? `${holder.repository} run ${holder.run_id}${holder.job ? ` (job ${holder.job})` : ''}`
+    : 'another run';
+  return `${run} since ${holder.acquired_at}`;
+}
+
+// Error codes of a file system without hard links, e.g. an SMB/CIFS share
+const NO_HARD_LINK_CODES = ['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS'];
+
+// Lock backend keeping one file per environment in a directory shared by
+// the runs to coordinate, e.g. on a self-hosted runner. The file is written
+// in full and then hard-linked into place, so a lock is never seen half
+// written. There is no default directory: the runner's temporary
+// directory is not shared, so a lock there would lock nothing.
+function createFileLockBackend({ dir } = {}) {
+  if (!dir) {
+    throw new Error('lock_dir is required with lock_backend: file. Point it at a directory shared by the runs to coordinate');
+  }
+  const lockPath = environment => path.join(dir, environment ? `environment-${encodeURIComponent(environment)}.lock` : 'no-environment.lock');
+
+  // The current holder, or null, with refreshed_at set to the lock file's
+  // modification time. An unreadable lock file is dated by it too, so it
+  // still expires.
+  const read = environment => {
+    let text;
+    let stat;
+    try {
+      text = fs.readFileSync(lockPath(environment), 'utf8');
+      stat = fs.statSync(lockPath(environment));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    const refreshedAt = stat.mtime.toISOString();
+    try {
+      return { ...JSON.parse(text), refreshed_at: refreshedAt };
+    } catch (e) {
+      return { token: null, environment, acquired_at: refreshedAt, refreshed_at: refreshedAt };
+    }
+  };
+
+  // Write the holder record in full to a file beside the lock, dated by
+  // this runner's clock like every refresh
+  const writePending = (environment, holder) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const pending = `${lockPath(environment)}.${holder.token}`;
+    fs.writeFileSync(pending, `${JSON.stringify(holder, null, 2)}\n`);
+    const acquiredAt = new Date(holder.acquired_at);
+    fs.utimesSync(pending, acquiredAt, acquiredAt);
+    return pending;
+  };
+
+  return {
+    // Take the lock for holder. Returns null when taken, or the current holder.
+    tryAcquire(environment, holder) {
+      const pending = writePending(environment, holder);
+      try {
+        fs.linkSync(pending, lockPath(environment));
+        return null;
+      } catch (e) {
+        if (NO_HARD_LINK_CODES.includes(e.code)) {
+          throw new Error(`Cannot create deployment locks in lock_dir ${dir} (${e.code}): file locks need a file system with hard links, such as a local disk or NFS. SMB/CIFS shares do not support them`);
+        }
+        if (e.code !== 'EEXIST') throw e;
+        return read(environment) || this.tryAcquire(environment, holder);
+      } finally {
+        fs.rmSync(pending, { force: true });
+      }
+    },
+
+    // Move the modification time of a lock `holder` still holds (same
+    // token) to now. Returns whether it did. Should another run take the
+    // lock over between the check and the update, only the new lock's time
+    // moves, which leaves it held as it is.
+    refresh(environment, holder) {
+      const current = read(environment);
+      if (!current || current.token !== holder.token) return false;
+      const now = new Date();
+      fs.utimesSync(lockPath(environment), now, now);
+      return true;
+    },
+
+    // Remove the lock if `holder` still holds it: same token and, for a
+    // record returned by read(), not refreshed since. Returns whether it did.
+    remove(environment, holder) {
+      const current = read(environment);
+      if (!current || current.token !== holder.token) return false;
+      if (holder.refreshed_at && current.refreshed_at !== holder.refreshed_at) return false;
+      fs.rmSync(lockPath(environment), { force: true });
+      return true;
+    },
+  };
+}
+
+// InProd has no lock endpoint yet. Once it does, an InProd-side backend
+// belongs here, so runners without a shared directory can coordinate too.
+const LOCK_BACKENDS = { file: createFileLockBackend };
+const LOCK_BACKEND_NAMES = Object.keys(LOCK_BACKENDS);
+
+function createLockBackend(name, options) {
+  if (!LOCK_BACKENDS[name]) {
+    throw new Error(`Invalid lock_backend: ${name}. Expected one of: ${LOCK_BACKEND_NAMES.join(', ')}`);
+  }
+  return LOCK_BACKENDS[name](options);
+}
+
+// The holder record for this run
+function lockHolder(environment) {
+  return {
+    token: crypto.randomUUID(),
+    environment: environment || null,
+    acquired_at: new Date().toISOString(),
+    repository: process.env.GITHUB_REPOSITORY || null,
+    workflow: process.env.GITHUB_WORKFLOW || null,
+    job: process.env.GITHUB_JOB || null,
+    run_id: process.env.GITHUB_RUN_ID || null,
+    run_attempt: process.env.GITHUB_RUN_ATTEMPT || null,
+  };
+}
+
+// Keep a held lock fresh by refreshing it several times per stale expiry,
+// for as long as the run holds it. Returns { lost, stop }: whether another
+// run took the lock over, and a function that ends the refreshing.
+function refreshLock(backend, environment, holder, staleSeconds) {
+  let lost = false;
+  const timer = setInterval(() => {
+    try {
+      if (backend.refresh(environment, holder)) return;
+      lost = true;
+      clearInterval(timer);
+      core.warning(`Deployment lock for ${describeEnvironment(environment)} was taken over by another run while it was held`);
+    } catch (e) {
+      core.warning(`Failed to refresh deployment lock for ${describeEnvironment(environment)}: ${e.message}`);
+    }
+  }, (staleSeconds * 1000) / LOCK_REFRESHES_PER_EXPIRY);
+  // A held lock must not keep the process alive on its own
+  timer.unref();
+  return { lost: () => lost, stop: () => clearInterval(timer) };
+}
+
+// Wait up to waitSeconds for the lock of one environment, taking over a
+// lock not refreshed for staleSeconds. Returns { environment, release }.
+// release() can be called more than once and never throws, so it is safe
+// in exit and signal handlers.
+async function acquireLock(backend, environment, { waitSeconds, staleSeconds }) {
+  const deadline = Date.now() + waitSeconds * 1000;
+  let waiting = false;
+  for (;;) {
+    const holder = lockHolder(environment);
+    const current = backend.tryAcquire(environment, holder);
+    if (!current) {
+      core.info(`🔒 Acquired deployment lock for ${describeEnvironment(environment)}`);
+      const refresher = refreshLock(backend, environment, holder, staleSeconds);
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        refresher.stop();
+        // Already reported when the refresh found the lock taken over
+        if (refresher.lost()) return;
+        try {
+          if (backend.remove(environment, holder)) {
+            core.info(`🔓 Released deployment lock for ${describeEnvironment(environment)}`);
+          } else {
+            core.warning(`Deployment lock for ${describeEnvironment(environment)} was taken over by another run before it was released`);
+          }
+        } catch (e) {
+          core.warning(`Failed to release deployment lock for ${describeEnvironment(environment)}: ${e.message}`);
+        }
+      };
+      return { environment, release };
+    }
+
+    const age = Date.now() - Date.parse(current.refreshed_at);
+    if (!(age < staleSeconds * 1000)) {
+      core.warning(`Taking over stale deployment lock for ${describeEnvironment(environment)} held by ${describeHolder(current)}`);
+      backend.remove(environment, current);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for the deployment lock for ${describeEnvironment(environment)}, held by ${describeHolder(current)}`);
+    }
+    if (!waiting) {
+      core.info(`Waiting for the deployment lock for ${describeEnvironment(environment)}, held by ${describeHolder(current)}...`);
+      waiting = true;
+    }
+    await sleep(Math.min(LOCK_POLL_SECONDS * 1000, deadline - Date.now()));
+  }
+}
+
+// Acquire the lock of each environment, in sorted order so that runs
+// locking several environments cannot deadlock each other. On failure the
+// locks already taken are released. Returns the locks.
+async function acquireDeploymentLocks(environments, { backend, waitSeconds, staleSeconds }) {
+  const locks = [];
+  try {
+    for (const environment of [...new Set(environments)].sort()) {
+      locks.push(await acquireLock(backend, environment, { waitSeconds, staleSeconds }));
+    }
+  } catch (e) {
+    releaseDeploymentLocks(locks);
+    throw e;
+  }
+  return locks;
+}
+
+function releaseDeploymentLocks(locks) {
+  [...locks].reverse().forEach(lock => lock.release());
+}
+
+module.exports = { LOCK_BACKEND_NAMES, createLockBackend, createFileLockBackend, acquireDeploymentLocks, releaseDeploymentLocks };
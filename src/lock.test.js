@@ -0,0 +1,196 @@
+jest.mock('@actions/core', () => ({ info: jest.fn(), warning: jest.fn() }));
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLockBackend, createFileLockBackend, acquireDeploymentLocks, releaseDeploymentLocks } = require('./lock');
+
+let dir;
+let backend;
+const lockFile = name => path.join(dir, name);
+const readLock = name => JSON.parse(fs.readFileSync(lockFile(name), 'utf8'));
+const OPTIONS = { waitSeconds: 60, staleSeconds: 3600 };
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inprod-lock-'));
+  backend = createFileLockBackend({ dir });
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createLockBackend', () => {
+  test('rejects an unknown backend', () => {
+    expect(() => createLockBackend('redis', {})).toThrow('Invalid lock_backend: redis. Expected one of: file');
+  });
+
+  test('requires a lock directory for the file backend', () => {
+    expect(() => createLockBackend('file', {})).toThrow('lock_dir is required with lock_backend: file');
+  });
+});
+
+describe('file lock backend', () => {
+  test('writes one lock file per environment describing the holder', async () => {
+    process.env.GITHUB_REPOSITORY = 'acme/genesys';
+    process.env.GITHUB_RUN_ID = '123';
+    const locks = await acquireDeploymentLocks(['Production', ''], { backend, ...OPTIONS });
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['environment-Production.lock', 'no-environment.lock']);
+    expect(readLock('environment-Production.lock')).toEqual(expect.objectContaining({
+      environment: 'Production', repository: 'acme/genesys', run_id: '123', token: expect.any(String),
+    }));
+    expect(core.info).toHaveBeenCalledWith('🔒 Acquired deployment lock for environment Production');
+
+    releaseDeploymentLocks(locks);
+    expect(fs.readdirSync(dir)).toEqual([]);
+    expect(core.info).toHaveBeenCalledWith('🔓 Released deployment lock for the default environment');
+    delete process.env.GITHUB_REPOSITORY;
+    delete process.env.GITHUB_RUN_ID;
+  });
+
+  test('encodes environment names for the file name and locks each name once', async () => {
+    const locks = await acquireDeploymentLocks(['UAT/EU', 'UAT/EU'], { backend, ...OPTIONS });
+    expect(locks).toHaveLength(1);
+    expect(fs.readdirSync(dir)).toEqual(['environment-UAT%2FEU.lock']);
+  });
+
+  test('explains that the lock directory needs hard links', async () => {
+    const link = jest.spyOn(fs, 'linkSync').mockImplementation(() => {
+      throw Object.assign(new Error('operation not supported'), { code: 'ENOTSUP' });
+    });
+
+    await expect(acquireDeploymentLocks(['Production'], { backend, ...OPTIONS }))
+      .rejects.toThrow(`Cannot create deployment locks in lock_dir ${dir} (ENOTSUP): file locks need a file system with hard links`);
+    expect(fs.readdirSync(dir)).toEqual([]);
+    link.mockRestore();
+  });
+
+  test('release can be called more than once', async () => {
+    const [lock] = await acquireDeploymentLocks(['Production'], { backend, ...OPTIONS });
+    lock.release();
+    lock.release();
+    expect(core.info.mock.calls.filter(([message]) => message.startsWith('🔓'))).toHaveLength(1);
+  });
+});
+
+describe('acquireDeploymentLocks', () => {
+  test('waits for a lock held by another run', async () => {
+    jest.useFakeTimers();
+    const [other] = await acquireDeploymentLocks(['Production'], { backend, ...OPTIONS });
+
+    let acquired = null;
+    const waiting = acquireDeploymentLocks(['Production'], { backend, ...OPTIONS }).then(locks => { acquired = locks; });
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(acquired).toBeNull();
+    expect(core.info).toHaveBeenCalledWith(expect.stringMatching(/^Waiting for the deployment lock for environment Production, held by another run since /));
+
+    other.release();
+    await jest.advanceTimersByTimeAsync(5000);
+    await waiting;
+    expect(acquired).toHaveLength(1);
+  });
+
+  test('fails after waitSeconds and releases the locks already taken', async () => {
+    jest.useFakeTimers();
+    await acquireDeploymentLocks(['UAT'], { backend, ...OPTIONS });
+
+    const attempt = acquireDeploymentLocks(['Production', 'UAT'], { backend, ...OPTIONS, waitSeconds: 30 });
+    const failed = expect(attempt).rejects.toThrow(/^Timed out waiting for the deployment lock for environment UAT, held by another run since /);
+    await jest.advanceTimersByTimeAsync(30000);
+    await failed;
+    expect(fs.readdirSync(dir)).toEqual(['environment-UAT.lock']);
+  });
+
+  test('fails at once with waitSeconds 0', async () => {
+    await acquireDeploymentLocks(['Production'], { backend, ...OPTIONS });
+    await expect(acquireDeploymentLocks(['Production'], { backend, ...OPTIONS, waitSeconds: 0 }))
+      .rejects.toThrow('Timed out waiting for the deployment lock for environment Production');
+  });
+
+  test('takes over a stale lock', async () => {
+    fs.writeFileSync(lockFile('environment-Production.lock'), JSON.stringify({
+      token: 'old', environment: 'Production', acquired_at: '2026-01-01T00:00:00.000Z', repository: 'acme/genesys', run_id: '99', job: 'deploy',
+    }));
+    const old = new Date(Date.now() - 2 * 3600 * 1000);
+    fs.utimesSync(lockFile('environment-Production.lock'), old, old);
+
+    const [lock] = await acquireDeploymentLocks(['Production'], { backend, ...OPTIONS });
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'Taking over stale deployment lock for environment Production held by acme/genesys run 99 (job deploy) since 2026-01-01T00:00:00.000Z'
+    );
+    expect(readLock('environment-Production.lock').token).not.toBe('old');
+    lock.release();
+  });
+
+  test('dates an unreadable lock file by its modification time', async () => {
+    jest.useFakeTimers();
+    fs.writeFileSync(lockFile('environment-Production.lock'), '');
+
+    const attempt = acquireDeploymentLocks(['Production'], { backend, waitSeconds: 0, staleSeconds: 3600 });
+    await expect(attempt).rejects.toThrow('Timed out waiting for the deployment lock for environment Production');
+
+    const old = new Date(Date.now() - 2 * 3600 * 1000);
+    fs.utimesSync(lockFile('environment-Production.lock'), old, old);
+    const [lock] = await acquireDeploymentLocks(['Production'], { backend, waitSeconds: 0, staleSeconds: 3600 });
+    expect(lock.environment).toBe('Production');
+  });
+
+  test('refreshes a held lock so it never goes stale', async () => {
+    jest.useFakeTimers();
+    const [lock] = await acquireDeploymentLocks(['Production'], { backend, waitSeconds: 0, staleSeconds: 60 });
+    const record = readLock('environment-Production.lock');
+    const modified = () => fs.statSync(lockFile('environment-Production.lock')).mtimeMs;
+    const acquiredAt = modified();
+
+    await jest.advanceTimersByTimeAsync(150 * 1000);
+
+    expect(modified()).toBeGreaterThan(acquiredAt);
+    expect(readLock('environment-Production.lock')).toEqual(record);
+    await expect(acquireDeploymentLocks(['Production'], { backend, waitSeconds: 0, staleSeconds: 60 }))
+      .rejects.toThrow('Timed out waiting for the deployment lock for environment Production');
+    expect(core.warning).not.toHaveBeenCalled();
+
+    lock.release();
+    expect(fs.readdirSync(dir)).toEqual([]);
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('stops refreshing and keeps the new holder\'s lock when another run took it over', async () => {
+    jest.useFakeTimers();
+    const [lock] = await acquireDeploymentLocks(['Production'], { backend, waitSeconds: 0, staleSeconds: 60 });
+    fs.writeFileSync(lockFile('environment-Production.lock'), JSON.stringify({ token: 'other', acquired_at: new Date().toISOString() }));
+
+    await jest.advanceTimersByTimeAsync(20 * 1000);
+    lock.release();
+
+    expect(core.warning.mock.calls).toEqual([['Deployment lock for environment Production was taken over by another run while it was held']]);
+    expect(readLock('environment-Production.lock').token).toBe('other');
+  });
+
+  test('does not take over a lock refreshed after it was found stale', async () => {
+    fs.writeFileSync(lockFile('environment-Production.lock'), JSON.stringify({ token: 'other', acquired_at: '2026-01-01T00:00:00.000Z' }));
+    const old = new Date(Date.now() - 2 * 3600 * 1000);
+    fs.utimesSync(lockFile('environment-Production.lock'), old, old);
+    const stale = { token: 'other', refreshed_at: old.toISOString() };
+
+    expect(backend.refresh('Production', { token: 'other' })).toBe(true);
+    expect(backend.remove('Production', stale)).toBe(false);
+    expect(readLock('environment-Production.lock').token).toBe('other');
+  });
+
+  test('warns on release when another run took the lock over', async () => {
+    const [lock] = await acquireDeploymentLocks(['Production'], { backend, ...OPTIONS });
+    fs.writeFileSync(lockFile('environment-Production.lock'), JSON.stringify({ token: 'other', acquired_at: new Date().toISOString() }));
+
+    lock.release();
+
+    expect(core.warning).toHaveBeenCalledWith('Deployment lock for environment Production was taken over by another run before it was released');
+    expect(readLock('environment-Production.lock').token).toBe('other');
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { VARIABLES_YAML_SCHEMA, parseVariableMap } = require('./variables');
+
+const ENTRY_KEYS = ['file', 'environment', 'variables', 'validate_only', 'timeout_minutes', 'continue_on_error'];
+
+function invalid(manifestPath, where, message) {
+  return new Error(`Invalid manifest ${manifestPath}: ${where} ${message}`);
+}
+
+// Convert one manifest entry to { pattern, overrides }. `overrides` uses
+// the names of the options passed to processSingleFile and only holds the
+// settings the entry sets.
+function parseEntry(entry, index, manifestPath) {
+  const where = `changesets[${index}]`;
+  if (typeof entry === 'string') entry = { file: entry };
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw invalid(manifestPath, where, 'must be a file path or a mapping with a file key');
+  }
+
+  const unknown = Object.keys(entry).filter(key => !ENTRY_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw invalid(manifestPath, where, `has unknown key(s): ${unknown.join(', ')}. Expected: ${ENTRY_KEYS.join(', ')}`);
+  }
+  if (typeof entry.file !== 'string' || entry.file.trim() === '') {
+    throw invalid(manifestPath, where, 'needs a file');
+  }
+
+  const overrides = {};
+  if (entry.environment !== undefined && entry.environment !== null) {
+    if (typeof entry.environment !== 'string' && typeof entry.environment !== 'number') {
+      throw invalid(manifestPath, `${where}.environment`, 'must be an environment name or ID');
+    }
+    overrides.environment = String(entry.environment);
+  }
+  if (entry.variables !== undefined) {
+    const { variables, sensitive } = parseVariableMap(entry.variables, message => invalid(manifestPath, `${where}.variables`, message));
+    overrides.changesetVariables = variables;
+    if (sensitive.length > 0) overrides.sensitiveVariables = sensitive;
+  }
+  if (entry.validate_only !== undefined) {
+    if (typeof entry.validate_only !== 'boolean') throw invalid(manifestPath, `${where}.validate_only`, 'must be true or false');
+    overrides.validateOnly = entry.validate_only;
+  }
+  if (entry.timeout_minutes !== undefined) {
+    if (typeof entry.timeout_minutes !== 'number' || !(entry.timeout_minutes > 0)) {
+      throw invalid(manifestPath, `${where}.timeout_minutes`, 'must be a positive number');
+    }
+    overrides.pollingTimeoutSeconds = entry.timeout_minutes * 60;
+  }
+  if (entry.continue_on_error !== undefined) {
+    if (typeof entry.continue_on_error !== 'boolean') throw invalid(manifestPath, `${where}.continue_on_error`, 'must be true or false');
+    overrides.continueOnError = entry.continue_on_error;
+  }
+
+  // Paths are relative to the manifest; forward slashes keep globs portable
+  const pattern = path.join(path.dirname(manifestPath), entry.file.trim()).replace(/\\/g, '/');
+  return { pattern, overrides };
+}
+
+// Read a deployment manifest:
+//
+//   changesets:
+//     - changesets/queues.yaml
+//     - file: changesets/flows/*.yaml
+//       environment: UAT
+//       variables: { REGION: ap-southeast-2 }
+//       validate_only: false
+//       timeout_minutes: 30
+//       continue_on_error: true
+//
+// Returns [{ pattern, overrides }] in manifest order. Throws on a missing
+// file or an invalid manifest.
+function loadManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Manifest not found: ${manifestPath}`);
+  }
+  let doc;
+  try {
+    doc = yaml.load(fs.readFileSync(manifestPath, 'utf8'), { schema: VARIABLES_YAML_SCHEMA });
+  } catch (e) {
+    throw new Error(`Invalid manifest ${manifestPath}: ${e.message}`);
+  }
+  if (!doc || !Array.isArray(doc.changesets) || doc.changesets.length === 0) {
+    throw new Error(`Invalid manifest ${manifestPath}: expected a non-empty changesets list`);
+  }
+  return doc.changesets.map((entry, index) => parseEntry(entry, index, manifestPath));
+}
+
+module.exports = { loadManifest };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadManifest } = require('./manifest');
+
+let dir;
+
+function writeManifest(content) {
+  const manifestPath = path.join(dir, 'deploy', 'manifest.yaml');
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, content);
+  return manifestPath;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inprod-manifest-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadManifest', () => {
+  test('reads entries in order with their options', () => {
+    const manifestPath = writeManifest([
+      'changesets:',
+      '  - ../changesets/queues.yaml',
+      '  - file: ../changesets/flows/*.yaml',
+      '    environment: UAT',
+      '    variables:',
+      '      REGION: ap-southeast-2',
+      '      RETRIES: 3',
+      '    validate_only: true',
+      '    timeout_minutes: 2.5',
+      '    continue_on_error: true',
+    ].join('\n'));
+
+    expect(loadManifest(manifestPath)).toEqual([
+      { pattern: path.join(dir, 'changesets', 'queues.yaml').replace(/\\/g, '/'), overrides: {} },
+      {
+        pattern: path.join(dir, 'changesets', 'flows', '*.yaml').replace(/\\/g, '/'),
+        overrides: {
+          environment: 'UAT',
+          changesetVariables: { REGION: 'ap-southeast-2', RETRIES: '3' },
+          validateOnly: true,
+          pollingTimeoutSeconds: 150,
+          continueOnError: true,
+        },
+      },
+    ]);
+  });
+
+  test('accepts an environment ID', () => {
+    const manifestPath = writeManifest('changesets:\n  - file: a.yaml\n    environment: 12\n');
+    expect(loadManifest(manifestPath)[0].overrides).toEqual({ environment: '12' });
+  });
+
+  test('fails when the manifest is missing or not a changeset list', () => {
+    expect(() => loadManifest(path.join(dir, 'missing.yaml'))).toThrow(`Manifest not found: ${path.join(dir, 'missing.yaml')}`);
+    const manifestPath = writeManifest('files: [a.yaml]\n');
+    expect(() => loadManifest(manifestPath)).toThrow(`Invalid manifest ${manifestPath}: expected a non-empty changesets list`);
+    writeManifest('changesets: [unclosed\n');
+    expect(() => loadManifest(manifestPath)).toThrow(`Invalid manifest ${manifestPath}:`);
+  });
+
+  test.each([
+    ['  - 42', 'changesets[0] must be a file path or a mapping with a file key'],
+    ['  - environment: UAT', 'changesets[0] needs a file'],
+    ['  - file: a.yaml\n    enviroment: UAT', 'changesets[0] has unknown key(s): enviroment. Expected: file, environment, variables, validate_only, timeout_minutes, continue_on_error'],
+    ['  - file: a.yaml\n    environment: [UAT]', 'changesets[0].environment must be an environment name or ID'],
+    ['  - file: a.yaml\n    variables: [A=1]', 'changesets[0].variables must map variable names to values'],
+    ['  - file: a.yaml\n    variables:\n      "DB PASSWORD": x', 'changesets[0].variables has an invalid variable name: DB PASSWORD'],
+    ['  - file: a.yaml\n    validate_only: "yes"', 'changesets[0].validate_only must be true or false'],
+    ['  - file: a.yaml\n    timeout_minutes: 0', 'changesets[0].timeout_minutes must be a positive number'],
+    ['  - file: a.yaml\n    continue_on_error: 1', 'changesets[0].continue_on_error must be true or false'],
+  ])('rejects an invalid entry: %s', (entry, message) => {
+    const manifestPath = writeManifest(`changesets:\n${entry}\n`);
+    expect(() => loadManifest(manifestPath)).toThrow(`Invalid manifest ${manifestPath}: ${message}`);
+  });
+});
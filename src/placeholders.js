@@ -0,0 +1,76 @@
+const core = require('@actions/core');
+const { parseDocument, LineCounter, visit, Scalar } = require('yaml');
+const { parseVariableKey } = require('./variables');
+const { annotationPath, DEFAULT_MAX_ANNOTATIONS } = require('./validation');
+
+// Variable references in a changeset: `{{ name }}` or InProd's `[?? name ??]`
+const PLACEHOLDER = /\{\{\s*([^{}\s]+)\s*\}\}|\[\?\?\s*(.+?)\s*\?\?\]/g;
+
+// Find the variable placeholders in a changeset's content (YAML or JSON).
+// Only string values and keys are scanned, so commented-out YAML is
+// ignored. Returns [{ name, placeholder, line }], with the placeholder as
+// written and lines counted from the start of the file (lineOffset lines
+// before the content).
+function findPlaceholders(content, { lineOffset = 0 } = {}) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter });
+  const found = [];
+  visit(doc, {
+    Scalar(_, node) {
+      if (typeof node.value !== 'string' || !node.range) return;
+      // A block scalar's text starts on the line after its | or > header
+      const block = node.type === Scalar.BLOCK_LITERAL || node.type === Scalar.BLOCK_FOLDED;
+      const startLine = lineCounter.linePos(node.range[0]).line + (block ? 1 : 0);
+      for (const match of node.value.matchAll(PLACEHOLDER)) {
+        const linesBefore = (node.value.slice(0, match.index).match(/\n/g) || []).length;
+        found.push({ name: match[1] || match[2], placeholder: match[0], line: startLine + linesBefore + lineOffset });
+      }
+    },
+  });
+  return found;
+}
+
+// Names defined in a changeset's own `variable` list
+function definedVariableNames(content) {
+  const doc = parseDocument(content).toJS();
+  const entries = doc && Array.isArray(doc.variable) ? doc.variable : [];
+  return new Set(entries.filter(v => v && v.name !== undefined).map(v => String(v.name)));
+}
+
+// Compare a changeset's placeholders with the variables it defines, the
+// injected changeset variables and the InProd global variables named in
+// globalVariables, which the action cannot see. Returns
+// { undefinedVariables, referenced }: each placeholder with no definition
+// as { name, placeholder, line }, and the set of names the changeset
+// references.
+function checkPlaceholders(content, changesetVariables, { lineOffset = 0, globalVariables = [] } = {}) {
+  const placeholders = findPlaceholders(content, { lineOffset });
+  const defined = definedVariableNames(content);
+  Object.keys(changesetVariables || {}).forEach(key => defined.add(parseVariableKey(key).name));
+  globalVariables.forEach(name => defined.add(name));
+  return {
+    undefinedVariables: placeholders.filter(p => !defined.has(p.name)),
+    referenced: new Set(placeholders.map(p => p.name)),
+  };
+}
+
+// Render undefined placeholders as indented lines for the job log
+function formatUndefinedVariables(undefinedVariables, level = 'error') {
+  return undefinedVariables
+    .map(v => `  [${level}] ${v.placeholder} is not defined (line ${v.line})`)
+    .join('\n');
+}
+
+// Emit a GitHub annotation per undefined placeholder against the changeset
+// file, capped at maxAnnotations. level is 'error' or 'warning'.
+function annotateUndefinedVariables(undefinedVariables, filePath, { level = 'error', maxAnnotations = DEFAULT_MAX_ANNOTATIONS } = {}) {
+  const file = annotationPath(filePath);
+  const annotate = level === 'error' ? core.error : core.warning;
+  for (const v of undefinedVariables.slice(0, maxAnnotations)) {
+    annotate(`Variable ${v.name} is not defined in the changeset's variable list or in changeset_variables`, {
+      file, title: 'Changeset variables', startLine: v.line, endLine: v.line,
+    });
+  }
+}
+
+module.exports = { findPlaceholders, checkPlaceholders, formatUndefinedVariables, annotateUndefinedVariables };
@@ -0,0 +1,99 @@
+jest.mock('@actions/core', () => ({ error: jest.fn(), warning: jest.fn() }));
+const core = require('@actions/core');
+
+const { findPlaceholders, checkPlaceholders, formatUndefinedVariables, annotateUndefinedVariables } = require('./placeholders');
+
+const CHANGESET = [
+  'name: Queues',
+  'variable:',
+  '- name: REGION',
+  '  value: us-east-1',
+  '  environment: null',
+  'action:',
+  '- action: gencloud-create',
+  '  object_type: RoutingQueue',
+  '  data:',
+  '    name: "Queue {{ REGION }}"',
+  '    # description: {{ COMMENTED_OUT }}',
+  '    description: |',
+  '      First line',
+  '      Password is [?? DB_PASSWORD ??]',
+  '    token: "{{TOKEN}}"',
+].join('\n');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('findPlaceholders', () => {
+  test('finds {{ name }} and [?? name ??] references with their lines, ignoring comments', () => {
+    expect(findPlaceholders(CHANGESET)).toEqual([
+      { name: 'REGION', placeholder: '{{ REGION }}', line: 10 },
+      { name: 'DB_PASSWORD', placeholder: '[?? DB_PASSWORD ??]', line: 14 },
+      { name: 'TOKEN', placeholder: '{{TOKEN}}', line: 15 },
+    ]);
+  });
+
+  test('counts lines from the start of the file with lineOffset', () => {
+    expect(findPlaceholders('name: "{{ A }}"', { lineOffset: 4 })).toEqual([{ name: 'A', placeholder: '{{ A }}', line: 5 }]);
+  });
+
+  test('scans JSON changesets', () => {
+    const json = JSON.stringify({ name: 'x', action: [{ action: 'a', data: { name: '{{ QUEUE }}' } }] }, null, 2);
+    expect(findPlaceholders(json)).toEqual([{ name: 'QUEUE', placeholder: '{{ QUEUE }}', line: 7 }]);
+  });
+});
+
+describe('checkPlaceholders', () => {
+  test('reports placeholders defined neither in the changeset nor in the injected variables', () => {
+    const { undefinedVariables, referenced } = checkPlaceholders(CHANGESET, { 'Production:DB_PASSWORD': 'x' });
+    expect(undefinedVariables).toEqual([{ name: 'TOKEN', placeholder: '{{TOKEN}}', line: 15 }]);
+    expect([...referenced]).toEqual(['REGION', 'DB_PASSWORD', 'TOKEN']);
+  });
+
+  test('passes when every placeholder is defined', () => {
+    expect(checkPlaceholders(CHANGESET, { DB_PASSWORD: 'x', TOKEN: 'y' }).undefinedVariables).toEqual([]);
+  });
+
+  test('handles a changeset without a variable list or injected variables', () => {
+    expect(checkPlaceholders('name: "{{ A }}"\naction: []', null).undefinedVariables).toEqual([{ name: 'A', placeholder: '{{ A }}', line: 1 }]);
+  });
+
+  test('treats the named InProd global variables as defined', () => {
+    const content = 'name: "[?? GLOBAL_REGION ??]"\naction: []';
+    expect(checkPlaceholders(content, null).undefinedVariables).toEqual([
+      { name: 'GLOBAL_REGION', placeholder: '[?? GLOBAL_REGION ??]', line: 1 },
+    ]);
+    expect(checkPlaceholders(content, null, { globalVariables: ['GLOBAL_REGION'] }).undefinedVariables).toEqual([]);
+  });
+});
+
+describe('formatUndefinedVariables', () => {
+  test('renders one line per placeholder', () => {
+    expect(formatUndefinedVariables([
+      { name: 'A', placeholder: '{{ A }}', line: 3 },
+      { name: 'B', placeholder: '[?? B ??]', line: 7 },
+    ], 'warning')).toBe(
+      '  [warning] {{ A }} is not defined (line 3)\n  [warning] [?? B ??] is not defined (line 7)'
+    );
+  });
+});
+
+describe('annotateUndefinedVariables', () => {
+  const undefinedVariables = Array.from({ length: 12 }, (_, i) => ({ name: `V${i}`, line: i + 1 }));
+
+  test('annotates errors against the file, capped at 10', () => {
+    annotateUndefinedVariables(undefinedVariables, 'changesets/deploy.yaml');
+    expect(core.error).toHaveBeenCalledTimes(10);
+    expect(core.error).toHaveBeenCalledWith(
+      'Variable V0 is not defined in the changeset\'s variable list or in changeset_variables',
+      { file: 'changesets/deploy.yaml', title: 'Changeset variables', startLine: 1, endLine: 1 }
+    );
+  });
+
+  test('annotates warnings at warning level', () => {
+    annotateUndefinedVariables(undefinedVariables.slice(0, 1), 'changesets/deploy.yaml', { level: 'warning' });
+    expect(core.warning).toHaveBeenCalledTimes(1);
+    expect(core.error).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,203 @@
+const core = require('@actions/core');
+const { parseDocument, LineCounter, isMap, isSeq } = require('yaml');
+const { findNodeByPath, annotationPath, DEFAULT_MAX_ANNOTATIONS } = require('./validation');
+const CHANGESET_SCHEMA = require('./changeset.schema.json');
+
+const TYPE_NAMES = {
+  object: 'a mapping',
+  array: 'a list',
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  null: 'null',
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Edit distance between two short strings, for suggesting a known key
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key, known) {
+  const best = known
+    .map(candidate => ({ candidate, score: distance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score)[0];
+  return best && best.score <= 2 ? best.candidate : null;
+}
+
+function resolveRef(ref, root) {
+  const name = ref.replace(/^#\/definitions\//, '');
+  if (!root.definitions || !root.definitions[name]) {
+    throw new Error(`Unknown schema reference: ${ref}`);
+  }
+  return root.definitions[name];
+}
+
+// Check a value against a JSON Schema. Only the keywords the bundled
+// changeset schema uses are supported: $ref to local definitions, type,
+// enum, required, properties, additionalProperties, items, minItems and
+// minLength. Returns every error as { path, message } where path is the
+// list of keys and indexes leading to the value. Keys that
+// additionalProperties: false does not allow are reported with
+// severity: 'warning', since InProd may accept keys the bundled schema does
+// not know yet.
+function validateAgainstSchema(value, schema, at = [], root = schema) {
+  if (schema.$ref) return validateAgainstSchema(value, resolveRef(schema.$ref, root), at, root);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path: at, message: `must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}` }];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: at, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+  if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) {
+    errors.push({ path: at, message: 'must not be empty' });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, [...at, i], root)));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: at, message: `is missing required key "${key}"` });
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(item, properties[key], [...at, key], root));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(properties));
+        errors.push({ path: [...at, key], message: `is not a known key${suggestion ? `. Did you mean "${suggestion}"?` : ''}`, severity: 'warning' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(item, schema.additionalProperties, [...at, key], root));
+      }
+    }
+  }
+  return errors;
+}
+
+// Lines of the node at `keyPath`, from its key when it is a mapping entry.
+// Falls back to the closest ancestor that exists.
+function locatePath(doc, lineCounter, keyPath) {
+  const lines = range => ({
+    startLine: lineCounter.linePos(range[0]).line,
+    endLine: lineCounter.linePos(Math.max(range[0], range[1] - 1)).line,
+  });
+  // Only the first line of mappings and lists, which span many lines
+  const spansLines = node => isMap(node) || isSeq(node);
+  const { key, node } = findNodeByPath(doc.contents, keyPath);
+  if (key) {
+    return lines([key.range[0], node && node.range && !spansLines(node) ? node.range[1] : key.range[1]]);
+  }
+  if (!node || !node.range) return null;
+  return lines([node.range[0], spansLines(node) ? node.range[0] + 1 : node.range[1]]);
+}
+
+// Check a changeset's content (YAML or JSON) against the bundled schema
+// without calling InProd. Returns every problem as { path, message,
+// severity, startLine, endLine }, with severity 'error' or 'warning' and
+// lines counted from the start of the file (lineOffset lines before the
+// content). Syntax errors are reported too.
+function checkChangesetSchema(content, { lineOffset = 0, schema = CHANGESET_SCHEMA } = {}) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter, prettyErrors: false });
+  const shift = location => location && { startLine: location.startLine + lineOffset, endLine: location.endLine + lineOffset };
+
+  if (doc.errors.length > 0) {
+    return doc.errors.map(error => {
+      const line = lineCounter.linePos(error.pos[0]).line;
+      return { path: [], message: `Syntax error: ${error.message.split('\n')[0]}`, severity: 'error', ...shift({ startLine: line, endLine: line }) };
+    });
+  }
+
+  const value = doc.toJS();
+  if (value === null || value === undefined) {
+    return [{ path: [], message: 'Changeset is empty', severity: 'error', startLine: null, endLine: null }];
+  }
+  return validateAgainstSchema(value, schema).map(error => ({
+    ...error,
+    message: error.path.length === 0 ? `Changeset ${error.message}` : error.message,
+    severity: error.severity || 'error',
+    startLine: null,
+    endLine: null,
+    ...shift(locatePath(doc, lineCounter, error.path)),
+  }));
+}
+
+// Format a path such as ['action', 0, 'data'] as action[0].data
+function formatSchemaPath(keyPath) {
+  return keyPath.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : String(key)), '');
+}
+
+function describeSchemaError(error) {
+  const where = formatSchemaPath(error.path);
+  return where ? `${where}: ${error.message}` : error.message;
+}
+
+// Render schema errors and warnings as indented lines for the job log
+function formatSchemaErrors(errors) {
+  return errors.map(error => {
+    const line = error.startLine ? ` (line ${error.startLine})` : '';
+    return `  [${error.severity || 'error'}] ${describeSchemaError(error)}${line}`;
+  }).join('\n');
+}
+
+// Emit a GitHub annotation per schema error or warning against the
+// changeset file, capped at maxAnnotations per severity.
+function annotateSchemaErrors(errors, filePath, { maxAnnotations = DEFAULT_MAX_ANNOTATIONS } = {}) {
+  const file = annotationPath(filePath);
+  const emit = { error: core.error, warning: core.warning };
+  const emitted = {};
+  for (const error of errors) {
+    const severity = error.severity || 'error';
+    emitted[severity] = (emitted[severity] || 0) + 1;
+    if (emitted[severity] > maxAnnotations) continue;
+    const properties = { file, title: 'Changeset schema' };
+    if (error.startLine) {
+      properties.startLine = error.startLine;
+      properties.endLine = error.endLine;
+    }
+    emit[severity](describeSchemaError(error), properties);
+  }
+}
+
+module.exports = {
+  CHANGESET_SCHEMA,
+  validateAgainstSchema,
+  checkChangesetSchema,
+  formatSchemaPath,
+  describeSchemaError,
+  formatSchemaErrors,
+  annotateSchemaErrors,
+};
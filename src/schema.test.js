@@ -0,0 +1,142 @@
+const path = require('path');
+
+// Mock @actions/core
+const mockCore = {
+  error: jest.fn(),
+  warning: jest.fn(),
+};
+jest.mock('@actions/core', () => mockCore);
+
+const { validateAgainstSchema, checkChangesetSchema, formatSchemaPath, formatSchemaErrors, annotateSchemaErrors } = require('./schema');
+
+const VALID = `name: Test Queue
+environment: Development
+enforcing: true
+run_type: stop
+x-github-action:
+  depends_on: [queues.yaml]
+action:
+  - id: queue
+    action: gencloud-create
+    object_type: RoutingQueue
+    data:
+      name: Test Queue
+variable:
+  - name: REGION
+    value: ap-southeast-2
+    environment: null
+    mask_value: false
+`;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('validateAgainstSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['items'],
+    additionalProperties: false,
+    properties: {
+      items: { type: 'array', minItems: 1, items: { $ref: '#/definitions/item' } },
+      mode: { enum: ['a', 'b'] },
+      count: { type: 'number' },
+    },
+    definitions: {
+      item: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 } } },
+    },
+  };
+
+  test('accepts a matching value', () => {
+    expect(validateAgainstSchema({ items: [{ name: 'x', extra: 1 }], mode: 'a', count: 2 }, schema)).toEqual([]);
+  });
+
+  test('reports every error with its path', () => {
+    expect(validateAgainstSchema({ items: [{ name: '' }, {}, 'x'], mode: 'c', count: '2', other: 1 }, schema)).toEqual([
+      { path: ['items', 0, 'name'], message: 'must not be empty' },
+      { path: ['items', 1], message: 'is missing required key "name"' },
+      { path: ['items', 2], message: 'must be a mapping' },
+      { path: ['mode'], message: 'must be one of: a, b' },
+      { path: ['count'], message: 'must be a number' },
+      { path: ['other'], message: 'is not a known key', severity: 'warning' },
+    ]);
+    expect(validateAgainstSchema({ items: [] }, schema)).toEqual([{ path: ['items'], message: 'must have at least 1 item(s)' }]);
+  });
+});
+
+describe('checkChangesetSchema', () => {
+  test('accepts a well-formed changeset in YAML or JSON', () => {
+    expect(checkChangesetSchema(VALID)).toEqual([]);
+    expect(checkChangesetSchema(JSON.stringify({ name: 'Test', action: [{ action: 'gencloud-create' }], variable: [] }, null, 2))).toEqual([]);
+  });
+
+  test('reports schema errors with their lines', () => {
+    const content = [
+      'name: Test',
+      'enviroment: Development',
+      'action:',
+      '  - action: gencloud-create',
+      '    data: not a mapping',
+      '  - object_type: RoutingQueue',
+      'variable:',
+      '  name: REGION',
+    ].join('\n');
+
+    expect(checkChangesetSchema(content)).toEqual([
+      { path: ['enviroment'], message: 'is not a known key. Did you mean "environment"?', severity: 'warning', startLine: 2, endLine: 2 },
+      { path: ['action', 0, 'data'], message: 'must be a mapping', severity: 'error', startLine: 5, endLine: 5 },
+      { path: ['action', 1], message: 'is missing required key "action"', severity: 'error', startLine: 6, endLine: 6 },
+      { path: ['variable'], message: 'must be a list or null', severity: 'error', startLine: 7, endLine: 7 },
+    ]);
+  });
+
+  test('reports unknown keys in x-github-action and variables as warnings', () => {
+    const content = 'action:\n  - action: gencloud-create\nvariable:\n  - name: A\n    secret: true\nx-github-action:\n  depend_on: [a.yaml]\n';
+    expect(checkChangesetSchema(content).map(e => [formatSchemaPath(e.path), e.severity, e.startLine])).toEqual([
+      ['variable[0].secret', 'warning', 5],
+      ['x-github-action.depend_on', 'warning', 7],
+    ]);
+  });
+
+  test('reports a missing action list on the first line', () => {
+    expect(checkChangesetSchema('# Queues\nname: Test\n', { lineOffset: 10 })).toEqual([
+      { path: [], message: 'Changeset is missing required key "action"', severity: 'error', startLine: 12, endLine: 12 },
+    ]);
+  });
+
+  test('reports syntax errors, empty files and non-mappings', () => {
+    const [syntax] = checkChangesetSchema('name: Test\naction: [unclosed\n');
+    expect(syntax).toEqual(expect.objectContaining({ path: [], startLine: 3 }));
+    expect(syntax.message).toMatch(/^Syntax error: /);
+    expect(checkChangesetSchema('# nothing here\n')).toEqual([{ path: [], message: 'Changeset is empty', severity: 'error', startLine: null, endLine: null }]);
+    expect(checkChangesetSchema('- action: x\n')).toEqual([{ path: [], message: 'Changeset must be a mapping', severity: 'error', startLine: 1, endLine: 1 }]);
+  });
+});
+
+describe('formatting', () => {
+  test('formats paths and log lines', () => {
+    expect(formatSchemaPath(['action', 0, 'data', 'name'])).toBe('action[0].data.name');
+    expect(formatSchemaPath([])).toBe('');
+    expect(formatSchemaErrors([
+      { path: ['enviroment'], message: 'is not a known key', severity: 'warning', startLine: 2, endLine: 2 },
+      { path: ['action', 1], message: 'is missing required key "action"', severity: 'error', startLine: 6, endLine: 6 },
+      { path: [], message: 'Changeset is empty', severity: 'error', startLine: null, endLine: null },
+    ])).toBe('  [warning] enviroment: is not a known key (line 2)\n  [error] action[1]: is missing required key "action" (line 6)\n  [error] Changeset is empty');
+  });
+
+  test('annotates the changeset file, capped at maxAnnotations per severity', () => {
+    const errors = [
+      { path: ['enviroment'], message: 'is not a known key', severity: 'warning', startLine: 2, endLine: 2 },
+      { path: ['action', 0, 'data'], message: 'must be a mapping', severity: 'error', startLine: 5, endLine: 5 },
+      { path: [], message: 'Changeset is empty', severity: 'error', startLine: null, endLine: null },
+      { path: ['name'], message: 'must be a string', severity: 'error', startLine: 1, endLine: 1 },
+    ];
+    annotateSchemaErrors(errors, path.join(process.cwd(), 'changesets', 'a.yaml'), { maxAnnotations: 2 });
+
+    expect(mockCore.warning).toHaveBeenCalledWith('enviroment: is not a known key', {
+      file: path.join('changesets', 'a.yaml'), title: 'Changeset schema', startLine: 2, endLine: 2,
+    });
+    expect(mockCore.error).toHaveBeenCalledTimes(2);
+    expect(mockCore.error).toHaveBeenCalledWith('Changeset is empty', { file: path.join('changesets', 'a.yaml'), title: 'Changeset schema' });
+  });
+});
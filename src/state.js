@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Deployment state for skipping changesets that were already applied. The
+// state file records, per environment, the changeset_hash of each changeset
+// that executed successfully:
+//   { "version": 1, "applied": { "<environment>": { "<hash>": { changeset, run_id, applied_at } } } }
+// The environment key is empty when no environment is set.
+const STATE_VERSION = 1;
+
+// SHA-256 of the body submitted to InProd, after variables are injected.
+// The hash is published as an output and kept in the state file, and
+// injected values are often secrets, so `body` has them redacted and the
+// values are added as an HMAC keyed by `key` (the API key): a short value
+// cannot be recovered by hashing guesses without it.
+function changesetHash(body, variables = {}, key = '') {
+  const hash = crypto.createHash('sha256').update(body);
+  const names = Object.keys(variables || {}).sort();
+  if (names.length > 0) {
+    const values = crypto.createHmac('sha256', key).update(JSON.stringify(names.map(name => [name, variables[name]])));
+    hash.update(`\n${values.digest('hex')}`);
+  }
+  return hash.digest('hex');
+}
+
+function emptyState() {
+  return { version: STATE_VERSION, applied: {} };
+}
+
+// Read the state file. A missing file is an empty state, so the first run
+// applies everything.
+function loadState(filePath) {
+  if (!fs.existsSync(filePath)) return emptyState();
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid state_file ${filePath}: ${e.message}`);
+  }
+  if (!state || typeof state !== 'object' || !state.applied || typeof state.applied !== 'object') {
+    throw new Error(`Invalid state_file ${filePath}: expected an object with an applied map`);
+  }
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`Invalid state_file ${filePath}: unsupported version ${state.version}. Expected ${STATE_VERSION}`);
+  }
+  return state;
+}
+
+// The recorded run of a changeset hash in an environment, or null
+function findAppliedRun(state, hash, environment) {
+  const applied = state.applied[environment || ''];
+  return (applied && applied[hash]) || null;
+}
+
+function recordAppliedRun(state, { hash, environment, changeset, runId, appliedAt }) {
+  const key = environment || '';
+  state.applied[key] = state.applied[key] || {};
+  state.applied[key][hash] = { changeset, run_id: runId ?? null, applied_at: appliedAt };
+}
+
+function writeState(filePath, state) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+module.exports = { changesetHash, loadState, findAppliedRun, recordAppliedRun, writeState };
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { changesetHash, loadState, findAppliedRun, recordAppliedRun, writeState } = require('./state');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inprod-state-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('changesetHash', () => {
+  test('is the SHA-256 of the body', () => {
+    expect(changesetHash('name: a\n')).toBe('1e7e5f3c45fc71cc0d92ffd6a4136ce35256118f2cb9a940b09a9e336022a571');
+    expect(changesetHash('name: a\n')).not.toBe(changesetHash('name: a \n'));
+  });
+
+  test('adds injected values with a keyed hash, so they cannot be guessed without the key', () => {
+    const body = 'name: a\nvariable:\n  - name: PIN\n    value: \'***\'\n';
+    const hash = changesetHash(body, { PIN: '0042' }, 'api-key');
+
+    expect(hash).not.toBe(changesetHash(body, { PIN: '0043' }, 'api-key'));
+    expect(hash).not.toBe(changesetHash(body, { PIN: '0042' }, 'other-key'));
+    // Hashing every 4-digit PIN does not find the value without the key
+    const guesses = Array.from({ length: 10000 }, (_, i) => String(i).padStart(4, '0'));
+    expect(guesses.filter(pin => changesetHash(body, { PIN: pin }) === hash)).toEqual([]);
+    expect(guesses.filter(pin => changesetHash(body.replace('***', pin)) === hash)).toEqual([]);
+    expect(guesses.filter(pin => changesetHash(body, { PIN: pin }, 'api-key') === hash)).toEqual(['0042']);
+  });
+});
+
+describe('loadState', () => {
+  test('returns an empty state for a missing file', () => {
+    expect(loadState(path.join(dir, 'missing.json'))).toEqual({ version: 1, applied: {} });
+  });
+
+  test('reads a state file written by writeState', () => {
+    const file = path.join(dir, 'nested', 'state.json');
+    const state = loadState(file);
+    recordAppliedRun(state, { hash: 'abc', environment: 'Production', changeset: 'a.yaml', runId: 7, appliedAt: '2026-03-01T10:00:00.000Z' });
+    writeState(file, state);
+
+    expect(loadState(file)).toEqual({
+      version: 1,
+      applied: { Production: { abc: { changeset: 'a.yaml', run_id: 7, applied_at: '2026-03-01T10:00:00.000Z' } } },
+    });
+  });
+
+  test('rejects invalid JSON, a missing applied map and an unknown version', () => {
+    const file = path.join(dir, 'state.json');
+    fs.writeFileSync(file, '{');
+    expect(() => loadState(file)).toThrow(`Invalid state_file ${file}:`);
+    fs.writeFileSync(file, '{"version": 1}');
+    expect(() => loadState(file)).toThrow(`Invalid state_file ${file}: expected an object with an applied map`);
+    fs.writeFileSync(file, '{"version": 2, "applied": {}}');
+    expect(() => loadState(file)).toThrow(`Invalid state_file ${file}: unsupported version 2. Expected 1`);
+  });
+});
+
+describe('findAppliedRun', () => {
+  const state = { version: 1, applied: {} };
+  recordAppliedRun(state, { hash: 'abc', environment: 'Production', changeset: 'a.yaml', runId: 7, appliedAt: 't1' });
+  recordAppliedRun(state, { hash: 'abc', environment: '', changeset: 'a.yaml', runId: undefined, appliedAt: 't2' });
+
+  test('finds a hash recorded for the environment', () => {
+    expect(findAppliedRun(state, 'abc', 'Production')).toEqual({ changeset: 'a.yaml', run_id: 7, applied_at: 't1' });
+  });
+
+  test('keeps runs without an environment separate', () => {
+    expect(findAppliedRun(state, 'abc', undefined)).toEqual({ changeset: 'a.yaml', run_id: null, applied_at: 't2' });
+    expect(findAppliedRun(state, 'abc', 'UAT')).toBeNull();
+    expect(findAppliedRun(state, 'def', 'Production')).toBeNull();
+  });
+});
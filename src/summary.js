@@ -0,0 +1,107 @@
+const core = require('@actions/core');
+const { collectValidationIssues, groupValidationIssues, describeIssue, DEFAULT_MAX_ISSUES } = require('./validation');
+
+const STATUS_ICONS = {
+  SUCCESS: '✅',
+  FAILURE: '❌',
+  TIMEOUT: '⏱️',
+  REVOKED: '🚫',
+  SKIPPED: '⏭️',
+  SUBMITTED: '📤',
+  UNCHANGED: '⏸️',
+};
+
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️', notice: 'ℹ️' };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatEnvironment(environment) {
+  if (!environment) return '';
+  if (typeof environment === 'object') return environment.name || String(environment.id ?? '');
+  return String(environment);
+}
+
+// Total time across all phases of one result entry, e.g. "1m 12.5s".
+function formatDuration(timings) {
+  const phases = Object.values(timings || {});
+  if (phases.length === 0) return '';
+  const total = Math.round(phases.reduce((sum, t) => sum + (t.duration_seconds || 0), 0) * 10) / 10;
+  if (total < 60) return `${total}s`;
+  const minutes = Math.floor(total / 60);
+  const seconds = Math.round((total - minutes * 60) * 10) / 10;
+  return `${minutes}m ${seconds}s`;
+}
+
+// HTML list of validation problems for a collapsible summary section,
+// grouped by object like the job log. Capped at maxIssues issues.
+function renderValidationResults(validationResults, { maxIssues = DEFAULT_MAX_ISSUES } = {}) {
+  const issues = collectValidationIssues(validationResults);
+  if (issues.length === 0) return '<p>No validation details were returned.</p>';
+
+  let shown = 0;
+  const groups = [];
+  for (const group of groupValidationIssues(issues)) {
+    if (shown >= maxIssues) break;
+    const items = [];
+    for (const issue of group.issues) {
+      if (shown >= maxIssues) break;
+      items.push(`<li>${SEVERITY_ICONS[issue.severity]} ${escapeHtml(describeIssue(issue))}</li>`);
+      shown++;
+    }
+    groups.push(`<p><strong>${escapeHtml(group.label)}</strong></p><ul>${items.join('')}</ul>`);
+  }
+  if (issues.length > shown) {
+    groups.push(`<p>… ${issues.length - shown} more issue(s) not shown</p>`);
+  }
+  return groups.join('');
+}
+
+// Write a Markdown job summary with one row per result entry (as produced
+// for the `result` output) and a collapsible section for each failed
+// validation. Skipped outside GitHub Actions, where there is no summary file.
+async function writeJobSummary(entries, { title = 'InProd Changesets' } = {}) {
+  if (!process.env.GITHUB_STEP_SUMMARY) {
+    core.debug('GITHUB_STEP_SUMMARY is not set; skipping job summary');
+    return;
+  }
+
+  const rows = entries.map(entry => [
+    `${STATUS_ICONS[entry.status] || ''} ${entry.status}`.trim(),
+    escapeHtml(entry.file || entry.task_id || ''),
+    escapeHtml(entry.changeset_name || ''),
+    escapeHtml(formatEnvironment(entry.environment)),
+    escapeHtml(entry.run_id ?? ''),
+    formatDuration(entry.timings),
+    escapeHtml(entry.error || ''),
+  ]);
+
+  const summary = core.summary
+    .addHeading(title, 2)
+    .addTable([
+      ['Status', 'File', 'Changeset', 'Environment', 'Run ID', 'Duration', 'Error'].map(data => ({ data, header: true })),
+      ...rows,
+    ]);
+
+  for (const entry of entries) {
+    if (entry.result && entry.result.is_valid === false) {
+      summary.addDetails(
+        `Validation errors: ${escapeHtml(entry.file || entry.task_id || entry.changeset_name || '')}`,
+        renderValidationResults(entry.result.validation_results)
+      );
+    }
+  }
+
+  try {
+    await summary.write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+}
+
+module.exports = { writeJobSummary, renderValidationResults, formatDuration, formatEnvironment, STATUS_ICONS };
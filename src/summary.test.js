@@ -0,0 +1,136 @@
+// Mock @actions/core with a chainable summary builder
+const mockSummary = {
+  addHeading: jest.fn().mockReturnThis(),
+  addTable: jest.fn().mockReturnThis(),
+  addDetails: jest.fn().mockReturnThis(),
+  write: jest.fn().mockResolvedValue(undefined),
+};
+const mockCore = {
+  warning: jest.fn(),
+  debug: jest.fn(),
+  summary: mockSummary,
+};
+jest.mock('@actions/core', () => mockCore);
+
+const { writeJobSummary, renderValidationResults, formatDuration, formatEnvironment } = require('./summary');
+
+function entry(overrides = {}) {
+  return {
+    file: 'queues.yaml',
+    status: 'SUCCESS',
+    result: {},
+    error: null,
+    validation_task_id: 'v-1',
+    execution_task_id: 'e-1',
+    run_id: 42,
+    changeset_name: 'Deploy Queues',
+    environment: { id: 3, name: 'Production' },
+    timings: {
+      validation: { started_at: '', finished_at: '', duration_seconds: 2.5 },
+      execution: { started_at: '', finished_at: '', duration_seconds: 10 },
+    },
+    ...overrides,
+  };
+}
+
+const originalSummaryPath = process.env.GITHUB_STEP_SUMMARY;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.GITHUB_STEP_SUMMARY = '/tmp/step-summary.md';
+});
+
+afterAll(() => {
+  if (originalSummaryPath === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+  else process.env.GITHUB_STEP_SUMMARY = originalSummaryPath;
+});
+
+describe('writeJobSummary', () => {
+  test('writes one table row per entry', async () => {
+    await writeJobSummary([entry(), entry({ file: 'flows.yaml', status: 'FAILURE', run_id: null, error: 'Task failed: Boom' })]);
+
+    expect(mockSummary.addHeading).toHaveBeenCalledWith('InProd Changesets', 2);
+    const rows = mockSummary.addTable.mock.calls[0][0];
+    expect(rows[0].map(c => c.data)).toEqual(['Status', 'File', 'Changeset', 'Environment', 'Run ID', 'Duration', 'Error']);
+    expect(rows[1]).toEqual(['✅ SUCCESS', 'queues.yaml', 'Deploy Queues', 'Production', '42', '12.5s', '']);
+    expect(rows[2]).toEqual(['❌ FAILURE', 'flows.yaml', 'Deploy Queues', 'Production', '', '12.5s', 'Task failed: Boom']);
+    expect(mockSummary.write).toHaveBeenCalled();
+  });
+
+  test('adds a collapsible section for each failed validation', async () => {
+    const result = { is_valid: false, validation_results: [{ action_id: 1, errors: { name: [{ msg: ['Required'] }] } }] };
+
+    await writeJobSummary([entry(), entry({ file: 'bad.yaml', status: 'FAILURE', result })]);
+
+    expect(mockSummary.addDetails).toHaveBeenCalledTimes(1);
+    expect(mockSummary.addDetails).toHaveBeenCalledWith(
+      'Validation errors: bad.yaml',
+      '<p><strong>Changeset (action 1)</strong></p><ul><li>❌ name: Required</li></ul>'
+    );
+  });
+
+  test('escapes HTML in cell values', async () => {
+    await writeJobSummary([entry({ error: 'Expected <queue> & got "none"' })]);
+
+    expect(mockSummary.addTable.mock.calls[0][0][1][6]).toBe('Expected &lt;queue&gt; &amp; got &quot;none&quot;');
+  });
+
+  test('labels mode poll entries by task ID', async () => {
+    await writeJobSummary([entry({ file: null, task_id: 't-1', timings: {} })]);
+
+    expect(mockSummary.addTable.mock.calls[0][0][1][1]).toBe('t-1');
+    expect(mockSummary.addTable.mock.calls[0][0][1][5]).toBe('');
+  });
+
+  test('is skipped outside GitHub Actions', async () => {
+    delete process.env.GITHUB_STEP_SUMMARY;
+
+    await writeJobSummary([entry()]);
+
+    expect(mockSummary.write).not.toHaveBeenCalled();
+  });
+
+  test('warns instead of failing when the summary cannot be written', async () => {
+    mockSummary.write.mockRejectedValueOnce(new Error('EACCES'));
+
+    await writeJobSummary([entry()]);
+
+    expect(mockCore.warning).toHaveBeenCalledWith('Failed to write job summary: EACCES');
+  });
+});
+
+describe('summary formatting helpers', () => {
+  test('formatDuration sums phases and switches to minutes past 60s', () => {
+    expect(formatDuration({})).toBe('');
+    expect(formatDuration({ execution: { duration_seconds: 4.25 } })).toBe('4.3s');
+    expect(formatDuration({ validation: { duration_seconds: 30 }, execution: { duration_seconds: 42.5 } })).toBe('1m 12.5s');
+  });
+
+  test('formatEnvironment accepts objects and names', () => {
+    expect(formatEnvironment({ id: 3, name: 'Production' })).toBe('Production');
+    expect(formatEnvironment({ id: 3 })).toBe('3');
+    expect(formatEnvironment('Staging')).toBe('Staging');
+    expect(formatEnvironment(null)).toBe('');
+  });
+
+  test('renderValidationResults groups by object and caps the list', () => {
+    const results = [
+      { object_type: 'RoutingQueue', object_name: 'Support', errors: { name: ['Required'], acw: ['Too long'] } },
+      { object_type: 'Skill', object_name: 'Billing', warnings: { description: ['Empty'] } },
+    ];
+
+    expect(renderValidationResults(results)).toBe(
+      '<p><strong>RoutingQueue &quot;Support&quot;</strong></p><ul><li>❌ name: Required</li><li>❌ acw: Too long</li></ul>' +
+      '<p><strong>Skill &quot;Billing&quot;</strong></p><ul><li>⚠️ description: Empty</li></ul>'
+    );
+    expect(renderValidationResults(results, { maxIssues: 1 })).toBe(
+      '<p><strong>RoutingQueue &quot;Support&quot;</strong></p><ul><li>❌ name: Required</li></ul>' +
+      '<p>… 2 more issue(s) not shown</p>'
+    );
+  });
+
+  test('renderValidationResults handles empty results', () => {
+    expect(renderValidationResults([])).toBe('<p>No validation details were returned.</p>');
+    expect(renderValidationResults([{ errors: {} }])).toBe('<p>No validation details were returned.</p>');
+  });
+});
@@ -0,0 +1,263 @@
+const core = require('@actions/core');
+const path = require('path');
+const { parseDocument, LineCounter, isMap, isSeq } = require('yaml');
+
+const DEFAULT_MAX_ISSUES = 50;
+const DEFAULT_MAX_MESSAGE_LENGTH = 500;
+
+// GitHub shows at most 10 annotations of each type per step
+const DEFAULT_MAX_ANNOTATIONS = 10;
+
+const SEVERITY_ALIASES = {
+  error: 'error', critical: 'error', fatal: 'error',
+  warning: 'warning', warn: 'warning',
+  info: 'notice', notice: 'notice',
+};
+
+function normalizeSeverity(value, fallback = 'error') {
+  if (!value) return fallback;
+  return SEVERITY_ALIASES[String(value).toLowerCase()] || fallback;
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Find the index of the changeset action a validation result refers to.
+// InProd reports `action_id` as the action's `id` when it has one,
+// otherwise as its 1-based position in the `action` list. Returns -1 when
+// there is no match.
+function findActionIndex(actionId, actions) {
+  if (actionId === undefined || actionId === null || !Array.isArray(actions)) return -1;
+  const byId = actions.findIndex(a => a && a.id !== undefined && String(a.id) === String(actionId));
+  if (byId !== -1) return byId;
+  const index = Number(actionId);
+  return Number.isInteger(index) && index >= 1 && index <= actions.length ? index - 1 : -1;
+}
+
+function findAction(actionId, actions) {
+  const index = findActionIndex(actionId, actions);
+  return index === -1 ? null : actions[index];
+}
+
+// Flatten the nested messages of a validation result into
+// { field, message, severity }. Messages arrive as
+// { field: [{ msg: ['...'], severity }] }, but plain strings and lists are
+// accepted too. Nested fields are joined with dots, e.g. data.name.
+function flattenMessages(messages, severity, field = null) {
+  if (messages === null || messages === undefined) return [];
+  if (typeof messages !== 'object') return [{ field, message: String(messages), severity }];
+  if (Array.isArray(messages)) return messages.flatMap(m => flattenMessages(m, severity, field));
+  if ('msg' in messages || 'message' in messages) {
+    const leafSeverity = normalizeSeverity(messages.severity || messages.level, severity);
+    return flattenMessages(messages.msg ?? messages.message, leafSeverity, field);
+  }
+  return Object.entries(messages).flatMap(([key, value]) => flattenMessages(value, severity, field ? `${field}.${key}` : key));
+}
+
+// Turn InProd `validation_results` into a flat list of issues:
+// { objectType, objectName, actionId, severity, field, message }.
+// `actions` is the changeset's `action` list, used to name the object when
+// the result only carries an action_id. Results without messages are
+// skipped.
+function collectValidationIssues(validationResults, actions = []) {
+  if (!Array.isArray(validationResults)) return [];
+  return validationResults.flatMap(item => {
+    if (!item || typeof item !== 'object') {
+      return item ? [{ objectType: null, objectName: null, actionId: null, severity: 'error', field: null, message: String(item) }] : [];
+    }
+    const action = findAction(item.action_id, actions);
+    const data = (action && action.data) || {};
+    const context = {
+      objectType: item.object_type ?? (action && action.object_type) ?? null,
+      objectName: item.object_name ?? data.name ?? null,
+      actionId: item.action_id ?? null,
+    };
+    const severity = normalizeSeverity(item.severity || item.level);
+    return [
+      ...flattenMessages(item.errors, severity),
+      ...flattenMessages(item.warnings, 'warning'),
+    ].map(issue => ({ ...context, ...issue }));
+  });
+}
+
+// Follow a path of mapping keys and list indexes (e.g. ['data', 'name'] or
+// ['action', '0']) from a YAML node. Stops at the deepest node that exists
+// and returns it as { node, key }, with key the node of its mapping key
+// when it was reached through a mapping entry, otherwise null.
+function findNodeByPath(root, keyPath) {
+  let found = { node: root, key: null };
+  for (const step of keyPath) {
+    const { node } = found;
+    if (isMap(node)) {
+      const pair = node.items.find(p => p.key && String(p.key.value ?? p.key) === String(step));
+      if (!pair || !pair.key.range) break;
+      found = { node: pair.value, key: pair.key };
+    } else if (isSeq(node) && node.items[Number(step)] && node.items[Number(step)].range) {
+      found = { node: node.items[Number(step)], key: null };
+    } else {
+      break;
+    }
+  }
+  return found;
+}
+
+// Path of a changeset file relative to the workspace, as GitHub expects in
+// annotations
+function annotationPath(filePath) {
+  return path.relative(process.env.GITHUB_WORKSPACE || process.cwd(), path.resolve(filePath));
+}
+
+// Build a function that maps an issue to the lines of the changeset source
+// (YAML or JSON) that define it: the offending field when it can be found
+// inside the action, otherwise the whole action. Returns
+// { startLine, endLine } (1-based) or null for issues without an action_id
+// or when the source cannot be parsed.
+function createIssueLocator(source) {
+  const lineCounter = new LineCounter();
+  let actionNodes = null;
+  let actions = [];
+  try {
+    const doc = parseDocument(source, { lineCounter });
+    const seq = doc.errors.length === 0 ? doc.get('action', true) : null;
+    if (isSeq(seq)) {
+      actionNodes = seq.items;
+      actions = doc.toJS().action;
+    }
+  } catch (e) {
+    actionNodes = null;
+  }
+
+  // Lines of the text between two offsets, ignoring trailing whitespace
+  const toLines = (start, end) => {
+    let last = end;
+    while (last > start + 1 && /\s/.test(source[last - 1])) last--;
+    return { startLine: lineCounter.linePos(start).line, endLine: lineCounter.linePos(Math.max(start, last - 1)).line };
+  };
+
+  return (issue) => {
+    if (!actionNodes) return null;
+    const index = findActionIndex(issue.actionId, actions);
+    const actionNode = actionNodes[index];
+    if (!actionNode || !actionNode.range) return null;
+
+    const { key, node } = findNodeByPath(actionNode, issue.field ? issue.field.split('.') : []);
+    const range = key ? [key.range[0], ((node && node.range) || key.range)[1]] : node.range;
+    return toLines(range[0], range[1]);
+  };
+}
+
+// Attach { startLine, endLine } to each issue that can be located in the
+// changeset source. lineOffset is added to both when the source starts
+// part-way through the file (one document of a multi-document file).
+function locateValidationIssues(issues, source, { lineOffset = 0 } = {}) {
+  const locate = createIssueLocator(source);
+  return issues.map(issue => {
+    const location = locate(issue);
+    return location
+      ? { ...issue, startLine: location.startLine + lineOffset, endLine: location.endLine + lineOffset }
+      : issue;
+  });
+}
+
+function describeLines({ startLine, endLine }) {
+  if (!startLine) return '';
+  return startLine === endLine ? `line ${startLine}` : `lines ${startLine}-${endLine}`;
+}
+
+// Heading for one object, e.g. RoutingQueue "Support" (action 2).
+function describeObject({ objectType, objectName, actionId }) {
+  let label = objectType || 'Changeset';
+  if (objectName) label += ` "${objectName}"`;
+  if (actionId !== null && actionId !== undefined) label += ` (action ${actionId})`;
+  return label;
+}
+
+function describeIssue(issue, maxLength = DEFAULT_MAX_MESSAGE_LENGTH) {
+  return truncate(issue.field ? `${issue.field}: ${issue.message}` : issue.message, maxLength);
+}
+
+// Group issues by object type and name, keeping the order in which each
+// object first appears. Returns [{ label, issues }].
+function groupValidationIssues(issues) {
+  const groups = new Map();
+  for (const issue of issues) {
+    const label = describeObject(issue);
+    if (!groups.has(label)) groups.set(label, { label, issues: [] });
+    groups.get(label).issues.push(issue);
+  }
+  return [...groups.values()];
+}
+
+function countBySeverity(issues) {
+  const counts = issues.reduce((acc, { severity }) => ({ ...acc, [severity]: (acc[severity] || 0) + 1 }), {});
+  return ['error', 'warning', 'notice']
+    .filter(severity => counts[severity])
+    .map(severity => `${counts[severity]} ${severity}(s)`)
+    .join(', ');
+}
+
+// Render issues as indented plain text for the job log, at most maxIssues
+// lines of issues.
+function formatValidationIssues(issues, { maxIssues = DEFAULT_MAX_ISSUES, maxMessageLength = DEFAULT_MAX_MESSAGE_LENGTH } = {}) {
+  if (issues.length === 0) return 'No validation details were returned.';
+
+  const lines = [countBySeverity(issues)];
+  let shown = 0;
+  for (const group of groupValidationIssues(issues)) {
+    if (shown >= maxIssues) break;
+    lines.push(group.label);
+    for (const issue of group.issues) {
+      if (shown >= maxIssues) break;
+      const where = describeLines(issue);
+      lines.push(`  [${issue.severity}] ${describeIssue(issue, maxMessageLength)}${where ? ` (${where})` : ''}`);
+      shown++;
+    }
+  }
+  if (issues.length > shown) {
+    lines.push(`... ${issues.length - shown} more issue(s) not shown`);
+  }
+  return lines.join('\n');
+}
+
+// Emit one GitHub annotation per issue against the changeset file so it
+// shows up in the pull request diff, on the issue's lines when it has been
+// located. Capped at maxAnnotations per severity.
+function annotateValidationIssues(issues, filePath, { maxAnnotations = DEFAULT_MAX_ANNOTATIONS } = {}) {
+  const file = annotationPath(filePath);
+  const emit = { error: core.error, warning: core.warning, notice: core.notice };
+
+  if (issues.length === 0) {
+    core.error('Changeset validation failed', { file, title: 'InProd validation' });
+    return;
+  }
+
+  const emitted = {};
+  for (const issue of issues) {
+    emitted[issue.severity] = (emitted[issue.severity] || 0) + 1;
+    if (emitted[issue.severity] > maxAnnotations) continue;
+    const properties = { file, title: `InProd validation: ${describeObject(issue)}` };
+    if (issue.startLine) {
+      properties.startLine = issue.startLine;
+      properties.endLine = issue.endLine;
+    }
+    emit[issue.severity](describeIssue(issue), properties);
+  }
+}
+
+module.exports = {
+  collectValidationIssues,
+  groupValidationIssues,
+  formatValidationIssues,
+  annotateValidationIssues,
+  locateValidationIssues,
+  createIssueLocator,
+  findNodeByPath,
+  annotationPath,
+  describeObject,
+  describeIssue,
+  findAction,
+  findActionIndex,
+  DEFAULT_MAX_ISSUES,
+  DEFAULT_MAX_ANNOTATIONS,
+};
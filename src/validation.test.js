@@ -0,0 +1,211 @@
+const path = require('path');
+
+// Mock @actions/core
+const mockCore = {
+  error: jest.fn(),
+  warning: jest.fn(),
+  notice: jest.fn(),
+};
+jest.mock('@actions/core', () => mockCore);
+
+const {
+  collectValidationIssues,
+  groupValidationIssues,
+  formatValidationIssues,
+  annotateValidationIssues,
+  locateValidationIssues,
+  findAction,
+} = require('./validation');
+
+const ACTIONS = [
+  { action: 'gencloud-create', object_type: 'RoutingQueue', data: { name: 'Support' } },
+  { id: 'skill-1', action: 'gencloud-update', object_type: 'RoutingSkill', data: { name: 'Billing' } },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('findAction', () => {
+  test('matches the action id before the 1-based position', () => {
+    expect(findAction('skill-1', ACTIONS)).toBe(ACTIONS[1]);
+    expect(findAction(1, ACTIONS)).toBe(ACTIONS[0]);
+    expect(findAction(3, ACTIONS)).toBeNull();
+    expect(findAction(undefined, ACTIONS)).toBeNull();
+  });
+});
+
+describe('collectValidationIssues', () => {
+  test('flattens nested messages and names objects from the changeset actions', () => {
+    const results = [{ action_id: 1, errors: { data: { name: [{ msg: ['Required', 'Too short'] }] } } }];
+
+    expect(collectValidationIssues(results, ACTIONS)).toEqual([
+      { objectType: 'RoutingQueue', objectName: 'Support', actionId: 1, severity: 'error', field: 'data.name', message: 'Required' },
+      { objectType: 'RoutingQueue', objectName: 'Support', actionId: 1, severity: 'error', field: 'data.name', message: 'Too short' },
+    ]);
+  });
+
+  test('prefers object details and severity reported by InProd', () => {
+    const results = [{
+      action_id: 1,
+      object_type: 'Flow',
+      object_name: 'Inbound',
+      severity: 'WARNING',
+      errors: { version: ['Outdated'], name: [{ msg: 'Duplicate', severity: 'error' }] },
+    }];
+
+    expect(collectValidationIssues(results, ACTIONS).map(i => [i.objectType, i.objectName, i.severity, i.field])).toEqual([
+      ['Flow', 'Inbound', 'warning', 'version'],
+      ['Flow', 'Inbound', 'error', 'name'],
+    ]);
+  });
+
+  test('reads warnings and plain string results', () => {
+    const results = [{ warnings: ['Unused variable'] }, 'Changeset is empty'];
+
+    expect(collectValidationIssues(results).map(i => [i.severity, i.field, i.message])).toEqual([
+      ['warning', null, 'Unused variable'],
+      ['error', null, 'Changeset is empty'],
+    ]);
+  });
+
+  test('skips results without messages and tolerates missing input', () => {
+    expect(collectValidationIssues([{ action_id: 1, errors: {} }], ACTIONS)).toEqual([]);
+    expect(collectValidationIssues(undefined)).toEqual([]);
+  });
+});
+
+describe('formatValidationIssues', () => {
+  const results = [
+    { action_id: 1, errors: { name: ['Required'] } },
+    { action_id: 'skill-1', errors: { description: ['Too long'] } },
+    { action_id: 1, warnings: { acw: ['Deprecated'] } },
+  ];
+
+  test('groups issues by object and counts them by severity', () => {
+    const issues = collectValidationIssues(results, ACTIONS);
+
+    expect(groupValidationIssues(issues).map(g => [g.label, g.issues.length])).toEqual([
+      ['RoutingQueue "Support" (action 1)', 2],
+      ['RoutingSkill "Billing" (action skill-1)', 1],
+    ]);
+    expect(formatValidationIssues(issues)).toBe([
+      '2 error(s), 1 warning(s)',
+      'RoutingQueue "Support" (action 1)',
+      '  [error] name: Required',
+      '  [warning] acw: Deprecated',
+      'RoutingSkill "Billing" (action skill-1)',
+      '  [error] description: Too long',
+    ].join('\n'));
+  });
+
+  test('caps the number of issues and the length of each message', () => {
+    const many = [{ errors: { name: Array.from({ length: 60 }, (_, i) => `Problem ${i} ${'x'.repeat(600)}`) } }];
+    const text = formatValidationIssues(collectValidationIssues(many));
+    const lines = text.split('\n');
+
+    expect(lines.filter(l => l.startsWith('  [error]'))).toHaveLength(50);
+    expect(lines[2].length).toBeLessThanOrEqual(520);
+    expect(lines[2].endsWith('…')).toBe(true);
+    expect(lines[lines.length - 1]).toBe('... 10 more issue(s) not shown');
+    expect(formatValidationIssues(collectValidationIssues(many), { maxIssues: 5 })).toContain('... 55 more issue(s) not shown');
+  });
+
+  test('reports when there are no details', () => {
+    expect(formatValidationIssues([])).toBe('No validation details were returned.');
+  });
+});
+
+describe('annotateValidationIssues', () => {
+  const file = path.join(process.cwd(), 'changesets', 'queues.yaml');
+
+  test('annotates each issue against the workspace-relative file', () => {
+    const issues = collectValidationIssues([{ action_id: 1, errors: { name: ['Required'] }, warnings: { acw: ['Deprecated'] } }], ACTIONS);
+
+    annotateValidationIssues(issues, file);
+
+    const properties = { file: path.join('changesets', 'queues.yaml'), title: 'InProd validation: RoutingQueue "Support" (action 1)' };
+    expect(mockCore.error).toHaveBeenCalledWith('name: Required', properties);
+    expect(mockCore.warning).toHaveBeenCalledWith('acw: Deprecated', properties);
+  });
+
+  test('caps annotations per severity', () => {
+    const issues = collectValidationIssues([{ errors: { name: Array.from({ length: 15 }, (_, i) => `Problem ${i}`) } }]);
+
+    annotateValidationIssues(issues, file, { maxAnnotations: 10 });
+
+    expect(mockCore.error).toHaveBeenCalledTimes(10);
+  });
+
+  test('adds a file-level annotation when there are no details', () => {
+    annotateValidationIssues([], file);
+
+    expect(mockCore.error).toHaveBeenCalledWith('Changeset validation failed', { file: path.join('changesets', 'queues.yaml'), title: 'InProd validation' });
+  });
+});
+
+describe('locateValidationIssues', () => {
+  const YAML_SOURCE = [
+    'name: Queues',            // 1
+    'action:',                 // 2
+    '  - action: create',      // 3
+    '    object_type: Queue',  // 4
+    '    data:',               // 5
+    '      name: Support',     // 6
+    '      members:',          // 7
+    '        - alice',         // 8
+    '        - bob',           // 9
+    '',                        // 10
+    '  - id: skill-1',         // 11
+    '    action: update',      // 12
+    '    data:',               // 13
+    '      name: Billing',     // 14
+    'variable: []',            // 15
+    '',
+  ].join('\n');
+
+  function issue(actionId, field) {
+    return { objectType: null, objectName: null, actionId, severity: 'error', field, message: 'Invalid' };
+  }
+
+  test('points at the offending field inside the action', () => {
+    const [located] = locateValidationIssues([issue(1, 'data.name')], YAML_SOURCE);
+
+    expect(located).toEqual(expect.objectContaining({ startLine: 6, endLine: 6 }));
+  });
+
+  test('spans nested collections and list items', () => {
+    const located = locateValidationIssues([issue(1, 'data.members'), issue(1, 'data.members.1')], YAML_SOURCE);
+
+    expect(located.map(i => [i.startLine, i.endLine])).toEqual([[7, 9], [9, 9]]);
+  });
+
+  test('falls back to the closest known field, then to the whole action', () => {
+    const located = locateValidationIssues([issue(1, 'data.unknown'), issue(1, 'missing'), issue(1, null), issue('skill-1', 'data.name')], YAML_SOURCE);
+
+    expect(located.map(i => [i.startLine, i.endLine])).toEqual([[5, 9], [3, 9], [3, 9], [14, 14]]);
+  });
+
+  test('locates issues in JSON changesets', () => {
+    const json = JSON.stringify({ name: 'Queues', action: [{ action: 'create', data: { name: 'Support' } }] }, null, 2);
+
+    const [located] = locateValidationIssues([issue(1, 'data.name')], json);
+
+    expect(json.split('\n')[located.startLine - 1]).toContain('"name": "Support"');
+    expect(located.endLine).toBe(located.startLine);
+  });
+
+  test('leaves issues unlocated without an action or a parseable source', () => {
+    expect(locateValidationIssues([issue(null, 'name')], YAML_SOURCE)[0].startLine).toBeUndefined();
+    expect(locateValidationIssues([issue(9, 'name')], YAML_SOURCE)[0].startLine).toBeUndefined();
+    expect(locateValidationIssues([issue(1, 'name')], 'action: [unclosed')[0].startLine).toBeUndefined();
+  });
+
+  test('shows the lines in the log and passes them to annotations', () => {
+    const located = locateValidationIssues([issue(1, 'data.members')], YAML_SOURCE);
+
+    expect(formatValidationIssues(located)).toContain('  [error] data.members: Invalid (lines 7-9)');
+    annotateValidationIssues(located, 'queues.yaml');
+    expect(mockCore.error).toHaveBeenCalledWith('data.members: Invalid', expect.objectContaining({ startLine: 7, endLine: 9 }));
+  });
+});
@@ -0,0 +1,215 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// `!masked` before a value marks the variable as sensitive: a prefix in
+// .env files and changeset_variables, a tag in YAML.
+const MASKED_MARKER = /^!masked(?:\s+|$)/;
+const MASKED_TYPE = new yaml.Type('!masked', {
+  kind: 'scalar',
+  construct: data => ({ value: data === null ? '' : data, sensitive: true }),
+});
+const VARIABLES_YAML_SCHEMA = yaml.DEFAULT_SCHEMA.extend([MASKED_TYPE]);
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+// A variable key is NAME, or ENVIRONMENT:NAME to scope the variable to one
+// InProd environment by name or ID. The name may not contain spaces; the
+// environment may. Returns { key, name, environment } with the key
+// normalised, or null when the key is not valid.
+function parseVariableKey(rawKey) {
+  const separator = rawKey.lastIndexOf(':');
+  const name = rawKey.slice(separator + 1).trim();
+  const environment = separator === -1 ? null : rawKey.slice(0, separator).trim();
+  if (!name || /\s/.test(name) || environment === '') return null;
+  return { key: environment === null ? name : `${environment}:${name}`, name, environment };
+}
+
+// Parse KEY=VALUE lines, as used by .env files and the changeset_variables
+// input. Blank lines and lines starting with # are skipped. Keys and
+// unquoted values are trimmed and taken literally, so values may contain
+// `=` and `#`. `# @sensitive` on the line before a variable, or `!masked`
+// before its value, marks it as sensitive.
+// In .env files an `export ` prefix is allowed, a double-quoted value may
+// span lines and supports \n, \t, \" and \\ escapes, and a single-quoted
+// value may span lines and is taken literally. With `literal` (the inline
+// input, which existing workflows fill with raw secrets) quotes and
+// escapes are kept as written.
+// Returns { variables, sensitive } where sensitive lists variable names.
+// `describeError(line, lineNumber)` builds the message for a malformed line.
+function parseDotenv(text, describeError, { literal = false } = {}) {
+  const lines = text.split(/\r?\n/);
+  const variables = {};
+  const sensitive = [];
+  let markedSensitive = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (!trimmed) continue;
+    if (trimmed.startsWith('#')) {
+      markedSensitive = markedSensitive || /^#\s*@sensitive\b/.test(trimmed);
+      continue;
+    }
+
+    const line = literal ? trimmed : trimmed.replace(/^export\s+/, '');
+    const separator = line.indexOf('=');
+    const parsedKey = separator === -1 ? null : parseVariableKey(line.slice(0, separator));
+    if (!parsedKey) {
+      throw new Error(describeError(trimmed, i + 1));
+    }
+    const { key } = parsedKey;
+
+    let value = line.slice(separator + 1).trim();
+    if (MASKED_MARKER.test(value)) {
+      value = value.replace(MASKED_MARKER, '');
+      markedSensitive = true;
+    }
+    const quote = value[0];
+    if (!literal && (quote === '"' || quote === "'")) {
+      // Read until the closing quote, across lines if needed
+      let raw = value.slice(1);
+      const startLine = i;
+      let end = findClosingQuote(raw, quote);
+      while (end === -1 && i + 1 < lines.length) {
+        raw += `\n${lines[++i]}`;
+        end = findClosingQuote(raw, quote);
+      }
+      if (end === -1) {
+        throw new Error(`${describeError(trimmed, startLine + 1)} (unterminated ${quote === '"' ? 'double' : 'single'} quote)`);
+      }
+      if (raw.slice(end + 1).trim() && !raw.slice(end + 1).trim().startsWith('#')) {
+        throw new Error(`${describeError(trimmed, startLine + 1)} (unexpected text after closing quote)`);
+      }
+      value = raw.slice(0, end);
+      if (quote === '"') {
+        value = value.replace(/\\(.)/g, (match, ch) => ESCAPES[ch] ?? match);
+      }
+    }
+
+    variables[key] = value;
+    if (markedSensitive && !sensitive.includes(key)) sensitive.push(key);
+    markedSensitive = false;
+  }
+  return { variables, sensitive };
+}
+
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Read variables from a YAML or JSON map, such as a variables file or a
+// manifest entry's `variables`. A value is either a scalar or { value,
+// sensitive }. `invalid(message)` builds the error for a bad map.
+function parseVariableMap(doc, invalid) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw invalid('must map variable names to values');
+  }
+  const variables = {};
+  const sensitive = [];
+  for (const [rawKey, entry] of Object.entries(doc)) {
+    const parsedKey = parseVariableKey(rawKey);
+    if (!parsedKey) throw invalid(`has an invalid variable name: ${rawKey}`);
+    const name = parsedKey.key;
+    let value = entry;
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      const unknown = Object.keys(entry).filter(key => key !== 'value' && key !== 'sensitive');
+      if (unknown.length > 0 || !('value' in entry)) {
+        throw invalid(`${rawKey} must be a value or a mapping with value and sensitive keys`);
+      }
+      if (entry.sensitive !== undefined && typeof entry.sensitive !== 'boolean') {
+        throw invalid(`${rawKey}.sensitive must be true or false`);
+      }
+      if (entry.sensitive) sensitive.push(name);
+      value = entry.value;
+    }
+    if (value !== null && typeof value === 'object') {
+      throw invalid(`${rawKey} must be a string, number or boolean`);
+    }
+    variables[name] = value === null || value === undefined ? '' : String(value);
+  }
+  return { variables, sensitive };
+}
+
+// Load changeset variables from a file. .yaml/.yml and .json files hold a
+// map; anything else is read as a .env file. Returns { variables, sensitive }.
+function loadVariablesFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`changeset_variables_file not found: ${filePath}`);
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.json' || ext === '.yaml' || ext === '.yml') {
+    let doc;
+    try {
+      doc = ext === '.json' ? JSON.parse(text) : yaml.load(text, { schema: VARIABLES_YAML_SCHEMA });
+    } catch (e) {
+      throw new Error(`Invalid changeset_variables_file ${filePath}: ${e.message}`);
+    }
+    return parseVariableMap(doc, message => new Error(`Invalid changeset_variables_file ${filePath}: ${message}`));
+  }
+  return parseDotenv(text, (line, lineNumber) =>
+    `Invalid changeset_variables_file ${filePath} line ${lineNumber}. Expected KEY=VALUE, got: ${line}`);
+}
+
+// Combine changeset_variables_file and the changeset_variables input. The
+// inline input wins when both set a variable. Returns { variables,
+// sensitive }, with variables null when neither sets anything.
+function resolveChangesetVariables({ inline, filePath }) {
+  const fromFile = filePath ? loadVariablesFile(filePath) : { variables: {}, sensitive: [] };
+  const fromInput = inline && inline.trim()
+    ? parseDotenv(inline, line => `Invalid changeset_variables format. Expected KEY=VALUE on each line, got: ${line}`, { literal: true })
+    : { variables: {}, sensitive: [] };
+
+  const variables = { ...fromFile.variables, ...fromInput.variables };
+  // A variable is sensitive when the source that provides its value says so
+  const sensitive = Object.keys(variables).filter(name => (name in fromInput.variables ? fromInput : fromFile).sensitive.includes(name));
+  return { variables: Object.keys(variables).length > 0 ? variables : null, sensitive };
+}
+
+// Environment of a changeset variable entry matches a scope written as a
+// name or an ID
+function sameEnvironment(entryEnvironment, scope) {
+  return entryEnvironment !== null && entryEnvironment !== undefined && String(entryEnvironment) === scope;
+}
+
+// Merge injected variables into a changeset's `variable` list. An unscoped
+// variable replaces every entry with its name and is injected with
+// `environment: null`. A scoped variable (ENVIRONMENT:NAME) only replaces
+// the entry for that environment, keeping entries for other environments,
+// and is injected with that environment; a numeric scope is an environment
+// ID. An injected entry gets mask_value: true when its key is listed in
+// `masked` or any existing entry with its name had it.
+function mergeVariableEntries(existingVars, changesetVariables, { masked = [] } = {}) {
+  const injected = Object.entries(changesetVariables).map(([key, value]) => ({ ...parseVariableKey(key), value }));
+  const isReplaced = entry => injected.some(v =>
+    v.name === entry.name && (v.environment === null || sameEnvironment(entry.environment, v.environment)));
+
+  const keptVars = existingVars.filter(entry => !isReplaced(entry));
+  const injectedVars = injected.map(({ key, name, environment, value }) => ({
+    environment: environment === null ? null : /^\d+$/.test(environment) ? Number(environment) : environment,
+    mask_value: masked.includes(key) || existingVars.some(entry => entry.name === name && entry.mask_value === true),
+    name,
+    value,
+  }));
+  return [...keptVars, ...injectedVars];
+}
+
+// Register a value with the runner's log masking. Multi-line values are
+// also masked line by line, since the runner matches secrets per line.
+function maskValue(value) {
+  if (!value) return;
+  core.setSecret(value);
+  const lines = String(value).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length > 1) lines.forEach(line => core.setSecret(line));
+}
+
+module.exports = { VARIABLES_YAML_SCHEMA, parseVariableKey, parseVariableMap, mergeVariableEntries, parseDotenv, loadVariablesFile, resolveChangesetVariables, maskValue };
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('@actions/core', () => ({ setSecret: jest.fn() }));
+const core = require('@actions/core');
+
+const { parseVariableKey, mergeVariableEntries, parseDotenv, loadVariablesFile, resolveChangesetVariables, maskValue } = require('./variables');
+
+const describeError = line => `bad line: ${line}`;
+
+let dir;
+
+function writeFile(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inprod-variables-'));
+  core.setSecret.mockClear();
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('parseVariableKey', () => {
+  test.each([
+    ['DB_PASSWORD', { key: 'DB_PASSWORD', name: 'DB_PASSWORD', environment: null }],
+    ['Production:DB_PASSWORD', { key: 'Production:DB_PASSWORD', name: 'DB_PASSWORD', environment: 'Production' }],
+    [' Pre Prod : DB_PASSWORD ', { key: 'Pre Prod:DB_PASSWORD', name: 'DB_PASSWORD', environment: 'Pre Prod' }],
+    ['3:DB_PASSWORD', { key: '3:DB_PASSWORD', name: 'DB_PASSWORD', environment: '3' }],
+  ])('parses %s', (rawKey, expected) => {
+    expect(parseVariableKey(rawKey)).toEqual(expected);
+  });
+
+  test.each(['', 'DB PASSWORD', ':DB_PASSWORD', 'Production:'])('rejects "%s"', rawKey => {
+    expect(parseVariableKey(rawKey)).toBeNull();
+  });
+});
+
+describe('mergeVariableEntries', () => {
+  const existing = [
+    { environment: null, mask_value: false, name: 'DB_PASSWORD', value: 'global' },
+    { environment: 'UAT', mask_value: false, name: 'DB_PASSWORD', value: 'uat' },
+    { environment: 'Production', mask_value: true, name: 'DB_PASSWORD', value: 'prod' },
+    { environment: 7, mask_value: false, name: 'REGION', value: 'eu' },
+  ];
+
+  test('replaces every entry with the name for an unscoped variable', () => {
+    expect(mergeVariableEntries(existing, { DB_PASSWORD: 'new' })).toEqual([
+      existing[3],
+      { environment: null, mask_value: true, name: 'DB_PASSWORD', value: 'new' },
+    ]);
+  });
+
+  test('only replaces the entry for the environment of a scoped variable', () => {
+    expect(mergeVariableEntries(existing, { 'UAT:DB_PASSWORD': 'uat-new', 'Production:DB_PASSWORD': 'prod-new' })).toEqual([
+      existing[0],
+      existing[3],
+      { environment: 'UAT', mask_value: true, name: 'DB_PASSWORD', value: 'uat-new' },
+      { environment: 'Production', mask_value: true, name: 'DB_PASSWORD', value: 'prod-new' },
+    ]);
+  });
+
+  test('matches and injects a numeric scope as an environment ID', () => {
+    expect(mergeVariableEntries(existing, { '7:REGION': 'ap', '8:REGION': 'us' })).toEqual([
+      ...existing.slice(0, 3),
+      { environment: 7, mask_value: false, name: 'REGION', value: 'ap' },
+      { environment: 8, mask_value: false, name: 'REGION', value: 'us' },
+    ]);
+  });
+
+  test('sets mask_value: true for masked keys', () => {
+    const merged = mergeVariableEntries(existing, { REGION: 'ap', 'UAT:DB_PASSWORD': 'x', TOKEN: 'y' }, { masked: ['UAT:DB_PASSWORD', 'TOKEN'] });
+    expect(merged.slice(-3).map(v => [v.name, v.mask_value])).toEqual([['REGION', false], ['DB_PASSWORD', true], ['TOKEN', true]]);
+  });
+
+  test('combines unscoped and scoped values for the same name', () => {
+    const merged = mergeVariableEntries(existing, { DB_PASSWORD: 'default', 'Production:DB_PASSWORD': 'prod-new' });
+    expect(merged.filter(v => v.name === 'DB_PASSWORD')).toEqual([
+      { environment: null, mask_value: true, name: 'DB_PASSWORD', value: 'default' },
+      { environment: 'Production', mask_value: true, name: 'DB_PASSWORD', value: 'prod-new' },
+    ]);
+  });
+});
+
+describe('parseDotenv', () => {
+  test('reads KEY=VALUE lines, skipping comments and blank lines', () => {
+    const text = '# comment\n\nREGION=us-east-1\nexport  TOKEN = abc=def \nEMPTY=\n';
+    expect(parseDotenv(text, describeError)).toEqual({
+      variables: { REGION: 'us-east-1', TOKEN: 'abc=def', EMPTY: '' },
+      sensitive: [],
+    });
+  });
+
+  test('takes unquoted values literally, including # characters', () => {
+    expect(parseDotenv('URL=https://example.com/#anchor', describeError).variables).toEqual({ URL: 'https://example.com/#anchor' });
+  });
+
+  test('unescapes double-quoted values and reads them across lines', () => {
+    const text = 'GREETING="hello\\tworld \\"quoted\\""\nPEM="-----BEGIN-----\nabc\n-----END-----"\nAFTER=1';
+    expect(parseDotenv(text, describeError).variables).toEqual({
+      GREETING: 'hello\tworld "quoted"',
+      PEM: '-----BEGIN-----\nabc\n-----END-----',
+      AFTER: '1',
+    });
+  });
+
+  test('keeps single-quoted values literal and reads them across lines', () => {
+    const text = "RAW='a\\nb \"c\"'\nMULTI='one\n  two'";
+    expect(parseDotenv(text, describeError).variables).toEqual({ RAW: 'a\\nb "c"', MULTI: 'one\n  two' });
+  });
+
+  test('allows a comment after a closing quote', () => {
+    expect(parseDotenv('KEY="value" # note', describeError).variables).toEqual({ KEY: 'value' });
+  });
+
+  test('reads environment-scoped keys', () => {
+    expect(parseDotenv('Production:DB_PASSWORD=a\nPre Prod : DB_PASSWORD=b', describeError).variables).toEqual({
+      'Production:DB_PASSWORD': 'a',
+      'Pre Prod:DB_PASSWORD': 'b',
+    });
+  });
+
+  test('marks the variable after a # @sensitive comment', () => {
+    const text = '# @sensitive\nDB_PASSWORD=secret\nREGION=us-east-1\n#@sensitive\n\nTOKEN=abc';
+    expect(parseDotenv(text, describeError).sensitive).toEqual(['DB_PASSWORD', 'TOKEN']);
+  });
+
+  test('marks a variable whose value starts with !masked', () => {
+    const text = 'DB_PASSWORD=!masked s3cret\nCERT=!masked "a\nb"\nEMPTY=!masked\nPLAIN=!maskedvalue';
+    expect(parseDotenv(text, describeError)).toEqual({
+      variables: { DB_PASSWORD: 's3cret', CERT: 'a\nb', EMPTY: '', PLAIN: '!maskedvalue' },
+      sensitive: ['DB_PASSWORD', 'CERT', 'EMPTY'],
+    });
+  });
+
+  test('keeps quotes and escapes as written with literal', () => {
+    const text = 'PW=\'abc\nQUOTED="quoted"\nTAB=a\\tb\nexport=1\n# @sensitive\nTOKEN=!masked "x"';
+    expect(parseDotenv(text, describeError, { literal: true })).toEqual({
+      variables: { PW: "'abc", QUOTED: '"quoted"', TAB: 'a\\tb', export: '1', TOKEN: '"x"' },
+      sensitive: ['TOKEN'],
+    });
+  });
+
+  test.each([
+    ['a line without =', 'NO_EQUALS', 'bad line: NO_EQUALS'],
+    ['a missing key', '=value', 'bad line: =value'],
+    ['a key with spaces', 'MY KEY=value', 'bad line: MY KEY=value'],
+    ['an unterminated quote', 'KEY="open\nmore', 'bad line: KEY="open (unterminated double quote)'],
+    ['text after a closing quote', "KEY='a' b", "bad line: KEY='a' b (unexpected text after closing quote)"],
+  ])('rejects %s', (_, text, message) => {
+    expect(() => parseDotenv(text, describeError)).toThrow(message);
+  });
+});
+
+describe('loadVariablesFile', () => {
+  test('reads a .env file with line numbers in errors', () => {
+    const filePath = writeFile('deploy.env', 'REGION=us-east-1\nBROKEN\n');
+    expect(() => loadVariablesFile(filePath)).toThrow(
+      `Invalid changeset_variables_file ${filePath} line 2. Expected KEY=VALUE, got: BROKEN`
+    );
+  });
+
+  test('reads a YAML map with plain and sensitive values', () => {
+    const filePath = writeFile('deploy.yml', [
+      'REGION: us-east-1',
+      'RETRIES: 3',
+      'ENABLED: true',
+      'EMPTY:',
+      'DB_PASSWORD:',
+      '  value: "s3cret"',
+      '  sensitive: true',
+    ].join('\n'));
+    expect(loadVariablesFile(filePath)).toEqual({
+      variables: { REGION: 'us-east-1', RETRIES: '3', ENABLED: 'true', EMPTY: '', DB_PASSWORD: 's3cret' },
+      sensitive: ['DB_PASSWORD'],
+    });
+  });
+
+  test('reads the !masked tag in a YAML map as sensitive', () => {
+    const filePath = writeFile('deploy.yaml', 'DB_PASSWORD: !masked s3cret\nRETRIES: !masked 3\nREGION: us-east-1');
+    expect(loadVariablesFile(filePath)).toEqual({
+      variables: { DB_PASSWORD: 's3cret', RETRIES: '3', REGION: 'us-east-1' },
+      sensitive: ['DB_PASSWORD', 'RETRIES'],
+    });
+  });
+
+  test('reads a JSON map', () => {
+    const filePath = writeFile('deploy.json', JSON.stringify({ REGION: 'eu-west-1', TOKEN: { value: 'abc', sensitive: false } }));
+    expect(loadVariablesFile(filePath)).toEqual({ variables: { REGION: 'eu-west-1', TOKEN: 'abc' }, sensitive: [] });
+  });
+
+  test.each([
+    ['a list', 'deploy.yaml', '- REGION', 'must map variable names to values'],
+    ['a nested value', 'deploy.yaml', 'REGION:\n  - a', 'REGION must be a string, number or boolean'],
+    ['an unknown key', 'deploy.yaml', 'REGION:\n  value: a\n  secret: true', 'REGION must be a value or a mapping with value and sensitive keys'],
+    ['an invalid variable name', 'deploy.yaml', 'DB PASSWORD: a', 'has an invalid variable name: DB PASSWORD'],
+    ['a non-boolean sensitive flag', 'deploy.yaml', 'REGION:\n  value: a\n  sensitive: "yes"', 'REGION.sensitive must be true or false'],
+    ['malformed JSON', 'deploy.json', '{ "REGION": ', 'Invalid changeset_variables_file'],
+  ])('rejects %s', (_, name, content, message) => {
+    const filePath = writeFile(name, content);
+    expect(() => loadVariablesFile(filePath)).toThrow(message);
+  });
+
+  test('fails when the file does not exist', () => {
+    const filePath = path.join(dir, 'missing.env');
+    expect(() => loadVariablesFile(filePath)).toThrow(`changeset_variables_file not found: ${filePath}`);
+  });
+});
+
+describe('resolveChangesetVariables', () => {
+  test('returns null variables when neither source sets any', () => {
+    expect(resolveChangesetVariables({ inline: '  \n', filePath: '' })).toEqual({ variables: null, sensitive: [] });
+  });
+
+  test('lets the inline input override the file', () => {
+    const filePath = writeFile('deploy.env', '# @sensitive\nDB_PASSWORD=from-file\n# @sensitive\nTOKEN=abc\nREGION=us-east-1');
+    expect(resolveChangesetVariables({ inline: 'DB_PASSWORD=from-input', filePath })).toEqual({
+      variables: { DB_PASSWORD: 'from-input', TOKEN: 'abc', REGION: 'us-east-1' },
+      sensitive: ['TOKEN'],
+    });
+  });
+
+  test('takes inline values literally but unquotes file values', () => {
+    const filePath = writeFile('deploy.env', 'FROM_FILE="quoted"\n');
+    expect(resolveChangesetVariables({ inline: 'PW=\'abc\nINLINE="quoted"', filePath }).variables).toEqual({
+      FROM_FILE: 'quoted', PW: "'abc", INLINE: '"quoted"',
+    });
+  });
+
+  test('keeps the inline error message', () => {
+    expect(() => resolveChangesetVariables({ inline: 'BROKEN' })).toThrow(
+      'Invalid changeset_variables format. Expected KEY=VALUE on each line, got: BROKEN'
+    );
+  });
+});
+
+describe('maskValue', () => {
+  test('masks a value and each line of a multi-line value', () => {
+    maskValue('one\n  two\n');
+    expect(core.setSecret.mock.calls).toEqual([['one\n  two\n'], ['one'], ['two']]);
+  });
+
+  test('ignores empty values', () => {
+    maskValue('');
+    expect(core.setSecret).not.toHaveBeenCalled();
+  });
+});
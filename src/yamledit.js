@@ -0,0 +1,177 @@
+const yaml = require('js-yaml');
+const { parseDocument, isMap, isSeq, isScalar } = require('yaml');
+const { isDeepStrictEqual } = require('util');
+
+// Edits to YAML changeset text that leave everything outside the edited key
+// byte-identical, so the changeset InProd records matches the file in git.
+// Each function returns null when the content cannot be edited in place
+// (flow-style root mapping, syntax errors, anchors shared with the rest of
+// the document); callers then fall back to re-serialising the document.
+
+// New text is rendered with js-yaml, which quotes strings such as `yes` or
+// `0123` that YAML 1.1 parsers would read as other types.
+function render(value) {
+  return yaml.dump(value, { lineWidth: -1, noRefs: true });
+}
+
+function lineStart(content, pos) {
+  return content.lastIndexOf('\n', pos - 1) + 1;
+}
+
+// End of the line containing pos - 1, including its newline
+function lineEnd(content, pos) {
+  if (pos > 0 && content[pos - 1] === '\n') return pos;
+  const newline = content.indexOf('\n', pos);
+  return newline === -1 ? content.length : newline + 1;
+}
+
+// The line ending of the content, so inserted lines match the file
+function lineEnding(content) {
+  return content.includes('\r\n') ? '\r\n' : '\n';
+}
+
+function indent(text, column) {
+  const pad = ' '.repeat(column);
+  return text.replace(/^(?=.)/gm, pad);
+}
+
+// Apply the edits and keep whether the content ends with a line ending,
+// which an edit at the end of the file would otherwise change.
+function applyEdits(content, edits) {
+  const edited = [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), content);
+  const eol = lineEnding(content);
+  return content !== '' && !content.endsWith('\n') && edited.endsWith(eol) ? edited.slice(0, -eol.length) : edited;
+}
+
+// Start of the line of a sequence item, or of the comment lines directly
+// above it, which belong to the item. Never goes back past `floor`.
+function itemStart(content, item, floor) {
+  let start = lineStart(content, item.range[0]);
+  while (start > floor) {
+    const previous = lineStart(content, start - 1);
+    if (!content.slice(previous, start).trim().startsWith('#')) break;
+    start = previous;
+  }
+  return start;
+}
+
+// Parse content whose root is a block mapping. Returns { doc, map } or null.
+function parseBlockMapping(content) {
+  const doc = parseDocument(content);
+  if (doc.errors.length > 0 || !isMap(doc.contents) || doc.contents.flow) return null;
+  return { doc, map: doc.contents };
+}
+
+// The entry for a top-level key, when nothing but indentation precedes the
+// key on its line (so not e.g. `--- key: value`)
+function findPair(content, map, key) {
+  const pair = map.items.find(p => isScalar(p.key) && p.key.value === key);
+  if (!pair) return null;
+  const start = pair.key.range[0];
+  return content.slice(lineStart(content, start), start).trim() === '' ? pair : undefined;
+}
+
+// Text range of a top-level `key: value` entry, from the start of its line
+// to the end of its value, including a trailing comment on the last line.
+function pairRange(content, pair) {
+  const end = pair.value && pair.value.range ? pair.value.range[2] : pair.key.range[2];
+  return { start: lineStart(content, pair.key.range[0]), end: lineEnd(content, end) };
+}
+
+// Check an edit by parsing the result: it must still be a valid document
+// whose `key` holds the expected value and whose other keys are unchanged.
+function verify(original, edited, key, expected) {
+  const after = parseDocument(edited);
+  if (after.errors.length > 0) return null;
+  let before;
+  let value;
+  try {
+    before = parseDocument(original).toJS();
+    value = after.toJS();
+  } catch {
+    // e.g. an alias whose anchor was in the removed text
+    return null;
+  }
+  if (!value || typeof value !== 'object') return null;
+  const rest = { ...value };
+  const restBefore = { ...before };
+  delete rest[key];
+  delete restBefore[key];
+  if (!isDeepStrictEqual(rest, restBefore)) return null;
+  if (expected === undefined ? key in value : !isDeepStrictEqual(value[key], expected)) return null;
+  return edited;
+}
+
+// Remove a top-level key and its value.
+function removeTopLevelKey(content, key) {
+  const parsed = parseBlockMapping(content);
+  if (!parsed) return null;
+  const pair = findPair(content, parsed.map, key);
+  if (pair === undefined) return null;
+  if (!pair) return content;
+  const { start, end } = pairRange(content, pair);
+  return verify(content, applyEdits(content, [{ start, end, text: '' }]), key, undefined);
+}
+
+// Update a top-level sequence: drop the items at the `remove` indexes and
+// append `append` values at the end. Untouched items keep their text,
+// comments and formatting. A key that is missing, empty or not a block
+// sequence, or that ends up with no items, is rewritten from the kept and
+// appended values.
+function editTopLevelSequence(content, key, { remove = [], append = [] }) {
+  const parsed = parseBlockMapping(content);
+  if (!parsed) return null;
+  const { map } = parsed;
+  const pair = findPair(content, map, key);
+  if (pair === undefined) return null;
+  const current = pair ? parsed.doc.toJS()[key] : undefined;
+  const items = Array.isArray(current) ? current : [];
+  const expected = [...items.filter((_, i) => !remove.includes(i)), ...append];
+  const keyColumn = pair ? pair.key.range[0] - lineStart(content, pair.key.range[0]) : firstKeyColumn(content, map);
+  const eol = lineEnding(content);
+  const withEol = text => text.replace(/\n/g, eol);
+
+  let edited;
+  if (pair && isSeq(pair.value) && !pair.value.flow && pair.value.items.length > 0 && expected.length > 0) {
+    const seq = pair.value;
+    const first = seq.items[0].range[0];
+    const dash = content.lastIndexOf('-', first);
+    const itemColumn = dash - lineStart(content, dash);
+    if (dash < 0 || content.slice(lineStart(content, dash), dash).trim() !== '') return null;
+
+    const removed = remove.map(i => seq.items[i]);
+    if (removed.some(item => content.slice(lineStart(content, item.range[0]), content.indexOf('-', lineStart(content, item.range[0]))).trim() !== '')) return null;
+    const edits = removed.map(item => {
+      const i = seq.items.indexOf(item);
+      const floor = lineEnd(content, i > 0 ? seq.items[i - 1].range[2] : pair.key.range[2]);
+      return { start: itemStart(content, item, floor), end: lineEnd(content, item.range[2]), text: '' };
+    });
+    if (append.length > 0) {
+      const at = lineEnd(content, seq.range[2]);
+      // After a removed last item the text before `at` ends with its line
+      const prefix = content[at - 1] === '\n' || edits.some(e => e.end === at) ? '' : eol;
+      edits.push({ start: at, end: at, text: prefix + withEol(indent(render(append), itemColumn)) });
+    }
+    edited = applyEdits(content, edits);
+  } else {
+    const text = withEol(indent(render({ [key]: expected }), keyColumn).slice(keyColumn));
+    if (pair) {
+      const { end } = pairRange(content, pair);
+      edited = applyEdits(content, [{ start: pair.key.range[0], end, text }]);
+    } else {
+      const at = lineEnd(content, map.range[1]);
+      const prefix = at > 0 && content[at - 1] !== '\n' ? eol : '';
+      edited = applyEdits(content, [{ start: at, end: at, text: prefix + ' '.repeat(keyColumn) + text }]);
+    }
+  }
+  return verify(content, edited, key, expected);
+}
+
+function firstKeyColumn(content, map) {
+  const first = map.items[0] && map.items[0].key && map.items[0].key.range;
+  return first ? first[0] - lineStart(content, first[0]) : 0;
+}
+
+module.exports = { removeTopLevelKey, editTopLevelSequence };
@@ -0,0 +1,111 @@
+const { removeTopLevelKey, editTopLevelSequence } = require('./yamledit');
+
+const CHANGESET = `# Queues for release 4
+defaults: &queue
+  division: 'Home'   # quoted on purpose
+  created: 2024-01-01
+variable:
+  - name: KEEP   # stays as written
+    value: "0123"
+  - name: REPLACE
+    value: old
+action:
+  - <<: *queue
+    action: gencloud-create
+`;
+
+describe('editTopLevelSequence', () => {
+  test('removes and appends items and leaves every other line unchanged', () => {
+    const result = editTopLevelSequence(CHANGESET, 'variable', {
+      remove: [1],
+      append: [{ environment: null, mask_value: false, name: 'REPLACE', value: 'yes' }],
+    });
+    expect(result).toBe(`# Queues for release 4
+defaults: &queue
+  division: 'Home'   # quoted on purpose
+  created: 2024-01-01
+variable:
+  - name: KEEP   # stays as written
+    value: "0123"
+  - environment: null
+    mask_value: false
+    name: REPLACE
+    value: 'yes'
+action:
+  - <<: *queue
+    action: gencloud-create
+`);
+  });
+
+  test('follows the indentation of the existing items', () => {
+    const content = 'name: a\nvariable:\n- name: A\n  value: 1\n';
+    expect(editTopLevelSequence(content, 'variable', { append: [{ name: 'B', value: '2' }] }))
+      .toBe('name: a\nvariable:\n- name: A\n  value: 1\n- name: B\n  value: \'2\'\n');
+  });
+
+  test('adds the key after the last entry when it is missing', () => {
+    expect(editTopLevelSequence('name: a # first\naction: []', 'variable', { append: [{ name: 'A', value: 'x' }] }))
+      .toBe('name: a # first\naction: []\nvariable:\n  - name: A\n    value: x');
+  });
+
+  test('rewrites an empty or flow-style sequence as a block sequence', () => {
+    expect(editTopLevelSequence('variable: []\naction: []\n', 'variable', { append: [{ name: 'A', value: 'x' }] }))
+      .toBe('variable:\n  - name: A\n    value: x\naction: []\n');
+    expect(editTopLevelSequence('variable: [{name: K, value: k}]\n', 'variable', { append: [{ name: 'A', value: 'x' }] }))
+      .toBe('variable:\n  - name: K\n    value: k\n  - name: A\n    value: x\n');
+  });
+
+  test('removes every item when nothing is appended', () => {
+    const result = editTopLevelSequence('variable:\n  - name: A\n    value: x\naction: []\n', 'variable', { remove: [0] });
+    expect(result).toBe('variable: []\naction: []\n');
+  });
+
+  test('keeps a missing newline at the end of the file', () => {
+    const content = 'name: a\nvariable:\n  - name: A\n    value: x\n  - name: B\n    value: y';
+    expect(editTopLevelSequence(content, 'variable', { remove: [1], append: [{ name: 'B', value: 'z' }] }))
+      .toBe('name: a\nvariable:\n  - name: A\n    value: x\n  - name: B\n    value: z');
+    expect(editTopLevelSequence(content, 'variable', { remove: [1] }))
+      .toBe('name: a\nvariable:\n  - name: A\n    value: x');
+    expect(editTopLevelSequence('variable:\n  - name: A\n    value: x', 'variable', { remove: [0] }))
+      .toBe('variable: []');
+  });
+
+  test('removes the comment lines directly above a removed item', () => {
+    const content = 'variable:\n  # first\n  - name: A\n    value: x\n\n  # between\n  # more\n  - name: B\n    value: y\naction: []\n';
+    expect(editTopLevelSequence(content, 'variable', { remove: [1] }))
+      .toBe('variable:\n  # first\n  - name: A\n    value: x\n\naction: []\n');
+    expect(editTopLevelSequence(content, 'variable', { remove: [0], append: [{ name: 'A', value: 'z' }] }))
+      .toBe('variable:\n\n  # between\n  # more\n  - name: B\n    value: y\n  - name: A\n    value: z\naction: []\n');
+  });
+
+  test('uses the line ending of the content for inserted lines', () => {
+    const crlf = text => text.replace(/\n/g, '\r\n');
+    expect(editTopLevelSequence(crlf('variable:\n  - name: A\n    value: x\naction: []\n'), 'variable', { append: [{ name: 'B', value: 'z' }] }))
+      .toBe(crlf('variable:\n  - name: A\n    value: x\n  - name: B\n    value: z\naction: []\n'));
+    expect(editTopLevelSequence(crlf('variable: []\naction: []\n'), 'variable', { append: [{ name: 'A', value: 'x' }] }))
+      .toBe(crlf('variable:\n  - name: A\n    value: x\naction: []\n'));
+    expect(editTopLevelSequence(crlf('name: a\naction: []'), 'variable', { append: [{ name: 'A', value: 'x' }] }))
+      .toBe(crlf('name: a\naction: []\nvariable:\n  - name: A\n    value: x'));
+  });
+
+  test('returns null for a flow-style root mapping or invalid YAML', () => {
+    expect(editTopLevelSequence('{name: a, variable: []}', 'variable', { append: [{ name: 'A' }] })).toBeNull();
+    expect(editTopLevelSequence('name: [a\n', 'variable', { append: [{ name: 'A' }] })).toBeNull();
+  });
+});
+
+describe('removeTopLevelKey', () => {
+  test('removes the key and its value only', () => {
+    const content = 'name: a # kept\nx-github-action:\n  depends_on: [b.yaml]   # gone\nlist: &l [1]\ncopy: *l\n';
+    expect(removeTopLevelKey(content, 'x-github-action')).toBe('name: a # kept\nlist: &l [1]\ncopy: *l\n');
+  });
+
+  test('returns the content unchanged when the key is missing', () => {
+    expect(removeTopLevelKey('name: a\n', 'x-github-action')).toBe('name: a\n');
+  });
+
+  test('returns null when the value holds an anchor used elsewhere', () => {
+    const content = 'x-github-action: &meta\n  depends_on: [b.yaml]\ncopy: *meta\n';
+    expect(removeTopLevelKey(content, 'x-github-action')).toBeNull();
+  });
+});